@@ -0,0 +1,36 @@
+-- =============================================================================
+-- 001_key_dealing.sql - Dealer-based trustee key sharing tables
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS vottery_key_dealings (
+  id SERIAL PRIMARY KEY,
+  dealing_id UUID NOT NULL UNIQUE,
+  election_id UUID NOT NULL,
+  status VARCHAR(32) NOT NULL DEFAULT 'registration',
+  threshold_n INTEGER NOT NULL,
+  threshold_k INTEGER NOT NULL,
+  key_size INTEGER NOT NULL,
+  created_by VARCHAR(64),
+  public_key JSONB,
+  key_id VARCHAR(64),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  published_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_key_dealings_election
+  ON vottery_key_dealings (election_id);
+
+CREATE TABLE IF NOT EXISTS vottery_dealing_trustees (
+  id SERIAL PRIMARY KEY,
+  dealing_id UUID NOT NULL REFERENCES vottery_key_dealings (dealing_id),
+  trustee_id VARCHAR(64) NOT NULL,
+  share_index INTEGER NOT NULL,
+  box_public_key TEXT,
+  encrypted_share JSONB,
+  verification_key TEXT,
+  joined_at TIMESTAMP,
+  confirmed_at TIMESTAMP,
+  UNIQUE (dealing_id, trustee_id),
+  UNIQUE (dealing_id, share_index)
+);
@@ -0,0 +1,37 @@
+-- =============================================================================
+-- 002_tally_sessions.sql - Trustee tally sessions and partial decryptions
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS vottery_tally_sessions (
+  id SERIAL PRIMARY KEY,
+  session_id UUID NOT NULL UNIQUE,
+  election_id UUID NOT NULL,
+  key_id VARCHAR(64) NOT NULL,
+  dealing_id UUID,
+  status VARCHAR(32) NOT NULL DEFAULT 'open',
+  mode VARCHAR(32) NOT NULL DEFAULT 'homomorphic',
+  ciphertexts JSONB NOT NULL,
+  layout JSONB,
+  included_votes JSONB,
+  ballot_count INTEGER NOT NULL DEFAULT 0,
+  threshold_n INTEGER NOT NULL,
+  threshold_k INTEGER NOT NULL,
+  opened_by VARCHAR(64),
+  result JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  released_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_tally_sessions_election
+  ON vottery_tally_sessions (election_id);
+
+CREATE TABLE IF NOT EXISTS vottery_tally_partials (
+  id SERIAL PRIMARY KEY,
+  session_id UUID NOT NULL REFERENCES vottery_tally_sessions (session_id),
+  trustee_id VARCHAR(64) NOT NULL,
+  share_index INTEGER NOT NULL,
+  partials JSONB NOT NULL,
+  submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (session_id, trustee_id),
+  UNIQUE (session_id, share_index)
+);
@@ -0,0 +1,15 @@
+-- =============================================================================
+-- 003_nullifier_uniqueness.sql - One ballot per voter nullifier and election
+-- =============================================================================
+
+-- Nullifiers are deterministic per (voter, election), so a repeat vote
+-- collides here even if two requests race past the application check
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'uq_encrypted_votes_election_nullifier'
+  ) THEN
+    ALTER TABLE vottery_encrypted_votes
+      ADD CONSTRAINT uq_encrypted_votes_election_nullifier UNIQUE (election_id, nullifier);
+  END IF;
+END $$;
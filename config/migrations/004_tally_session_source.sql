@@ -0,0 +1,7 @@
+-- =============================================================================
+-- 004_tally_session_source.sql - Where a tally session's ciphertexts came from
+-- =============================================================================
+
+-- 'ballots' for ciphertexts aggregated as cast, 'mixnet' for mixnet output
+ALTER TABLE vottery_tally_sessions
+  ADD COLUMN IF NOT EXISTS source VARCHAR(32) NOT NULL DEFAULT 'ballots';
@@ -0,0 +1,45 @@
+-- =============================================================================
+-- 005_mixnet_rounds.sql - Persisted mixnet runs and per-round outputs
+-- =============================================================================
+
+-- One row per processMixnet call; input holds the ballots as they entered round 0
+CREATE TABLE IF NOT EXISTS vottery_mixnet_runs (
+  id SERIAL PRIMARY KEY,
+  run_id UUID NOT NULL UNIQUE,
+  election_id UUID NOT NULL,
+  key_id VARCHAR(64) NOT NULL,
+  status VARCHAR(32) NOT NULL DEFAULT 'mixing',
+  distributed BOOLEAN NOT NULL DEFAULT FALSE,
+  input JSONB NOT NULL,
+  input_hash VARCHAR(64) NOT NULL,
+  layout JSONB,
+  included_votes JSONB,
+  round_count INTEGER NOT NULL DEFAULT 0,
+  output_hash VARCHAR(64),
+  created_by VARCHAR(64),
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_mixnet_runs_election
+  ON vottery_mixnet_runs (election_id);
+
+-- Each round's output is the next round's input; the final round feeds the tally
+CREATE TABLE IF NOT EXISTS vottery_mixnet_rounds (
+  id SERIAL PRIMARY KEY,
+  run_id UUID NOT NULL REFERENCES vottery_mixnet_runs (run_id),
+  round INTEGER NOT NULL,
+  node_id VARCHAR(64) NOT NULL,
+  input_hash VARCHAR(64) NOT NULL,
+  output_hash VARCHAR(64) NOT NULL,
+  output JSONB NOT NULL,
+  proof JSONB NOT NULL,
+  signature TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (run_id, round)
+);
+
+-- Tally sessions opened over mixnet output point at the run they read
+ALTER TABLE vottery_tally_sessions
+  ADD COLUMN IF NOT EXISTS mix_run_id UUID REFERENCES vottery_mixnet_runs (run_id);
@@ -0,0 +1,20 @@
+-- =============================================================================
+-- 006_eligibility_roll.sql - Eligibility roll with per-voter weights
+-- =============================================================================
+
+-- Voters allowed to vote in an election and the weight (e.g. share count)
+-- their ballot carries. Elections without roll entries are open and unweighted.
+CREATE TABLE IF NOT EXISTS vottery_eligibility_roll (
+  id SERIAL PRIMARY KEY,
+  election_id UUID NOT NULL,
+  user_id VARCHAR(64) NOT NULL,
+  weight BIGINT NOT NULL DEFAULT 1 CHECK (weight > 0),
+  added_by VARCHAR(64),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (election_id, user_id)
+);
+
+-- The weight applied to each ballot, copied from the roll when it was cast
+ALTER TABLE vottery_encrypted_votes
+  ADD COLUMN IF NOT EXISTS weight BIGINT NOT NULL DEFAULT 1;
@@ -0,0 +1,23 @@
+-- =============================================================================
+-- 007_pending_ballots.sql - Benaloh cast-or-challenge ballots
+-- =============================================================================
+
+-- Encrypted ballots prepared for a voter but not yet recorded. Casting moves
+-- the ballot into vottery_encrypted_votes and drops its secrets; challenging
+-- spoils it and its secrets (encryption randomness and plaintext) become public.
+CREATE TABLE IF NOT EXISTS vottery_pending_ballots (
+  id SERIAL PRIMARY KEY,
+  ballot_id UUID NOT NULL UNIQUE,
+  election_id UUID NOT NULL,
+  user_id VARCHAR(64) NOT NULL,
+  status VARCHAR(32) NOT NULL DEFAULT 'pending',
+  tracking_code VARCHAR(64) NOT NULL,
+  ballot JSONB NOT NULL,
+  secrets JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  resolved_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_pending_ballots_election_status
+  ON vottery_pending_ballots (election_id, status);
@@ -0,0 +1,21 @@
+-- =============================================================================
+-- 008_receipt_lifecycle.sql - Receipt expiry policies and revocation
+-- =============================================================================
+
+-- Per-election receipt expiry: a fixed expiry date, or a number of days after
+-- each receipt is issued. Elections without a policy issue non-expiring receipts.
+CREATE TABLE IF NOT EXISTS vottery_receipt_policies (
+  id SERIAL PRIMARY KEY,
+  election_id UUID NOT NULL UNIQUE,
+  validity_days INTEGER CHECK (validity_days > 0),
+  expires_at TIMESTAMP,
+  updated_by VARCHAR(64),
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Receipts of voided ballots are revoked, never deleted
+ALTER TABLE vottery_receipts
+  ADD COLUMN IF NOT EXISTS status VARCHAR(32) NOT NULL DEFAULT 'active',
+  ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS revoked_by VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS revocation_reason TEXT;
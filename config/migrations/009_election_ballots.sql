@@ -0,0 +1,18 @@
+-- =============================================================================
+-- 009_election_ballots.sql - Server-side ballot definition per election
+-- =============================================================================
+
+-- The candidate list, ballot type and ballot rules (selection limits, score
+-- range) every ballot of an election is prepared and proven against. Voters
+-- never supply them, so one request can neither split an election's ballots
+-- across candidate lists nor loosen the rules its own proof is checked against.
+CREATE TABLE IF NOT EXISTS vottery_election_ballots (
+  id SERIAL PRIMARY KEY,
+  election_id UUID NOT NULL UNIQUE,
+  candidates JSONB NOT NULL,
+  ballot_type VARCHAR(32) NOT NULL DEFAULT 'plurality',
+  ballot_rules JSONB NOT NULL DEFAULT '{}',
+  defined_by VARCHAR(64),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
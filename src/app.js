@@ -18,6 +18,9 @@ import cryptoRoutes from './routes/cryptoRoutes.js';
 import homomorphicRoutes from './routes/homomorphicRoutes.js';
 import zkProofRoutes from './routes/zkProofRoutes.js';
 
+// Import services
+import ReceiptGeneration from './services/receiptGeneration.js';
+
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
 import { requestLogger } from './middleware/logger.js';
@@ -74,6 +77,19 @@ const limiter = rateLimit({
 });
 
 app.use(limiter);
+
+// Public ballot lookups are unauthenticated, so they get a much tighter limit
+// to keep verification and tracking codes from being enumerated
+const ballotCheckLimiter = rateLimit({
+  windowMs: parseInt(process.env.BALLOT_CHECK_WINDOW_MS) || 15 * 60 * 1000,
+  max: parseInt(process.env.BALLOT_CHECK_MAX_REQUESTS) || 30,
+  message: 'Too many ballot checks from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+app.use('/api/crypto/ballots/check', ballotCheckLimiter);
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -99,6 +115,20 @@ app.get('/health', async (req, res) => {
   }
 });
 
+// Receipt verification keys (active and rotated-out) by key id
+app.get('/.well-known/vottery-receipt-keys.json', (req, res) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json({ keys: new ReceiptGeneration().publishedKeys() });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Receipt signing keys are not configured',
+      error: error.message
+    });
+  }
+});
+
 // API routes
 app.use('/api/crypto', cryptoRoutes);
 app.use('/api/homomorphic', homomorphicRoutes);
@@ -119,6 +149,11 @@ app.use('*', (req, res) => {
 // Initialize and start server
 const startServer = async () => {
   try {
+    // Voter nullifiers are keyed by NULLIFIER_SECRET; without it no vote can be cast
+    if (!process.env.NULLIFIER_SECRET) {
+      throw new Error('NULLIFIER_SECRET must be set');
+    }
+
     // Initialize database connection
     console.log('🔌 Initializing database connection...');
     await initializeDatabase();
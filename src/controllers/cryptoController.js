@@ -2,18 +2,31 @@ import HomomorphicEncryption from '../services/homomorphicEncryption.js';
 import ZeroKnowledgeProof from '../services/zeroKnowledgeProof.js';
 import Mixnets from '../services/mixnets.js';
 import ReceiptGeneration from '../services/receiptGeneration.js';
+import TallyComputation from '../services/tallyComputation.js';
+import BallotEncoding from '../services/ballotEncoding.js';
 import EncryptedVote from '../models/EncryptedVote.js';
 import { Receipt } from '../models/Receipt.js';
 import { AuditLog } from '../models/AuditLog.js';
+import { TallySession } from '../models/TallySession.js';
+import { MixnetRun } from '../models/MixnetRun.js';
+import { EligibilityRoll } from '../models/EligibilityRoll.js';
+import { PendingBallot } from '../models/PendingBallot.js';
+import { ReceiptPolicy } from '../models/ReceiptPolicy.js';
+import { ElectionBallot } from '../models/ElectionBallot.js';
+import { CRYPTO_CONSTANTS } from '../utils/constants.js';
 import { v4 as uuidv4 } from 'uuid';
+import { createHash } from 'node:crypto';
+import { isDeepStrictEqual } from 'node:util';
 import pool from '../../config/database.js';
 
 class CryptoController {
   constructor() {
     this.homomorphic = new HomomorphicEncryption();
     this.zkProof = new ZeroKnowledgeProof();
-    this.mixnets = new Mixnets();
+    this.mixnets = new Mixnets(this.homomorphic);
     this.receiptGen = new ReceiptGeneration();
+    this.tallyComputation = new TallyComputation(this.homomorphic);
+    this.ballotEncoding = new BallotEncoding();
   }
 
   // Helper function to convert BigInt to string
@@ -34,10 +47,10 @@ class CryptoController {
   }
 
 
-  async loadElectionKeys(electionId, includePrivateKey = false, userRole = null) {
+  async loadElectionKeys(electionId) {
   try {
     const keyQuery = `
-      SELECT public_key, private_key_shares, key_size, key_status, threshold_n, threshold_k
+      SELECT key_id, public_key, private_key_shares, key_size, key_status, threshold_n, threshold_k
       FROM vottery_homomorphic_keys 
       WHERE election_id = $1 AND key_status = 'active'
     `;
@@ -48,32 +61,12 @@ class CryptoController {
       return null;
     }
     
-    const keyData = result.rows[0];
-    
-    // Set the public key in the homomorphic service
-    this.homomorphic.setPublicKey(keyData.public_key);
-    
-    // Load private key/shares for authorized operations (tally calculation)
-    if (includePrivateKey) {
-      console.log('Loading private keys for tally calculation...');
-      console.log('Key data available:', {
-        hasPrivateKeyShares: !!keyData.private_key_shares,
-        userRole: userRole
-      });
-      
-      // Check if user has permission for private key operations
-      if (this.hasPrivateKeyPermission(userRole)) {
-        if (keyData.private_key_shares) {
-          console.log('Setting private key shares...');
-          this.homomorphic.setPrivateKeyShares(keyData.private_key_shares);
-        } else {
-          console.error('No private key shares found in database');
-          throw new Error('Private key shares not found in database');
-        }
-      } else {
-        throw new Error(`User role '${userRole}' does not have permission to access private keys`);
-      }
-    }
+    // Keys are returned, never installed on the shared service: concurrent
+    // requests for other elections would otherwise swap them mid-request
+    const keyData = {
+      ...result.rows[0],
+      ...this.homomorphic.parsePublicKey(result.rows[0].public_key)
+    };
     
     return keyData;
   } catch (error) {
@@ -82,74 +75,283 @@ class CryptoController {
   }
 }
 
+  // Keys from a key dealing keep their shares with the trustees, not in the database
+  isTrusteeHeld(keyData) {
+    let shares = keyData.private_key_shares;
+    if (typeof shares === 'string') {
+      shares = JSON.parse(shares);
+    }
+    return shares?.custody === 'trustees';
+  }
+
   // Check if user role has permission to access private keys
   hasPrivateKeyPermission(userRole) {
     const authorizedRoles = ['Admin', 'Manager', 'Auditor'];
     return authorizedRoles.includes(userRole);
   }
 
-  // Process encrypted vote with full cryptographic pipeline
+  // Prepare an encrypted ballot with the full cryptographic pipeline. Nothing
+  // is recorded yet: the voter either casts the ballot (castVote) or
+  // challenges it (challengeVote) to check it encrypts their actual choice.
   async processVote(req, res) {
     try {
-      const { electionId, userId, vote, candidates, userRole } = req.body;
+      const { electionId, userId, vote, ranking, selections: approvals, scores, userRole } = req.body;
+      const selection = { vote, ranking, selections: approvals, scores };
+
+      // Candidates, ballot type and ballot rules come from the election, never
+      // from the voter - the validity proof is checked against these rules
+      const definition = await ElectionBallot.findByElection(electionId);
+      if (!definition) {
+        return res.status(409).json({
+          success: false,
+          message: 'The ballot for this election has not been defined'
+        });
+      }
+
+      const mismatch = this.ballotDefinitionMismatch(definition, req.body);
+      if (mismatch) {
+        return res.status(400).json({
+          success: false,
+          message: mismatch
+        });
+      }
+
+      const { candidates, ballot_type: ballotType, ballot_rules: ballotRules } = definition;
 
       // Load keys for this election (only public key needed for voting)
-      const keyData = await this.loadElectionKeys(electionId, false);
+      const keyData = await this.loadElectionKeys(electionId);
       
       if (!keyData) {
         return res.status(400).json({
           success: false,
-          message: 'Election keys not found. Please generate keys first using /api/crypto/keys endpoint.'
+          message: 'Election keys not found. Deal them to the election trustees first using /api/crypto/keys.'
+        });
+      }
+
+      const selectionError = this.ballotEncoding.validateRules(ballotType, ballotRules, candidates) ||
+        this.ballotEncoding.validateSelection(ballotType, selection, candidates, ballotRules);
+      if (selectionError) {
+        return res.status(400).json({
+          success: false,
+          message: selectionError
+        });
+      }
+
+      const eligibility = await this.ballotEligibility(electionId, userId);
+      if (!eligibility.eligible) {
+        return res.status(403).json({
+          success: false,
+          message: 'Voter is not on the eligibility roll for this election'
         });
       }
 
       // Generate cryptographic components
+      const ballotId = uuidv4();
       const voteId = uuidv4();
+
+      // 1. Nullifier for double-vote prevention - deterministic per voter and
+      //    election, so a repeat vote is caught before any encryption work
+      const nullifier = this.zkProof.generateNullifier(userId, electionId);
+
+      if (await EncryptedVote.checkNullifierExists(nullifier.nullifier, electionId)) {
+        return res.status(409).json({
+          success: false,
+          message: 'A vote has already been cast for this election'
+        });
+      }
       
-      // 1. Homomorphic encryption
-      const encryptedVote = this.homomorphic.encrypt(vote);
-      
-      // 2. Zero-knowledge proof
-      const commitment = this.zkProof.generateCommitment(vote, encryptedVote.randomness);
-      const proof = this.zkProof.generateProof(vote, candidates, commitment);
+      // 2. Homomorphic encryption - one 0/1 ciphertext per entry of the ballot
+      //    type's layout (per candidate for plurality and approval, a rank x
+      //    candidate matrix for ranked ballots, a candidate x candidate
+      //    preference matrix for pairwise ballots) or each candidate's score,
+      //    so tallies stay per-candidate
+      const selections = this.ballotEncoding.encode(ballotType, selection, candidates);
+      const { publicKey } = keyData;
+      const encryptedBallot = this.homomorphic.encryptVector(selections, publicKey);
+      const ciphertexts = encryptedBallot.map(entry => entry.ciphertext);
       
-      // 3. Nullifier for double-vote prevention
-      const nullifier = this.zkProof.generateNullifier(userId, electionId, encryptedVote.randomness);
+      // 3. Zero-knowledge proofs: the ballot is well-formed, and the Pedersen
+      //    commitment holds the same vote as the ciphertexts (the first
+      //    preference on ranked ballots, the selection bitmask on approval
+      //    ballots, the score vector on score ballots, the pairwise win counts
+      //    on pairwise ballots)
+      const committedVote = this.ballotEncoding.committedVote(ballotType, selection, ballotRules);
+      const commitment = this.zkProof.generateCommitment(committedVote, null, electionId);
+      const proof = {
+        ...this.zkProof.generateBallotProof(
+          ballotType,
+          selection,
+          candidates,
+          encryptedBallot,
+          publicKey,
+          ballotRules
+        ),
+        commitmentEquality: this.zkProof.generateEqualityProof(
+          committedVote,
+          commitment,
+          this.ballotEncoding.committedSlice(encryptedBallot, candidates.length, ballotType),
+          publicKey,
+          this.ballotEncoding.commitmentFold(ballotType, candidates.length, ballotRules)
+        ),
+        nullifier: {
+          publicKey: nullifier.publicKey,
+          proof: nullifier.proof
+        }
+      };
       
       // 4. Prepare for mixnet processing
       const mixnetData = {
-        encryptedVote: encryptedVote.ciphertext,
+        ciphertexts,
         timestamp: Date.now(),
         round: 0
       };
 
-      // Store encrypted vote
-      const voteData = {
-        vote_id: voteId,
+      // Hold the ballot until the voter casts or challenges it. The secrets
+      // are dropped on cast and published on challenge.
+      const trackingCode = await this.calculateVoteHash(voteId, { ciphertexts });
+      const pending = await PendingBallot.create({
+        ballot_id: ballotId,
         election_id: electionId,
         user_id: userId,
-        encrypted_vote: encryptedVote,
-        homomorphic_data: {
-          ciphertext: encryptedVote.ciphertext,
-          publicKey: this.serializeBigInt(this.homomorphic.publicKey)
+        tracking_code: trackingCode,
+        ballot: {
+          vote_id: voteId,
+          encrypted_vote: { ciphertexts },
+          homomorphic_data: {
+            ciphertexts,
+            candidates,
+            ballotType,
+            ballotRules,
+            publicKey: this.serializeBigInt(publicKey)
+          },
+          zk_proof: proof,
+          mixnet_data: mixnetData,
+          commitment: commitment.commitment,
+          commitment_generators: commitment.generators,
+          nullifier: nullifier.nullifier,
+          vote_hash: trackingCode,
+          encryption_version: '2.0'
+        },
+        secrets: {
+          selection,
+          plaintexts: selections,
+          randomness: encryptedBallot.map(entry => entry.randomness),
+          commitmentOpening: {
+            vote: commitment.voteScalar,
+            randomness: commitment.randomnessScalar
+          }
         },
-        zk_proof: proof,
-        mixnet_data: mixnetData,
-        commitment: commitment.commitment,
-        nullifier: nullifier.nullifier,
-        vote_hash: await this.calculateVoteHash(voteId, encryptedVote),
-        encryption_version: '1.0'
+        expires_at: new Date(Date.now() + CRYPTO_CONSTANTS.PENDING_BALLOT_TTL_MINUTES * 60 * 1000)
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Ballot encrypted. Cast it to record your vote, or challenge it to audit the encryption.',
+        data: {
+          ballotId,
+          trackingCode,
+          expiresAt: pending.expires_at,
+          ballotType,
+          candidates,
+          ciphertexts,
+          weight: eligibility.weight,
+          cryptoProofs: {
+            commitment: commitment.commitment,
+            commitmentGenerators: commitment.generators,
+            nullifier: nullifier.nullifier,
+            zkProofValid: true
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Vote processing error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to process vote',
+        error: error.message
+      });
+    }
+  }
+
+  // Record a prepared ballot: it joins the bulletin board and the tally, and
+  // its encryption randomness is discarded
+  async castVote(req, res) {
+    try {
+      const { ballotId } = req.params;
+      const { userId } = req.body;
+
+      const pending = await PendingBallot.findById(ballotId);
+      const unavailable = this.pendingBallotError(pending, userId);
+      if (unavailable) {
+        return res.status(unavailable.status).json({ success: false, message: unavailable.message });
+      }
+
+      const electionId = pending.election_id;
+
+      // The definition may have changed before the first vote was cast
+      const definition = await ElectionBallot.findByElection(electionId);
+      if (!definition || this.ballotDefinitionMismatch(definition, pending.ballot.homomorphic_data)) {
+        return res.status(409).json({
+          success: false,
+          message: 'The election ballot has changed since this ballot was prepared; prepare a new one'
+        });
+      }
+
+      // The roll is re-read so the weight is the one in force when the vote is cast
+      const eligibility = await this.ballotEligibility(electionId, userId);
+      if (!eligibility.eligible) {
+        return res.status(403).json({
+          success: false,
+          message: 'Voter is not on the eligibility roll for this election'
+        });
+      }
+      const { weight, rollEntry } = eligibility;
+
+      // Claim the ballot first so a concurrent challenge cannot reveal the
+      // randomness of a ballot that ends up counted
+      const claimed = await PendingBallot.markCast(ballotId);
+      if (!claimed) {
+        return res.status(409).json({
+          success: false,
+          message: 'Ballot is no longer pending'
+        });
+      }
+
+      const { commitment_generators: commitmentGenerators, ...ballot } = pending.ballot;
+      const voteId = ballot.vote_id;
+      const voteData = {
+        ...ballot,
+        election_id: electionId,
+        user_id: userId,
+        weight
       };
 
-      const savedVote = await EncryptedVote.create(voteData);
+      let savedVote;
+      try {
+        savedVote = await EncryptedVote.create(voteData);
+      } catch (error) {
+        await PendingBallot.reopen(ballotId, pending.secrets);
+        // Unique (election_id, nullifier) - a concurrent repeat vote lost the race
+        if (error.code === '23505') {
+          return res.status(409).json({
+            success: false,
+            message: 'A vote has already been cast for this election'
+          });
+        }
+        throw error;
+      }
 
-      // 5. Generate digital receipt
+      // 5. Generate digital receipt; the ballot's vote hash doubles as its
+      //    public tracking code
       const receipt = this.receiptGen.generateReceipt(
-        { voteId, electionId, userId, electionHash: 'election_hash_placeholder' },
-        { commitment: commitment.commitment },
-        proof
+        { voteId, electionId, userId, trackingCode: voteData.vote_hash, electionHash: 'election_hash_placeholder' },
+        { commitment: voteData.commitment, generators: commitmentGenerators },
+        voteData.zk_proof
       );
 
+      // Expiry follows the election's receipt policy at the time of casting
+      const receiptExpiresAt = this.receiptGen.receiptExpiry(await ReceiptPolicy.findByElection(electionId));
       await Receipt.create({
         receipt_id: receipt.receiptId,
         vote_id: voteId,
@@ -157,7 +359,9 @@ class CryptoController {
         user_id: userId,
         receipt_hash: receipt.receiptHash,
         verification_code: receipt.verificationCode,
-        receipt_data: receipt.receiptData
+        receipt_data: receipt.receiptData,
+        receipt_version: receipt.receiptData.receiptVersion,
+        expires_at: receiptExpiresAt
       });
 
       // 6. Log audit trail
@@ -168,6 +372,9 @@ class CryptoController {
         actor_id: userId,
         details: {
           voteId,
+          ballotId,
+          weight,
+          rollEntryHash: rollEntry ? this.rollEntryHash(rollEntry) : null,
           timestamp: new Date().toISOString(),
           cryptoComponents: ['homomorphic', 'zkproof', 'nullifier']
         },
@@ -179,134 +386,187 @@ class CryptoController {
         success: true,
         message: 'Vote processed successfully',
         data: {
-          voteId,
+          voteId: savedVote.vote_id,
+          weight,
           receipt: {
             receiptId: receipt.receiptId,
             verificationCode: receipt.verificationCode,
-            receiptHash: receipt.receiptHash
+            trackingCode: voteData.vote_hash,
+            receiptHash: receipt.receiptHash,
+            signature: receipt.signature,
+            expiresAt: receiptExpiresAt
           },
           cryptoProofs: {
-            commitment: commitment.commitment,
-            nullifier: nullifier.nullifier,
+            commitment: voteData.commitment,
+            commitmentGenerators,
+            nullifier: voteData.nullifier,
             zkProofValid: true
           }
         }
       });
 
     } catch (error) {
-      console.error('Vote processing error:', error);
+      console.error('Vote cast error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to process vote',
+        message: 'Failed to cast vote',
         error: error.message
       });
     }
   }
 
-  // Generate election keys and store in database
-  async generateElectionKeys(req, res) {
-  try {
-    const { electionId, userRole, userId } = req.body;
+  // Benaloh challenge: spoil a prepared ballot and reveal its randomness and
+  // plaintext so anyone can re-encrypt and compare. A spoiled ballot is never
+  // counted; the voter prepares a fresh one to vote.
+  async challengeVote(req, res) {
+    try {
+      const { ballotId } = req.params;
+      const { userId } = req.body;
 
-    // Check if keys already exist for this election
-    const existingKeysQuery = `
-      SELECT key_id FROM vottery_homomorphic_keys 
-      WHERE election_id = $1 AND key_status = 'active'
-    `;
-    
-    const existingResult = await pool.query(existingKeysQuery, [electionId]);
-    
-    if (existingResult.rows.length > 0) {
-      return res.status(409).json({
+      const pending = await PendingBallot.findById(ballotId);
+      const unavailable = this.pendingBallotError(pending, userId);
+      if (unavailable) {
+        return res.status(unavailable.status).json({ success: false, message: unavailable.message });
+      }
+
+      const spoiled = await PendingBallot.markSpoiled(ballotId);
+      if (!spoiled) {
+        return res.status(409).json({
+          success: false,
+          message: 'Ballot is no longer pending'
+        });
+      }
+
+      const audit = this.describeSpoiledBallot(spoiled);
+
+      await AuditLog.create({
+        log_id: uuidv4(),
+        election_id: spoiled.election_id,
+        action_type: 'BALLOT_SPOILED',
+        actor_id: userId,
+        details: {
+          ballotId,
+          trackingCode: spoiled.tracking_code,
+          ciphertextsHash: createHash('sha256').update(JSON.stringify(audit.ciphertexts)).digest('hex'),
+          openingValid: audit.openingValid,
+          timestamp: new Date().toISOString()
+        },
+        hash_chain: await this.calculateHashChain(`spoiled:${ballotId}`, spoiled.election_id),
+        previous_hash: 'previous_hash_placeholder'
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Ballot spoiled. It will not be counted; prepare a new ballot to vote.',
+        data: audit
+      });
+
+    } catch (error) {
+      console.error('Ballot challenge error:', error);
+      res.status(500).json({
         success: false,
-        message: 'Keys already exist for this election'
+        message: 'Failed to challenge ballot',
+        error: error.message
       });
     }
+  }
 
-    // Generate homomorphic encryption keys
-    const keys = await this.homomorphic.generateKeys();
+  // Spoiled ballots of an election with their revealed secrets, published
+  // apart from the cast ballots
+  async getSpoiledBallots(req, res) {
+    try {
+      const { electionId } = req.params;
+      const spoiled = await PendingBallot.findSpoiledByElection(electionId);
 
-    console.log('Generated keys structure:', {
-      hasPublicKey: !!keys.publicKey,
-      hasPrivateKey: !!keys.privateKey,
-      hasPrivateKeyShares: !!keys.privateKeyShares,
-      thresholdN: keys.thresholdN,
-      thresholdK: keys.thresholdK
-    });
+      res.status(200).json({
+        success: true,
+        message: 'Spoiled ballots retrieved',
+        data: {
+          electionId,
+          count: spoiled.length,
+          ballots: spoiled.map(ballot => this.describeSpoiledBallot(ballot))
+        }
+      });
 
-    // Store keys in database - CRITICAL: Store the actual private key as shares
-    const privateKeyForStorage = keys.privateKeyShares || keys.privateKey;
-    
-    const insertKeyQuery = `
-      INSERT INTO vottery_homomorphic_keys (
-        election_id, 
-        public_key, 
-        private_key_shares,
-        key_size, 
-        threshold_n,
-        threshold_k,
-        generated_by,
-        key_status
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      RETURNING key_id
-    `;
-    
-    const keyResult = await pool.query(insertKeyQuery, [
-      electionId,
-      JSON.stringify(this.serializeBigInt(keys.publicKey)),
-      JSON.stringify(this.serializeBigInt(privateKeyForStorage)), // Store private key as shares
-      this.homomorphic.keySize || 2048,
-      keys.thresholdN || 3,
-      keys.thresholdK || 2,
-      userId,
-      'active'
-    ]);
-
-    console.log('Keys stored in database successfully');
-
-    // Log audit trail
-    await AuditLog.create({
-      log_id: uuidv4(),
-      election_id: electionId,
-      action_type: 'KEYS_GENERATED',
-      actor_id: userId || 'system',
-      details: {
-        keyType: 'homomorphic',
-        keySize: this.homomorphic.keySize || 2048,
-        keyId: keyResult.rows[0].key_id,
-        thresholdN: keys.thresholdN || 3,
-        thresholdK: keys.thresholdK || 2,
-        timestamp: new Date().toISOString()
-      },
-      hash_chain: await this.calculateHashChain('keys', electionId),
-      previous_hash: 'previous_hash_placeholder'
-    });
+    } catch (error) {
+      console.error('Spoiled ballot retrieval error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve spoiled ballots',
+        error: error.message
+      });
+    }
+  }
 
-    res.status(201).json({
-      success: true,
-      message: 'Election keys generated successfully',
-      data: {
-        electionId,
-        keyId: keyResult.rows[0].key_id,
-        publicKey: this.serializeBigInt(keys.publicKey),
-        keyGenerated: true,
-        thresholdConfig: {
-          n: keys.thresholdN || 3,
-          k: keys.thresholdK || 2
-        },
-        timestamp: new Date().toISOString()
-      }
-    });
+  // null when the ballot can still be cast or challenged by this voter
+  pendingBallotError(pending, userId) {
+    if (!pending) {
+      return { status: 404, message: 'Ballot not found' };
+    }
+    if (pending.user_id !== String(userId)) {
+      return { status: 403, message: 'Ballot was prepared for another voter' };
+    }
+    if (pending.status !== 'pending') {
+      return { status: 409, message: `Ballot has already been ${pending.status}` };
+    }
+    if (new Date(pending.expires_at) <= new Date()) {
+      return { status: 409, message: 'Ballot has expired; prepare a new one' };
+    }
+    return null;
+  }
 
-  } catch (error) {
-    console.error('Key generation error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to generate keys',
-      error: error.message
-    });
+  // Public view of a spoiled ballot - no voter id, vote id or nullifier
+  describeSpoiledBallot(spoiled) {
+    const { homomorphic_data: ballotData, commitment } = spoiled.ballot;
+    const { selection, plaintexts, randomness, commitmentOpening } = spoiled.secrets;
+
+    return {
+      ballotId: spoiled.ballot_id,
+      electionId: spoiled.election_id,
+      trackingCode: spoiled.tracking_code,
+      spoiledAt: spoiled.resolved_at,
+      ballotType: ballotData.ballotType,
+      candidates: ballotData.candidates,
+      ballotRules: ballotData.ballotRules,
+      publicKey: ballotData.publicKey,
+      ciphertexts: ballotData.ciphertexts,
+      selection,
+      plaintexts,
+      randomness,
+      commitment,
+      commitmentOpening,
+      // Re-encrypting each plaintext with its revealed randomness gives the ciphertext
+      openingValid: ballotData.ciphertexts.every((ciphertext, index) =>
+        this.homomorphic.verifyEncryptionOpening(ciphertext, plaintexts[index], randomness[index], ballotData.publicKey)
+      )
+    };
   }
-}
+
+  // Error message when a ballot names another ballot type, candidate list or
+  // rules than the election's; candidates and rules may be left out
+  ballotDefinitionMismatch(definition, { ballotType = 'plurality', candidates, ballotRules } = {}) {
+    if (ballotType !== definition.ballot_type) {
+      return `This election uses ${definition.ballot_type} ballots`;
+    }
+    if (candidates && !isDeepStrictEqual(candidates, definition.candidates)) {
+      return 'Candidate list does not match the election ballot';
+    }
+    if (ballotRules && !isDeepStrictEqual(ballotRules, definition.ballot_rules)) {
+      return 'Ballot rules do not match the election ballot';
+    }
+    return null;
+  }
+
+  // Elections with an eligibility roll only accept voters on it, and their
+  // ballots carry the roll weight; elections without one are unweighted
+  async ballotEligibility(electionId, userId) {
+    const rollEntry = await EligibilityRoll.findEntry(electionId, userId);
+    if (!rollEntry && await EligibilityRoll.countByElection(electionId) > 0) {
+      return { eligible: false };
+    }
+    return { eligible: true, rollEntry, weight: rollEntry ? rollEntry.weight : 1 };
+  }
+
   // async generateElectionKeys(req, res) {
   //   try {
   //     const { electionId, userRole, userId } = req.body;
@@ -399,10 +659,11 @@ class CryptoController {
   //   }
   // }
 
-  // Homomorphic tally calculation
+  // Tallies are decrypted in tally sessions from the trustees' partial
+  // decryptions; this service never holds enough of a key to decrypt alone
   async calculateTally(req, res) {
     try {
-      const { electionId, userRole, userId } = req.body;
+      const { electionId, userRole } = req.body;
 
       // Verify user has permission to calculate tally
       if (!this.hasPrivateKeyPermission(userRole)) {
@@ -412,9 +673,8 @@ class CryptoController {
         });
       }
 
-      // Load keys for this election (including private key for decryption)
-      const keyData = await this.loadElectionKeys(electionId, true, userRole);
-      
+      const keyData = await this.loadElectionKeys(electionId);
+
       if (!keyData) {
         return res.status(400).json({
           success: false,
@@ -422,81 +682,18 @@ class CryptoController {
         });
       }
 
-      // Get all encrypted votes for election
-      const encryptedVotes = await EncryptedVote.findByElection(electionId);
-      
-      if (encryptedVotes.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'No votes found for election'
-        });
-      }
-
-      // Extract homomorphic data
-      const homomorphicVotes = encryptedVotes.map(vote => ({
-        ciphertext: vote.homomorphic_data.ciphertext,
-        voteId: vote.vote_id
-      }));
-
-      // Perform homomorphic addition
-      const homomorphicSum = this.homomorphic.addEncrypted(
-        homomorphicVotes,
-        this.homomorphic.publicKey
-      );
-
-      // Decrypt the result using threshold decryption or direct decryption
-      let totalVotes;
-      try {
-        if (keyData.threshold_k && keyData.threshold_n) {
-          // Use threshold decryption
-          totalVotes = this.homomorphic.thresholdDecrypt(
-            homomorphicSum, 
-            keyData.threshold_k
-          );
-        } else {
-          // Use direct decryption (for testing/development)
-          totalVotes = this.homomorphic.decrypt(homomorphicSum);
-        }
-      } catch (decryptError) {
-        console.error('Decryption failed:', decryptError);
-        return res.status(500).json({
+      // Key rows from before key dealing store the whole private key, and
+      // decrypting with it would put that key back in this process
+      if (!this.isTrusteeHeld(keyData)) {
+        return res.status(409).json({
           success: false,
-          message: 'Failed to decrypt tally. Private key configuration issue.',
-          error: decryptError.message
+          message: 'This election key predates key dealing and is not held by trustees, so its ballots cannot be decrypted'
         });
       }
 
-      // Log audit trail
-      await AuditLog.create({
-        log_id: uuidv4(),
-        election_id: electionId,
-        action_type: 'TALLY_CALCULATED',
-        actor_id: userId || 'system',
-        details: {
-          totalVotes,
-          encryptedVotesCount: encryptedVotes.length,
-          homomorphicSum: homomorphicSum.toString(),
-          decryptionMethod: keyData.threshold_k ? 'threshold' : 'direct',
-          timestamp: new Date().toISOString()
-        },
-        hash_chain: await this.calculateHashChain('tally', electionId),
-        previous_hash: 'previous_hash_placeholder'
-      });
-
-      res.status(200).json({
-        success: true,
-        message: 'Tally calculated successfully',
-        data: {
-          electionId,
-          totalVotes,
-          encryptedVotesCount: encryptedVotes.length,
-          homomorphicSum: homomorphicSum.toString(),
-          decryptionMethod: keyData.threshold_k ? 'threshold' : 'direct',
-          verificationData: {
-            publicKey: this.serializeBigInt(this.homomorphic.publicKey),
-            timestamp: new Date().toISOString()
-          }
-        }
+      res.status(409).json({
+        success: false,
+        message: 'Election key shares are held by trustees. Open a tally session using /api/crypto/tally/sessions.'
       });
 
     } catch (error) {
@@ -532,21 +729,63 @@ class CryptoController {
       }
 
       // Load keys for verification
-      await this.loadElectionKeys(vote.election_id);
+      const keyData = await this.loadElectionKeys(vote.election_id);
+      if (!keyData) {
+        return res.status(400).json({
+          success: false,
+          message: 'Election keys not found'
+        });
+      }
 
-      // Verify zero-knowledge proof
-      const zkVerification = this.zkProof.verifyProof(
-        vote.zk_proof,
-        vote.commitment,
-        ['candidate1', 'candidate2'] // Should come from election data
-      );
+      // Verify the ballot validity proof against the stored ciphertexts
+      const ballotData = vote.homomorphic_data;
+      const ballotType = ballotData?.ballotType || 'plurality';
+      const zkVerification = Array.isArray(ballotData?.ciphertexts)
+        ? this.zkProof.verifyBallotProof(
+          ballotType,
+          vote.zk_proof,
+          ballotData.ciphertexts,
+          ballotData.candidates,
+          keyData.publicKey,
+          ballotData.ballotRules
+        )
+        : { isValid: false, reason: 'Ballot predates per-candidate encryption and carries no validity proof' };
+
+      // The commitment must open to the same vote the ciphertexts encrypt
+      const commitmentVerification = Array.isArray(ballotData?.ciphertexts)
+        ? this.zkProof.verifyEqualityProof(
+          vote.zk_proof?.commitmentEquality,
+          vote.commitment,
+          this.ballotEncoding.committedSlice(ballotData.ciphertexts, ballotData.candidates.length, ballotType),
+          keyData.publicKey,
+          this.ballotEncoding.commitmentFold(ballotType, ballotData.candidates.length, ballotData.ballotRules)
+        )
+        : { isValid: false, reason: 'Ballot predates per-candidate encryption and carries no commitment proof' };
+
+      // Shows the nullifier was derived for this election from the secret
+      // behind the ballot's nullifier public key - not whose key that is. Only
+      // the server ties keys to voters (via NULLIFIER_SECRET); see the README.
+      const nullifierVerification = vote.zk_proof?.nullifier
+        ? {
+          isValid: this.zkProof.verifyNullifierProof({ nullifier: vote.nullifier, ...vote.zk_proof.nullifier }, vote.election_id)
+        }
+        : { isValid: false, reason: 'Ballot carries no nullifier proof' };
 
       // Verify receipt if verification code provided
       let receiptVerification = null;
       if (verificationCode) {
         const receipt = await Receipt.findByCode(verificationCode);
         if (receipt) {
-          receiptVerification = this.receiptGen.verifyReceipt(receipt.receipt_data);
+          const lifecycle = this.receiptGen.receiptStatus(receipt);
+          const integrity = this.receiptGen.verifyReceipt(receipt.receipt_data);
+          receiptVerification = {
+            ...integrity,
+            ...lifecycle,
+            isValid: integrity.isValid && lifecycle.status === 'valid'
+          };
+          if (lifecycle.status === 'valid') {
+            await Receipt.markVerified(receipt.receipt_id);
+          }
         }
       }
 
@@ -558,9 +797,12 @@ class CryptoController {
           electionId: vote.election_id,
           verification: {
             zkProof: zkVerification,
+            commitment: commitmentVerification,
+            nullifier: nullifierVerification,
             receipt: receiptVerification,
             timestamp: vote.created_at,
-            verified: zkVerification.isValid && (receiptVerification?.isValid ?? true)
+            verified: zkVerification.isValid && commitmentVerification.isValid &&
+              nullifierVerification.isValid && (receiptVerification?.isValid ?? true)
           }
         }
       });
@@ -575,59 +817,819 @@ class CryptoController {
     }
   }
 
-  // Process votes through mixnet
-  async processMixnet(req, res) {
+  // Public "check my ballot" lookup by receipt verification code or ballot
+  // tracking code. Reports only what the bulletin board already shows - never
+  // the voter, vote id or nullifier.
+  async checkBallot(req, res) {
     try {
-      const { electionId, userRole } = req.body;
+      const { code } = req.params;
+      let vote = null;
+      let receipt = null;
+
+      if (/^[0-9a-f]{64}$/i.test(code)) {
+        vote = await EncryptedVote.findByVoteHash(code.toLowerCase());
+      } else if (/^[0-9a-f]{12}$/i.test(code)) {
+        receipt = await Receipt.findByCode(code.toUpperCase());
+        if (receipt) {
+          const lifecycle = this.receiptGen.receiptStatus(receipt);
+          if (lifecycle.status !== 'valid') {
+            return this.receiptUnavailable(res, lifecycle);
+          }
+          await Receipt.markVerified(receipt.receipt_id);
+        }
+        vote = receipt ? await EncryptedVote.findByVoteId(receipt.vote_id) : null;
+      } else {
+        return res.status(400).json({
+          success: false,
+          message: 'Enter a 12-character verification code or a 64-character tracking code'
+        });
+      }
 
-      // Get all encrypted votes
-      const encryptedVotes = await EncryptedVote.findByElection(electionId);
-      
-      // Process through mixnet
-      const mixnetResult = await this.mixnets.shuffleVotes(
-        encryptedVotes.map(vote => vote.mixnet_data)
-      );
+      if (!vote) {
+        return res.status(404).json({
+          success: false,
+          message: 'No ballot found for this code'
+        });
+      }
 
-      // Log audit trail
-      await AuditLog.create({
-        log_id: uuidv4(),
-        election_id: electionId,
-        action_type: 'MIXNET_PROCESSED',
-        actor_id: req.body.userId || 'system',
-        details: {
-          inputVotes: encryptedVotes.length,
-          mixNodes: mixnetResult.mixNodes,
-          rounds: mixnetResult.rounds,
-          timestamp: new Date().toISOString()
-        },
-        hash_chain: await this.calculateHashChain('mixnet', electionId),
-        previous_hash: 'previous_hash_placeholder'
-      });
+      const ciphertexts = vote.homomorphic_data?.ciphertexts || vote.encrypted_vote?.ciphertexts || null;
 
       res.status(200).json({
         success: true,
-        message: 'Mixnet processing completed',
+        message: 'Ballot found on the bulletin board',
         data: {
-          electionId,
-          mixnetResult: {
-            shuffledVotes: mixnetResult.shuffledVotes.length,
-            proofs: mixnetResult.proofs,
-            statistics: this.mixnets.getStatistics()
-          }
+          electionId: vote.election_id,
+          trackingCode: vote.vote_hash,
+          onBulletinBoard: true,
+          castAt: vote.created_at,
+          ciphertextHash: ciphertexts
+            ? createHash('sha256').update(JSON.stringify(ciphertexts)).digest('hex')
+            : null,
+          tally: await this.ballotInclusion(vote),
+          receiptSignature: receipt
+            ? this.receiptGen.verifyReceipt(receipt.receipt_data).signature
+            : undefined
         }
       });
 
     } catch (error) {
-      console.error('Mixnet processing error:', error);
+      console.error('Ballot check error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to process mixnet',
+        message: 'Failed to check ballot',
         error: error.message
       });
     }
   }
 
-  // Helper methods
+  // Whether the latest tally of the ballot's election counted it: a released
+  // trustee session or a direct tally, whichever is newer
+  async ballotInclusion(vote) {
+    const session = await TallySession.findLatestReleased(vote.election_id);
+    const direct = await AuditLog.findLatestByAction(vote.election_id, 'TALLY_CALCULATED');
+    const latest = [
+      session && { type: 'session', talliedAt: session.released_at, includedVotes: session.included_votes },
+      direct && { type: 'direct', talliedAt: direct.timestamp, includedVotes: direct.action_data?.includedVotes }
+    ].filter(Boolean).sort((a, b) => new Date(b.talliedAt) - new Date(a.talliedAt))[0];
+
+    if (!latest) {
+      return { status: 'not_tallied' };
+    }
+
+    return {
+      status: (latest.includedVotes || []).includes(vote.vote_id) ? 'included' : 'not_included',
+      tallyType: latest.type,
+      talliedAt: latest.talliedAt
+    };
+  }
+
+  // 410 for a receipt that has expired or been revoked
+  receiptUnavailable(res, lifecycle) {
+    return res.status(410).json({
+      success: false,
+      message: lifecycle.status === 'revoked' ? 'Receipt has been revoked' : 'Receipt has expired',
+      data: lifecycle
+    });
+  }
+
+  // Set an election's receipt expiry policy: a fixed expiry date or a number
+  // of days after issue (neither clears it). Applies to receipts already issued.
+  async setReceiptPolicy(req, res) {
+    try {
+      const { electionId, validityDays = null, expiresAt = null, userId } = req.body;
+
+      const policy = await ReceiptPolicy.upsert({
+        election_id: electionId,
+        validity_days: validityDays,
+        expires_at: expiresAt,
+        updated_by: userId
+      });
+      const receiptsUpdated = await Receipt.applyExpiryPolicy(electionId, validityDays, expiresAt);
+
+      await AuditLog.create({
+        log_id: uuidv4(),
+        election_id: electionId,
+        action_type: 'RECEIPT_POLICY_UPDATED',
+        actor_id: userId,
+        details: {
+          validityDays,
+          expiresAt,
+          receiptsUpdated,
+          timestamp: new Date().toISOString()
+        },
+        hash_chain: await this.calculateHashChain('receipt_policy', electionId),
+        previous_hash: 'previous_hash_placeholder'
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Receipt policy updated',
+        data: {
+          electionId,
+          validityDays: policy.validity_days,
+          expiresAt: policy.expires_at,
+          receiptsUpdated
+        }
+      });
+
+    } catch (error) {
+      console.error('Receipt policy update error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update receipt policy',
+        error: error.message
+      });
+    }
+  }
+
+  // Revoke the receipts of voided ballots; every revocation is audited
+  async revokeReceipts(req, res) {
+    try {
+      const { electionId, voteIds, reason, userId } = req.body;
+      const revoked = [];
+      const alreadyRevoked = [];
+      const notFound = [];
+
+      for (const voteId of voteIds) {
+        const receipt = await Receipt.findByVoteId(voteId);
+        if (!receipt || receipt.election_id !== electionId) {
+          notFound.push(voteId);
+          continue;
+        }
+
+        const updated = await Receipt.revoke(receipt.receipt_id, userId, reason);
+        if (!updated) {
+          alreadyRevoked.push(voteId);
+          continue;
+        }
+
+        await AuditLog.create({
+          log_id: uuidv4(),
+          election_id: electionId,
+          action_type: 'RECEIPT_REVOKED',
+          actor_id: userId,
+          details: {
+            receiptId: updated.receipt_id,
+            voteId,
+            receiptHash: updated.receipt_hash,
+            reason,
+            timestamp: new Date().toISOString()
+          },
+          hash_chain: await this.calculateHashChain(`revoke:${updated.receipt_id}`, electionId),
+          previous_hash: 'previous_hash_placeholder'
+        });
+        revoked.push({ voteId, receiptId: updated.receipt_id, revokedAt: updated.revoked_at });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: `${revoked.length} receipt(s) revoked`,
+        data: { electionId, revoked, alreadyRevoked, notFound }
+      });
+
+    } catch (error) {
+      console.error('Receipt revocation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke receipts',
+        error: error.message
+      });
+    }
+  }
+
+  // Printable receipt for a verification code
+  async getReceiptPDF(req, res) {
+    try {
+      const { verificationCode } = req.params;
+      const receipt = await Receipt.findByCode(verificationCode);
+
+      if (!receipt) {
+        return res.status(404).json({
+          success: false,
+          message: 'Receipt not found'
+        });
+      }
+
+      const lifecycle = this.receiptGen.receiptStatus(receipt);
+      if (lifecycle.status !== 'valid') {
+        return this.receiptUnavailable(res, lifecycle);
+      }
+
+      const pdf = await this.receiptGen.createReceiptPDF({
+        ...receipt.receipt_data,
+        receiptId: receipt.receipt_id,
+        electionId: receipt.election_id,
+        verificationCode: receipt.verification_code,
+        receiptHash: receipt.receipt_hash
+      });
+
+      res.status(200)
+        .set({
+          'Content-Type': pdf.format,
+          'Content-Disposition': `attachment; filename="${pdf.filename}"`,
+          'Content-Length': pdf.data.length
+        })
+        .send(pdf.data);
+
+    } catch (error) {
+      console.error('Receipt PDF error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate receipt PDF',
+        error: error.message
+      });
+    }
+  }
+
+  // Process votes through mixnet
+  async processMixnet(req, res) {
+    try {
+      const { electionId, userRole, tallyMode = 'homomorphic' } = req.body;
+      const userId = req.body.userId;
+
+      if (!CRYPTO_CONSTANTS.TALLY_MODES.includes(tallyMode)) {
+        return res.status(400).json({
+          success: false,
+          message: `Unsupported tally mode '${tallyMode}'`
+        });
+      }
+
+      // Mixing re-encrypts under the election public key - no private key needed
+      const keyData = await this.loadElectionKeys(electionId);
+
+      if (!keyData) {
+        return res.status(400).json({
+          success: false,
+          message: 'Election keys not found'
+        });
+      }
+
+      const ballots = this.tallyComputation.tallyableBallots(
+        await EncryptedVote.findByElection(electionId)
+      );
+
+      if (ballots.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'No per-candidate ballots found for election'
+        });
+      }
+
+      const candidates = this.tallyComputation.resolveCandidates(ballots);
+      if (!candidates) {
+        return res.status(409).json({
+          success: false,
+          message: 'Ballots for this election were cast against different candidate lists or ballot types'
+        });
+      }
+
+      const ballotType = this.tallyComputation.ballotType(ballots);
+      const ballotRules = this.tallyComputation.ballotRules(ballots);
+      if (!this.tallyComputation.supportsMode(tallyMode, ballotType)) {
+        return res.status(409).json({
+          success: false,
+          message: `Tally mode '${tallyMode}' cannot count ${ballotType} ballots; use 'mix-decrypt'`
+        });
+      }
+
+      // Mixing unlinks ballots from the voters whose weight they carry
+      if (this.tallyComputation.isWeighted(ballots)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Weighted ballots cannot be mixed; tally them homomorphically from the cast ballots'
+        });
+      }
+
+      const trusteeHeld = this.isTrusteeHeld(keyData);
+      if (trusteeHeld && await TallySession.findOpenByElection(electionId)) {
+        return res.status(409).json({
+          success: false,
+          message: 'A tally session is already open for this election'
+        });
+      }
+      
+      // Record the run before mixing so every round can be stored as it is accepted
+      const input = ballots.map(vote => ({ ciphertexts: vote.homomorphic_data.ciphertexts }));
+      const run = await MixnetRun.create({
+        run_id: uuidv4(),
+        election_id: electionId,
+        key_id: keyData.key_id,
+        distributed: this.mixnets.isDistributed(),
+        input,
+        input_hash: this.mixnets.hashBallots(input),
+        layout: { candidates, ballotType, ballotRules },
+        included_votes: ballots.map(vote => vote.vote_id),
+        created_by: userId
+      });
+
+      // Process through mixnet - one round per mix node when nodes are configured
+      let mixnetResult;
+      try {
+        mixnetResult = await this.mixnets.shuffleVotes(input, keyData.publicKey, electionId,
+          ({ round, output, proof }) => MixnetRun.addRound(run.run_id, {
+            round,
+            node_id: proof.nodeId,
+            input_hash: proof.inputHash,
+            output_hash: proof.outputHash,
+            output,
+            proof,
+            signature: proof.signature
+          })
+        );
+      } catch (error) {
+        await MixnetRun.markFailed(run.run_id, error.message);
+        throw error;
+      }
+
+      const completedRun = await MixnetRun.markCompleted(
+        run.run_id,
+        mixnetResult.transcript.length,
+        this.mixnets.hashBallots(mixnetResult.shuffledVotes)
+      );
+
+      // Hand the shuffled ballots to the tally stage: trustees decrypt the
+      // stored final round in a tally session - its per-candidate sums, or in
+      // 'mix-decrypt' mode every ballot ciphertext
+      let tallySession = null;
+      if (trusteeHeld) {
+        const shares = typeof keyData.private_key_shares === 'string'
+          ? JSON.parse(keyData.private_key_shares)
+          : keyData.private_key_shares;
+        const finalRound = await MixnetRun.getFinalRound(run.run_id);
+
+        tallySession = await TallySession.create(this.tallyComputation.buildSessionRecord({
+          electionId,
+          keyData,
+          dealingId: shares.dealingId,
+          input: this.tallyComputation.buildInput(
+            tallyMode, finalRound.output, candidates, ballotType, ballotRules, keyData.publicKey
+          ),
+          includedVotes: completedRun.included_votes,
+          source: 'mixnet',
+          mixRunId: run.run_id,
+          openedBy: userId,
+          mode: tallyMode
+        }));
+      }
+
+      // Log audit trail
+      await AuditLog.create({
+        log_id: uuidv4(),
+        election_id: electionId,
+        action_type: 'MIXNET_PROCESSED',
+        actor_id: userId || 'system',
+        details: {
+          mixRunId: run.run_id,
+          inputVotes: ballots.length,
+          mixNodes: mixnetResult.mixNodes,
+          rounds: mixnetResult.rounds,
+          distributed: mixnetResult.distributed,
+          nodeSignatures: mixnetResult.proofs.map(proof => ({
+            nodeId: proof.nodeId,
+            signature: proof.signature || null
+          })),
+          inputHash: completedRun.input_hash,
+          outputHash: completedRun.output_hash,
+          tallySessionId: tallySession?.session_id || null,
+          tallyMode: tallySession ? tallyMode : null,
+          timestamp: new Date().toISOString()
+        },
+        hash_chain: await this.calculateHashChain('mixnet', electionId),
+        previous_hash: 'previous_hash_placeholder'
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Mixnet processing completed',
+        data: {
+          electionId,
+          mixRunId: run.run_id,
+          mixnetResult: {
+            shuffledVotes: mixnetResult.shuffledVotes,
+            // Each round's output and shuffle proof - also stored and re-checkable
+            // via /api/crypto/mixnet/runs/:runId/verify
+            rounds: mixnetResult.transcript,
+            distributed: mixnetResult.distributed,
+            inputHash: completedRun.input_hash,
+            outputHash: completedRun.output_hash,
+            statistics: this.mixnets.getStatistics()
+          },
+          tallySessionId: tallySession?.session_id || null
+        }
+      });
+
+    } catch (error) {
+      console.error('Mixnet processing error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to process mixnet',
+        error: error.message
+      });
+    }
+  }
+
+
+  // Auditor check of a mixnet transcript: every round's shuffle proof against
+  // the previous round's output, under the election public key
+  async verifyMixnet(req, res) {
+    try {
+      const { electionId, input, rounds } = req.body;
+
+      const keyData = await this.loadElectionKeys(electionId);
+
+      if (!keyData) {
+        return res.status(400).json({
+          success: false,
+          message: 'Election keys not found'
+        });
+      }
+
+      const verification = this.mixnets.verifyMix(input, rounds, keyData.publicKey, electionId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Mixnet verification completed',
+        data: {
+          electionId,
+          inputCount: input.length,
+          ...verification
+        }
+      });
+
+    } catch (error) {
+      console.error('Mixnet verification error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to verify mixnet',
+        error: error.message
+      });
+    }
+  }
+
+  // Stored mixnet run with every round's output, proof and node signature
+  async getMixnetRun(req, res) {
+    try {
+      const run = await MixnetRun.findById(req.params.runId);
+
+      if (!run) {
+        return res.status(404).json({
+          success: false,
+          message: 'Mixnet run not found'
+        });
+      }
+
+      const rounds = await MixnetRun.getRounds(run.run_id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Mixnet run retrieved',
+        data: this.describeMixnetRun(run, rounds)
+      });
+
+    } catch (error) {
+      console.error('Mixnet run lookup error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve mixnet run',
+        error: error.message
+      });
+    }
+  }
+
+  // Re-run the audit of a stored mixnet run from the database alone: the
+  // recorded input must still match the cast ballots, rounds must chain by
+  // hash, and every shuffle proof (and node signature) must verify
+  async verifyMixnetRun(req, res) {
+    try {
+      const run = await MixnetRun.findById(req.params.runId);
+
+      if (!run) {
+        return res.status(404).json({
+          success: false,
+          message: 'Mixnet run not found'
+        });
+      }
+
+      const keyData = await this.loadElectionKeys(run.election_id);
+      if (!keyData) {
+        return res.status(400).json({
+          success: false,
+          message: 'Election keys not found'
+        });
+      }
+
+      const rounds = await MixnetRun.getRounds(run.run_id);
+
+      // The run's input must be exactly the stored ballots it claims to include
+      const votesById = new Map(
+        (await EncryptedVote.findByElection(run.election_id)).map(vote => [vote.vote_id, vote])
+      );
+      const castInput = run.included_votes.map(voteId => ({
+        ciphertexts: votesById.get(voteId)?.homomorphic_data?.ciphertexts || []
+      }));
+      const inputMatchesBallots = this.mixnets.hashBallots(castInput) === run.input_hash &&
+        this.mixnets.hashBallots(run.input) === run.input_hash;
+
+      const chainBreaks = rounds
+        .map((round, position) => {
+          const expectedInput = position === 0 ? run.input_hash : rounds[position - 1].output_hash;
+          const consistent = round.round === position &&
+            round.input_hash === expectedInput &&
+            this.mixnets.hashBallots(round.output) === round.output_hash;
+          return consistent ? null : round.round;
+        })
+        .filter(round => round !== null);
+
+      const proofs = this.mixnets.verifyMix(
+        run.input,
+        rounds.map(round => ({ output: round.output, proof: round.proof })),
+        keyData.publicKey,
+        run.election_id,
+        run.distributed
+      );
+      const outputMatches = rounds.length > 0 && rounds[rounds.length - 1].output_hash === run.output_hash;
+
+      const isValid = run.status === 'completed' && inputMatchesBallots &&
+        chainBreaks.length === 0 && proofs.isValid && outputMatches;
+
+      await AuditLog.create({
+        log_id: uuidv4(),
+        election_id: run.election_id,
+        action_type: 'MIXNET_RUN_VERIFIED',
+        actor_id: req.user?.id || req.body.userId || 'system',
+        details: {
+          mixRunId: run.run_id,
+          isValid,
+          inputMatchesBallots,
+          chainBreaks,
+          outputMatches,
+          timestamp: new Date().toISOString()
+        },
+        hash_chain: await this.calculateHashChain('mixnet-verify', run.election_id),
+        previous_hash: 'previous_hash_placeholder'
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Mixnet run verification completed',
+        data: {
+          mixRunId: run.run_id,
+          electionId: run.election_id,
+          status: run.status,
+          isValid,
+          inputMatchesBallots,
+          chainBreaks,
+          outputMatches,
+          rounds: proofs.rounds,
+          outputHash: run.output_hash
+        }
+      });
+
+    } catch (error) {
+      console.error('Mixnet run verification error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to verify mixnet run',
+        error: error.message
+      });
+    }
+  }
+
+  describeMixnetRun(run, rounds) {
+    return {
+      mixRunId: run.run_id,
+      electionId: run.election_id,
+      keyId: run.key_id,
+      status: run.status,
+      distributed: run.distributed,
+      input: run.input,
+      inputHash: run.input_hash,
+      layout: run.layout,
+      includedVotes: run.included_votes,
+      rounds: rounds.map(round => ({
+        round: round.round,
+        nodeId: round.node_id,
+        inputHash: round.input_hash,
+        outputHash: round.output_hash,
+        output: round.output,
+        proof: round.proof,
+        signature: round.signature
+      })),
+      outputHash: run.output_hash,
+      error: run.error,
+      createdAt: run.created_at,
+      completedAt: run.completed_at
+    };
+  }
+
+  // Set an election's candidate list, ballot type and ballot rules (approval
+  // selection limits, score range). Fixed once votes are cast.
+  async defineBallot(req, res) {
+    try {
+      const { electionId, candidates, ballotType = 'plurality', userId } = req.body;
+      const ballotRules = this.ballotEncoding.rules(ballotType, req.body, candidates);
+
+      if (await EncryptedVote.getElectionVoteCount(electionId) > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Votes have already been cast; the ballot can no longer change'
+        });
+      }
+
+      const rulesError = this.ballotEncoding.validateRules(ballotType, ballotRules, candidates);
+      if (rulesError) {
+        return res.status(400).json({
+          success: false,
+          message: rulesError
+        });
+      }
+
+      const definition = await ElectionBallot.upsert({
+        election_id: electionId,
+        candidates,
+        ballot_type: ballotType,
+        ballot_rules: ballotRules,
+        defined_by: userId
+      });
+
+      await AuditLog.create({
+        log_id: uuidv4(),
+        election_id: electionId,
+        action_type: 'BALLOT_DEFINED',
+        actor_id: userId,
+        details: {
+          candidates,
+          ballotType,
+          ballotRules,
+          timestamp: new Date().toISOString()
+        },
+        hash_chain: await this.calculateHashChain('ballot_definition', electionId),
+        previous_hash: 'previous_hash_placeholder'
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Election ballot defined',
+        data: this.describeBallotDefinition(definition)
+      });
+
+    } catch (error) {
+      console.error('Ballot definition error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to define ballot',
+        error: error.message
+      });
+    }
+  }
+
+  // Ballot voters prepare their votes against
+  async getBallotDefinition(req, res) {
+    try {
+      const definition = await ElectionBallot.findByElection(req.params.electionId);
+
+      if (!definition) {
+        return res.status(404).json({
+          success: false,
+          message: 'The ballot for this election has not been defined'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Election ballot retrieved',
+        data: this.describeBallotDefinition(definition)
+      });
+
+    } catch (error) {
+      console.error('Ballot definition retrieval error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve ballot',
+        error: error.message
+      });
+    }
+  }
+
+  describeBallotDefinition(definition) {
+    return {
+      electionId: definition.election_id,
+      candidates: definition.candidates,
+      ballotType: definition.ballot_type,
+      ballotRules: definition.ballot_rules,
+      updatedAt: definition.updated_at
+    };
+  }
+
+  // Add or update eligibility roll entries (voter and ballot weight). Weights
+  // are fixed once voting has started.
+  async updateEligibilityRoll(req, res) {
+    try {
+      const { electionId, entries, userId } = req.body;
+
+      if (await EncryptedVote.getElectionVoteCount(electionId) > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Votes have already been cast; the eligibility roll can no longer change'
+        });
+      }
+
+      const saved = [];
+      for (const entry of entries) {
+        saved.push(await EligibilityRoll.upsert({
+          election_id: electionId,
+          user_id: entry.userId,
+          weight: entry.weight,
+          added_by: userId
+        }));
+      }
+
+      await AuditLog.create({
+        log_id: uuidv4(),
+        election_id: electionId,
+        action_type: 'ELIGIBILITY_ROLL_UPDATED',
+        actor_id: userId,
+        details: {
+          entries: saved.map(entry => ({ userId: entry.user_id, weight: entry.weight, entryHash: this.rollEntryHash(entry) })),
+          timestamp: new Date().toISOString()
+        },
+        hash_chain: await this.calculateHashChain('eligibility_roll', electionId),
+        previous_hash: 'previous_hash_placeholder'
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Eligibility roll updated',
+        data: {
+          electionId,
+          entries: saved.map(entry => ({ userId: entry.user_id, weight: entry.weight })),
+          rollSize: await EligibilityRoll.countByElection(electionId)
+        }
+      });
+
+    } catch (error) {
+      console.error('Eligibility roll update error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update eligibility roll',
+        error: error.message
+      });
+    }
+  }
+
+  async getEligibilityRoll(req, res) {
+    try {
+      const { electionId } = req.params;
+      const entries = await EligibilityRoll.findByElection(electionId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Eligibility roll retrieved',
+        data: {
+          electionId,
+          entries: entries.map(entry => ({ userId: entry.user_id, weight: entry.weight, updatedAt: entry.updated_at })),
+          totalWeight: entries.reduce((total, entry) => total + entry.weight, 0)
+        }
+      });
+
+    } catch (error) {
+      console.error('Eligibility roll retrieval error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve eligibility roll',
+        error: error.message
+      });
+    }
+  }
+
+  // Helper methods
+  // Binds a ballot's weight to the roll entry it was taken from
+  rollEntryHash(entry) {
+    return createHash('sha256')
+      .update(`${entry.election_id}:${entry.user_id}:${entry.weight}`)
+      .digest('hex');
+  }
+
   async calculateHashChain(data, electionId) {
     const { createHash } = await import('node:crypto');
     return createHash('sha256')
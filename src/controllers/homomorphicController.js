@@ -1,4 +1,5 @@
 import HomomorphicEncryption from '../services/homomorphicEncryption.js';
+import pool from '../../config/database.js';
 
 class HomomorphicController {
   constructor() {
@@ -22,35 +23,17 @@ class HomomorphicController {
     return obj;
   }
 
-  // Initialize homomorphic encryption for election
+  // Initialize homomorphic encryption for election. Keys are only created by
+  // key dealing, which seals each share to its trustee; a key generated here
+  // would either be unusable or hand every share to one caller.
   async initializeEncryption(req, res) {
-    console.log('Controller method reached:', req.body);
-    try {
-      const { electionId, keySize, userRole } = req.body;
-
-      if (keySize) {
-        this.homomorphic.keySize = keySize;
+    res.status(409).json({
+      success: false,
+      message: 'Election keys are dealt to trustees. Open a key dealing using /api/crypto/keys/dealing.',
+      data: {
+        electionId: req.body.electionId
       }
-
-      const keys = await this.homomorphic.generateKeys();
-
-      res.status(201).json({
-        success: true,
-        message: 'Homomorphic encryption initialized',
-        data: {
-          electionId,
-          publicKey: this.serializeBigInt(keys.publicKey),
-          keySize: this.homomorphic.keySize
-        }
-      });
-
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: 'Failed to initialize encryption',
-        error: error.message
-      });
-    }
+    });
   }
 
   // Encrypt single vote
@@ -147,24 +130,65 @@ async addEncryptedVotes(req, res) {
   // Verify homomorphic tally
 async verifyTally(req, res) {
   try {
-    const { encryptedVotes, expectedSum, publicKey } = req.body;
+    const { electionId, keyId, encryptedVotes, expectedSum, decryptionProof } = req.body;
 
-    // Convert string values back to BigInt for homomorphic operations
-    const convertedPublicKey = {
-      n: BigInt(publicKey.n),
-      g: BigInt(publicKey.g),
-      nsq: BigInt(publicKey.nsq)
-    };
+    if (!electionId || !decryptionProof) {
+      return res.status(400).json({
+        success: false,
+        message: 'electionId and decryptionProof are required to verify a tally'
+      });
+    }
+
+    // The election's stored public key and verification keys - never a key
+    // supplied by the caller, which could be made to fit a forged tally
+    const keyData = await this.loadElectionKey(electionId, keyId);
+    if (!keyData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election key not found'
+      });
+    }
+
+    const { publicKey, verificationKeys } = keyData;
+    if (!verificationKeys) {
+      return res.status(409).json({
+        success: false,
+        message: 'Election key has no published verification keys'
+      });
+    }
+
+    // Re-aggregate the ballots when they are supplied, so the proof is tied to them
+    let aggregationMatches = null;
+    if (Array.isArray(encryptedVotes)) {
+      const homomorphicSums = Array.isArray(encryptedVotes[0])
+        ? this.homomorphic.addEncryptedVectors(encryptedVotes, publicKey)
+        : [this.homomorphic.addEncrypted(encryptedVotes, publicKey)];
+      aggregationMatches = JSON.stringify(homomorphicSums) === JSON.stringify(decryptionProof.ciphertexts);
+    }
 
-    // Perform homomorphic addition without decryption
-    const homomorphicSum = this.homomorphic.addEncrypted(encryptedVotes, convertedPublicKey);
+    const proofVerification = this.homomorphic.verifyTally(decryptionProof, publicKey, verificationKeys);
+
+    let expectedMatches = null;
+    if (expectedSum !== undefined && proofVerification.plaintexts) {
+      const expected = Array.isArray(expectedSum) ? expectedSum : [expectedSum];
+      expectedMatches = JSON.stringify(expected.map(String)) === JSON.stringify(proofVerification.plaintexts);
+    }
 
     const verification = {
-      homomorphicSum: homomorphicSum,
-      inputCount: encryptedVotes.length,
-      expectedSum: expectedSum,
-      isValid: true,
-      message: 'Homomorphic addition completed successfully - use /api/crypto/verify for complete verification with decryption'
+      electionId,
+      keyId: keyData.key_id,
+      inputCount: Array.isArray(encryptedVotes) ? encryptedVotes.length : null,
+      ciphertexts: decryptionProof.ciphertexts,
+      plaintexts: proofVerification.plaintexts || null,
+      expectedSum: expectedSum ?? null,
+      proofValid: proofVerification.isValid,
+      aggregationMatches,
+      expectedMatches,
+      isValid: proofVerification.isValid && aggregationMatches !== false && expectedMatches !== false,
+      reason: proofVerification.reason ||
+        (aggregationMatches === false ? 'Proof ciphertexts are not the aggregate of the supplied ballots' : null) ||
+        (expectedMatches === false ? 'Decrypted tally does not match expectedSum' : null),
+      invalidShares: proofVerification.invalidShares || []
     };
 
     res.status(200).json({
@@ -221,6 +245,24 @@ async verifyTally(req, res) {
 
     return rolePermissions[action]?.includes(userRole) || false;
   }
+
+  // The election's active key, or the key with keyId (tallies stay verifiable
+  // after the election moves to another key)
+  async loadElectionKey(electionId, keyId = null) {
+    const keyQuery = `
+      SELECT key_id, public_key
+      FROM vottery_homomorphic_keys
+      WHERE election_id = $1 AND ${keyId === null ? "key_status = 'active'" : 'key_id = $2'}
+    `;
+
+    const params = keyId === null ? [electionId] : [electionId, keyId];
+    const result = await pool.query(keyQuery, params);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return { ...result.rows[0], ...this.homomorphic.parsePublicKey(result.rows[0].public_key) };
+  }
 }
 
 export default HomomorphicController;
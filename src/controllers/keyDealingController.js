@@ -0,0 +1,516 @@
+import HomomorphicEncryption from '../services/homomorphicEncryption.js';
+import { KeyDealing } from '../models/KeyDealing.js';
+import { AuditLog } from '../models/AuditLog.js';
+import { CRYPTO_CONSTANTS } from '../utils/constants.js';
+import { v4 as uuidv4 } from 'uuid';
+import { createHash } from 'node:crypto';
+import nacl from 'tweetnacl';
+import pool from '../../config/database.js';
+
+// Dealer-based key sharing:
+// registration -> dealing -> confirmation -> publishing -> published
+//
+// This is not distributed key generation. Paillier moduli cannot be generated
+// jointly without a distributed RSA protocol, so the server acts as a trusted
+// dealer: once every trustee has registered a box key it generates the key,
+// splits it into Shamir shares, seals each share to its trustee and drops the
+// key from memory. Trustees must trust the dealer to have forgotten the key;
+// what they get is that decryption afterwards needs k of them, and that the
+// service only ever stores share ciphertexts it cannot open.
+class KeyDealingController {
+  constructor() {
+    this.homomorphic = new HomomorphicEncryption();
+  }
+
+  // Helper function to convert BigInt to string
+  serializeBigInt(obj) {
+    if (obj === null || obj === undefined) return obj;
+    if (typeof obj === 'bigint') return obj.toString();
+    if (Array.isArray(obj)) {
+      return obj.map(item => this.serializeBigInt(item));
+    }
+    if (typeof obj === 'object') {
+      const result = {};
+      for (const [key, value] of Object.entries(obj)) {
+        result[key] = this.serializeBigInt(value);
+      }
+      return result;
+    }
+    return obj;
+  }
+
+  getRequestUserId(req) {
+    return req.user?.id || req.body.userId || req.headers['x-user-id'];
+  }
+
+  // Open a key dealing and register its trustees (admin)
+  async createDealing(req, res) {
+    try {
+      const {
+        electionId,
+        trustees,
+        thresholdN: requestedThresholdN,
+        thresholdK,
+        keySize = CRYPTO_CONSTANTS.DEFAULT_KEY_SIZE
+      } = req.body;
+      const userId = this.getRequestUserId(req);
+
+      const trusteeIds = [...new Set(trustees.map(trustee => String(trustee)))];
+      const thresholdN = trusteeIds.length;
+      const k = thresholdK || Math.floor(thresholdN / 2) + 1;
+
+      if (trusteeIds.length !== trustees.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Trustees must be distinct users'
+        });
+      }
+
+      // One share per trustee, so thresholdN can only restate the trustee count
+      if (requestedThresholdN !== undefined && requestedThresholdN !== thresholdN) {
+        return res.status(400).json({
+          success: false,
+          message: `thresholdN (${requestedThresholdN}) must equal the number of trustees (${thresholdN})`
+        });
+      }
+
+      const policyError = this.homomorphic.validateKeyParameters({ keySize, thresholdN, thresholdK: k });
+      if (policyError) {
+        return res.status(400).json({
+          success: false,
+          message: policyError
+        });
+      }
+
+      const existingKeysQuery = `
+        SELECT key_id FROM vottery_homomorphic_keys
+        WHERE election_id = $1 AND key_status = 'active'
+      `;
+      const existingKeys = await pool.query(existingKeysQuery, [electionId]);
+      const existingDealing = await KeyDealing.findActiveByElection(electionId);
+
+      if (existingKeys.rows.length > 0 || existingDealing) {
+        return res.status(409).json({
+          success: false,
+          message: 'Keys or a key dealing already exist for this election'
+        });
+      }
+
+      const dealing = await KeyDealing.create({
+        dealing_id: uuidv4(),
+        election_id: electionId,
+        threshold_n: thresholdN,
+        threshold_k: k,
+        key_size: keySize,
+        created_by: userId
+      });
+
+      for (let i = 0; i < trusteeIds.length; i++) {
+        await KeyDealing.addTrustee(dealing.dealing_id, trusteeIds[i], i + 1);
+      }
+
+      await this.recordAudit(dealing, userId, 'KEY_DEALING_CREATED', {
+        trustees: trusteeIds,
+        thresholdN,
+        thresholdK: k,
+        keySize: dealing.key_size
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Key dealing created',
+        data: await this.describeDealing(dealing)
+      });
+
+    } catch (error) {
+      console.error('Key dealing creation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create key dealing',
+        error: error.message
+      });
+    }
+  }
+
+  // Dealing status, visible to any authenticated user
+  async getDealing(req, res) {
+    try {
+      const dealing = await KeyDealing.findById(req.params.dealingId);
+
+      if (!dealing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Key dealing not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Key dealing retrieved',
+        data: await this.describeDealing(dealing)
+      });
+
+    } catch (error) {
+      console.error('Key dealing lookup error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve key dealing',
+        error: error.message
+      });
+    }
+  }
+
+  // Trustee registers the box public key their share will be sealed to; the
+  // last trustee to join triggers the dealing
+  async joinDealing(req, res) {
+    try {
+      const { boxPublicKey } = req.body;
+      const userId = this.getRequestUserId(req);
+      const { dealing, trustee, error } = await this.loadTrusteeContext(req, 'registration');
+
+      if (error) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+
+      if (Buffer.from(boxPublicKey, 'base64').length !== nacl.box.publicKeyLength) {
+        return res.status(400).json({
+          success: false,
+          message: `boxPublicKey must be a base64 encoded ${nacl.box.publicKeyLength}-byte key`
+        });
+      }
+
+      const joined = await KeyDealing.joinTrustee(dealing.dealing_id, trustee.trustee_id, boxPublicKey);
+      if (!joined) {
+        return res.status(409).json({
+          success: false,
+          message: 'Trustee has already joined this key dealing'
+        });
+      }
+
+      await this.recordAudit(dealing, userId, 'KEY_DEALING_TRUSTEE_JOINED', {
+        trusteeId: trustee.trustee_id,
+        shareIndex: trustee.share_index,
+        boxPublicKeyHash: this.hash(boxPublicKey)
+      });
+
+      const trustees = await KeyDealing.getTrustees(dealing.dealing_id);
+      if (trustees.every(entry => entry.joined_at)) {
+        // Only one request wins the transition and deals the shares
+        const claimed = await KeyDealing.transition(dealing.dealing_id, 'registration', 'dealing');
+        if (claimed) {
+          await this.dealShares(claimed, trustees, userId);
+        }
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Joined key dealing',
+        data: await this.describeDealing(await KeyDealing.findById(dealing.dealing_id))
+      });
+
+    } catch (error) {
+      console.error('Key dealing join error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to join key dealing',
+        error: error.message
+      });
+    }
+  }
+
+  // Trustee fetches their own sealed share - never anyone else's
+  async getShare(req, res) {
+    try {
+      const { dealing, trustee, error } = await this.loadTrusteeContext(req, ['confirmation', 'publishing', 'published']);
+
+      if (error) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Sealed share retrieved',
+        data: {
+          dealingId: dealing.dealing_id,
+          electionId: dealing.election_id,
+          shareIndex: trustee.share_index,
+          encryptedShare: trustee.encrypted_share,
+          verificationKey: trustee.verification_key,
+          shareProofContext: this.shareProofContext(dealing.dealing_id, trustee.trustee_id),
+          publicKey: dealing.public_key,
+          thresholdN: dealing.threshold_n,
+          thresholdK: dealing.threshold_k
+        }
+      });
+
+    } catch (error) {
+      console.error('Key dealing share error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve share',
+        error: error.message
+      });
+    }
+  }
+
+  // Trustee confirms receipt by proving they hold the share behind their
+  // verification key, so only someone who opened the sealed share can confirm
+  async confirmShare(req, res) {
+    try {
+      const { shareProof } = req.body;
+      const userId = this.getRequestUserId(req);
+      const { dealing, trustee, error } = await this.loadTrusteeContext(req, ['confirmation', 'publishing', 'published']);
+
+      if (error) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+
+      const { publicKey, verificationKeys } = this.homomorphic.parsePublicKey(dealing.public_key);
+      const context = this.shareProofContext(dealing.dealing_id, trustee.trustee_id);
+      if (!this.homomorphic.verifyShareKnowledge(trustee.share_index, shareProof, context, publicKey, verificationKeys)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Share proof does not match the trustee\'s verification key'
+        });
+      }
+
+      // Confirming again only makes sense to retry a publish that failed
+      const confirmed = await KeyDealing.confirmTrustee(dealing.dealing_id, trustee.trustee_id);
+      if (!confirmed && dealing.status !== 'confirmation') {
+        return res.status(409).json({
+          success: false,
+          message: 'Trustee has already confirmed this key dealing'
+        });
+      }
+
+      if (confirmed) {
+        await this.recordAudit(dealing, userId, 'KEY_DEALING_SHARE_CONFIRMED', {
+          trusteeId: trustee.trustee_id,
+          shareIndex: trustee.share_index
+        });
+      }
+
+      const trustees = await KeyDealing.getTrustees(dealing.dealing_id);
+      const confirmedCount = trustees.filter(entry => entry.confirmed_at).length;
+      if (confirmedCount >= dealing.threshold_k) {
+        const claimed = await KeyDealing.transition(dealing.dealing_id, 'confirmation', 'publishing');
+        if (claimed) {
+          await this.publishKey(claimed, confirmedCount, userId);
+        }
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Share confirmed',
+        data: await this.describeDealing(await KeyDealing.findById(dealing.dealing_id))
+      });
+
+    } catch (error) {
+      console.error('Key dealing confirmation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to confirm share',
+        error: error.message
+      });
+    }
+  }
+
+  // Generate the key, seal each share to its trustee and forget the shares.
+  // Keys are generated on a throwaway instance, never on the shared one.
+  async dealShares(dealing, trustees, actorId) {
+    try {
+      // Fixed by the dealing and its trustees, so anyone can re-derive the
+      // verification base from public data
+      const boxKeys = trustees
+        .map(trustee => `${trustee.share_index}:${trustee.box_public_key}`)
+        .join('|');
+      const verificationSeed = this.hash(`${dealing.dealing_id}|${boxKeys}`);
+
+      const keys = await new HomomorphicEncryption().generateKeys({
+        keySize: dealing.key_size,
+        thresholdN: dealing.threshold_n,
+        thresholdK: dealing.threshold_k,
+        verificationSeed
+      });
+
+      for (const trustee of trustees) {
+        const share = keys.privateKeyShares.shares.find(entry => entry.index === trustee.share_index);
+        const payload = {
+          dealingId: dealing.dealing_id,
+          electionId: dealing.election_id,
+          index: share.index,
+          value: share.value.toString(),
+          thresholdN: dealing.threshold_n,
+          thresholdK: dealing.threshold_k
+        };
+
+        await KeyDealing.storeSealedShare(dealing.dealing_id, trustee.share_index, {
+          encryptedShare: this.sealShare(payload, trustee.box_public_key),
+          verificationKey: keys.verificationKeys.keys[share.index - 1].toString()
+        });
+      }
+
+      const publicKey = this.serializeBigInt({
+        ...keys.publicKey,
+        verification: keys.verificationKeys
+      });
+      await KeyDealing.setPublicKey(dealing.dealing_id, publicKey);
+
+      await KeyDealing.transition(dealing.dealing_id, 'dealing', 'confirmation');
+      await this.recordAudit(dealing, actorId, 'KEY_DEALING_SHARES_DEALT', {
+        verificationSeed,
+        publicKeyHash: this.hash(JSON.stringify(publicKey))
+      });
+
+    } catch (error) {
+      await KeyDealing.transition(dealing.dealing_id, 'dealing', 'aborted');
+      await this.recordAudit(dealing, actorId, 'KEY_DEALING_ABORTED', {
+        reason: error.message
+      });
+      throw error;
+    }
+  }
+
+  // Publish the election public key once k trustees hold confirmed shares.
+  // If the key row can't be stored the dealing goes back to confirmation.
+  async publishKey(dealing, confirmedCount, actorId) {
+    const insertKeyQuery = `
+      INSERT INTO vottery_homomorphic_keys (
+        election_id,
+        public_key,
+        private_key_shares,
+        key_size,
+        threshold_n,
+        threshold_k,
+        generated_by,
+        key_status
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING key_id
+    `;
+
+    let keyId = null;
+    try {
+      // Shares stay with the trustees; the row only records who holds them
+      const keyResult = await pool.query(insertKeyQuery, [
+        dealing.election_id,
+        JSON.stringify(dealing.public_key),
+        JSON.stringify({
+          scheme: 'threshold-paillier',
+          custody: 'trustees',
+          dealingId: dealing.dealing_id,
+          thresholdN: dealing.threshold_n,
+          thresholdK: dealing.threshold_k
+        }),
+        dealing.key_size,
+        dealing.threshold_n,
+        dealing.threshold_k,
+        dealing.created_by,
+        'active'
+      ]);
+
+      keyId = keyResult.rows[0].key_id;
+      await KeyDealing.markPublished(dealing.dealing_id, keyId);
+
+    } catch (error) {
+      if (keyId !== null) {
+        await pool.query('DELETE FROM vottery_homomorphic_keys WHERE key_id = $1', [keyId]);
+      }
+      await KeyDealing.transition(dealing.dealing_id, 'publishing', 'confirmation');
+      throw error;
+    }
+
+    await this.recordAudit(dealing, actorId, 'KEY_DEALING_KEY_PUBLISHED', {
+      keyId,
+      confirmedTrustees: confirmedCount,
+      publicKeyHash: this.hash(JSON.stringify(dealing.public_key))
+    });
+  }
+
+  // Seal a share to a trustee's X25519 box key with a one-off sender key
+  sealShare(payload, boxPublicKey) {
+    const ephemeral = nacl.box.keyPair();
+    const nonce = nacl.randomBytes(nacl.box.nonceLength);
+    const ciphertext = nacl.box(
+      Buffer.from(JSON.stringify(payload)),
+      nonce,
+      Buffer.from(boxPublicKey, 'base64'),
+      ephemeral.secretKey
+    );
+
+    return {
+      algorithm: 'x25519-xsalsa20-poly1305',
+      ephemeralPublicKey: Buffer.from(ephemeral.publicKey).toString('base64'),
+      nonce: Buffer.from(nonce).toString('base64'),
+      ciphertext: Buffer.from(ciphertext).toString('base64')
+    };
+  }
+
+  // What a trustee's share proof is bound to, so it only confirms this dealing
+  shareProofContext(dealingId, trusteeId) {
+    return `key-dealing:${dealingId}:${trusteeId}`;
+  }
+
+  // Load the dealing and the calling trustee, checking the dealing status
+  async loadTrusteeContext(req, allowedStatuses) {
+    const dealing = await KeyDealing.findById(req.params.dealingId);
+    if (!dealing) {
+      return { error: { status: 404, message: 'Key dealing not found' } };
+    }
+
+    const trustee = await KeyDealing.findTrustee(dealing.dealing_id, this.getRequestUserId(req));
+    if (!trustee) {
+      return { error: { status: 403, message: 'User is not a trustee of this key dealing' } };
+    }
+
+    const statuses = Array.isArray(allowedStatuses) ? allowedStatuses : [allowedStatuses];
+    if (!statuses.includes(dealing.status)) {
+      return { error: { status: 409, message: `Key dealing is in '${dealing.status}' status` } };
+    }
+
+    return { dealing, trustee };
+  }
+
+  async describeDealing(dealing) {
+    const trustees = await KeyDealing.getTrustees(dealing.dealing_id);
+
+    return {
+      dealingId: dealing.dealing_id,
+      electionId: dealing.election_id,
+      status: dealing.status,
+      thresholdN: dealing.threshold_n,
+      thresholdK: dealing.threshold_k,
+      keySize: dealing.key_size,
+      keyId: dealing.key_id,
+      publicKey: dealing.public_key,
+      trustees: trustees.map(trustee => ({
+        trusteeId: trustee.trustee_id,
+        shareIndex: trustee.share_index,
+        joined: !!trustee.joined_at,
+        confirmed: !!trustee.confirmed_at
+      })),
+      publishedAt: dealing.published_at
+    };
+  }
+
+  async recordAudit(dealing, actorId, actionType, details) {
+    await AuditLog.create({
+      log_id: uuidv4(),
+      election_id: dealing.election_id,
+      action_type: actionType,
+      actor_id: actorId || 'system',
+      details: {
+        dealingId: dealing.dealing_id,
+        ...details,
+        timestamp: new Date().toISOString()
+      },
+      hash_chain: this.hash(`${actionType}:${dealing.election_id}:${Date.now()}`),
+      previous_hash: 'previous_hash_placeholder'
+    });
+  }
+
+  hash(data) {
+    return createHash('sha256').update(data).digest('hex');
+  }
+}
+
+export default KeyDealingController;
@@ -0,0 +1,426 @@
+import HomomorphicEncryption from '../services/homomorphicEncryption.js';
+import TallyComputation from '../services/tallyComputation.js';
+import EncryptedVote from '../models/EncryptedVote.js';
+import { TallySession } from '../models/TallySession.js';
+import { MixnetRun } from '../models/MixnetRun.js';
+import { KeyDealing } from '../models/KeyDealing.js';
+import { AuditLog } from '../models/AuditLog.js';
+import { v4 as uuidv4 } from 'uuid';
+import { createHash } from 'node:crypto';
+import pool from '../../config/database.js';
+
+// Tally sessions: an admin fixes the ciphertexts to decrypt, each trustee posts
+// partial decryptions made with their own share (plus Shoup proofs), and the
+// result is released as soon as threshold_k valid partials are in.
+class TallySessionController {
+  constructor() {
+    this.homomorphic = new HomomorphicEncryption();
+    this.tallyComputation = new TallyComputation(this.homomorphic);
+  }
+
+  getRequestUserId(req) {
+    return req.user?.id || req.body.userId || req.headers['x-user-id'];
+  }
+
+  // Open a tally session over the aggregated per-candidate ciphertexts (admin).
+  // With source 'mixnet' the ciphertexts come from the final stored round of a
+  // completed mixnet run (mixRunId, or the election's latest one). Mode
+  // 'mix-decrypt' decrypts every ciphertext of that output instead of the sums.
+  async openSession(req, res) {
+    try {
+      const { electionId, source = 'ballots', mixRunId, mode = 'homomorphic' } = req.body;
+      const userId = this.getRequestUserId(req);
+
+      if (this.tallyComputation.requiresMixnet(mode) && source !== 'mixnet') {
+        return res.status(400).json({
+          success: false,
+          message: `Tally mode '${mode}' decrypts individual ballots and requires source 'mixnet'`
+        });
+      }
+
+      const keyData = await this.loadElectionKey(electionId);
+      if (!keyData) {
+        return res.status(400).json({
+          success: false,
+          message: 'Election keys not found'
+        });
+      }
+
+      if (keyData.shares?.custody !== 'trustees') {
+        return res.status(409).json({
+          success: false,
+          message: 'Election key shares were not dealt to trustees'
+        });
+      }
+
+      if (await TallySession.findOpenByElection(electionId)) {
+        return res.status(409).json({
+          success: false,
+          message: 'A tally session is already open for this election'
+        });
+      }
+
+      let ballots;
+      let candidates;
+      let ballotType;
+      let ballotRules;
+      let includedVotes;
+      let run = null;
+
+      if (source === 'mixnet') {
+        run = mixRunId ? await MixnetRun.findById(mixRunId) : await MixnetRun.findLatestCompleted(electionId);
+        if (!run || run.election_id !== electionId || run.status !== 'completed') {
+          return res.status(409).json({
+            success: false,
+            message: 'No completed mixnet run found for this election'
+          });
+        }
+
+        // Mixed ballots no longer carry their voters' weights
+        if (this.tallyComputation.isWeighted(await EncryptedVote.findByElection(electionId))) {
+          return res.status(409).json({
+            success: false,
+            message: 'Weighted elections cannot be counted from mixnet output; tally the cast ballots homomorphically'
+          });
+        }
+
+        ballots = (await MixnetRun.getFinalRound(run.run_id)).output;
+        candidates = run.layout.candidates;
+        ballotType = run.layout.ballotType || 'plurality';
+        ballotRules = run.layout.ballotRules || {};
+        includedVotes = run.included_votes;
+      } else {
+        ballots = this.tallyComputation.tallyableBallots(
+          await EncryptedVote.findByElection(electionId)
+        );
+
+        if (ballots.length === 0) {
+          return res.status(404).json({
+            success: false,
+            message: 'No per-candidate ballots found for election'
+          });
+        }
+
+        candidates = this.tallyComputation.resolveCandidates(ballots);
+        if (!candidates) {
+          return res.status(409).json({
+            success: false,
+            message: 'Ballots for this election were cast against different candidate lists or ballot types'
+          });
+        }
+
+        ballotType = this.tallyComputation.ballotType(ballots);
+        ballotRules = this.tallyComputation.ballotRules(ballots);
+        includedVotes = ballots.map(vote => vote.vote_id);
+      }
+
+      if (!this.tallyComputation.supportsMode(mode, ballotType)) {
+        return res.status(409).json({
+          success: false,
+          message: `Tally mode '${mode}' cannot count ${ballotType} ballots; use 'mix-decrypt'`
+        });
+      }
+
+      const tallyInput = this.tallyComputation.buildInput(
+        mode, ballots, candidates, ballotType, ballotRules, keyData.publicKey
+      );
+
+      const session = await TallySession.create(this.tallyComputation.buildSessionRecord({
+        electionId,
+        keyData,
+        dealingId: keyData.shares.dealingId,
+        input: tallyInput,
+        includedVotes,
+        source,
+        mixRunId: run?.run_id || null,
+        openedBy: userId,
+        mode
+      }));
+
+      await this.recordAudit(session, userId, 'TALLY_SESSION_OPENED', {
+        mode: session.mode,
+        source: session.source,
+        mixRunId: session.mix_run_id,
+        ballotCount: session.ballot_count,
+        ciphertextsHash: this.hash(JSON.stringify(session.ciphertexts))
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Tally session opened',
+        data: await this.describeSession(session)
+      });
+
+    } catch (error) {
+      console.error('Tally session open error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to open tally session',
+        error: error.message
+      });
+    }
+  }
+
+  // Session status, ciphertexts to decrypt and missing trustees
+  async getSession(req, res) {
+    try {
+      const session = await TallySession.findById(req.params.sessionId);
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tally session not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Tally session retrieved',
+        data: await this.describeSession(session)
+      });
+
+    } catch (error) {
+      console.error('Tally session lookup error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve tally session',
+        error: error.message
+      });
+    }
+  }
+
+  // Trustee submits one partial decryption (with proof) per session ciphertext
+  async submitPartials(req, res) {
+    try {
+      const { partials } = req.body;
+      const userId = this.getRequestUserId(req);
+
+      const session = await TallySession.findById(req.params.sessionId);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tally session not found'
+        });
+      }
+
+      const trustee = await KeyDealing.findTrustee(session.dealing_id, userId);
+      if (!trustee) {
+        return res.status(403).json({
+          success: false,
+          message: 'User is not a trustee for this election key'
+        });
+      }
+
+      if (session.status !== 'open') {
+        return res.status(409).json({
+          success: false,
+          message: `Tally session is in '${session.status}' status`
+        });
+      }
+
+      if (partials.length !== session.ciphertexts.length) {
+        return res.status(400).json({
+          success: false,
+          message: `Expected ${session.ciphertexts.length} partial decryptions, received ${partials.length}`
+        });
+      }
+
+      // Partials are made with shares of the session's key, not whichever key is active now
+      const keyData = await this.loadElectionKey(session.election_id, session.key_id);
+      if (!keyData) {
+        return res.status(409).json({
+          success: false,
+          message: 'Election keys not found'
+        });
+      }
+
+      const indexedPartials = partials.map(partial => ({
+        index: trustee.share_index,
+        value: String(partial.value),
+        proof: partial.proof
+      }));
+      const invalid = indexedPartials
+        .map((partial, position) => (
+          this.homomorphic.verifyDecryptionShare(
+            session.ciphertexts[position], partial, keyData.publicKey, keyData.verificationKeys
+          ) ? null : position
+        ))
+        .filter(position => position !== null);
+
+      if (invalid.length > 0) {
+        await this.recordAudit(session, userId, 'TALLY_PARTIAL_REJECTED', {
+          trusteeId: trustee.trustee_id,
+          shareIndex: trustee.share_index,
+          invalidPositions: invalid
+        });
+
+        return res.status(400).json({
+          success: false,
+          message: 'Partial decryption proof verification failed',
+          invalidPositions: invalid
+        });
+      }
+
+      try {
+        await TallySession.addPartials(session.session_id, trustee.trustee_id, trustee.share_index, indexedPartials);
+      } catch (error) {
+        if (error.code === '23505') {
+          return res.status(409).json({
+            success: false,
+            message: 'Trustee has already submitted partial decryptions for this session'
+          });
+        }
+        throw error;
+      }
+
+      await this.recordAudit(session, userId, 'TALLY_PARTIAL_ACCEPTED', {
+        trusteeId: trustee.trustee_id,
+        shareIndex: trustee.share_index,
+        partialsHash: this.hash(JSON.stringify(indexedPartials))
+      });
+
+      const submissions = await TallySession.getPartials(session.session_id);
+      if (submissions.length >= session.threshold_k) {
+        // Only one request wins the transition and releases the result
+        const claimed = await TallySession.transition(session.session_id, 'open', 'releasing');
+        if (claimed) {
+          await this.releaseResult(claimed, submissions, keyData, userId);
+        }
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Partial decryptions accepted',
+        data: await this.describeSession(await TallySession.findById(session.session_id))
+      });
+
+    } catch (error) {
+      console.error('Partial decryption submission error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to submit partial decryptions',
+        error: error.message
+      });
+    }
+  }
+
+  // Combine threshold_k verified partials per ciphertext and publish the result
+  async releaseResult(session, submissions, keyData, actorId) {
+    try {
+      const thresholdParams = { n: session.threshold_n, k: session.threshold_k };
+      const plaintexts = session.ciphertexts.map((ciphertext, position) =>
+        this.homomorphic.thresholdDecrypt(
+          ciphertext,
+          submissions.map(submission => submission.partials[position]),
+          thresholdParams,
+          keyData.publicKey
+        )
+      );
+
+      const result = {
+        ...this.tallyComputation.interpretResult(session.mode, session.layout, plaintexts),
+        plaintexts: plaintexts.map(String),
+        trustees: submissions.map(submission => submission.share_index),
+        decryptionProof: this.homomorphic.createDecryptionProof(
+          session.ciphertexts,
+          plaintexts,
+          submissions.map(submission => ({ index: submission.share_index, partials: submission.partials })),
+          thresholdParams
+        )
+      };
+
+      await TallySession.markReleased(session.session_id, result);
+      const { decryptionProof, ...summary } = result;
+      await this.recordAudit(session, actorId, 'TALLY_RELEASED', {
+        result: summary,
+        decryptionProofHash: this.hash(JSON.stringify(decryptionProof)),
+        ballotCount: session.ballot_count
+      });
+
+    } catch (error) {
+      await TallySession.transition(session.session_id, 'releasing', 'open');
+      throw error;
+    }
+  }
+
+  // Public key row with its parsed public and verification keys: the
+  // election's active key, or with keyId the key a session was opened under,
+  // even if the election has since moved to another key. Kept local to the
+  // request: the service instance is shared by concurrent requests.
+  async loadElectionKey(electionId, keyId = null) {
+    const keyQuery = `
+      SELECT key_id, public_key, private_key_shares, threshold_n, threshold_k
+      FROM vottery_homomorphic_keys
+      WHERE election_id = $1 AND ${keyId === null ? "key_status = 'active'" : 'key_id = $2'}
+    `;
+
+    const params = keyId === null ? [electionId] : [electionId, keyId];
+    const result = await pool.query(keyQuery, params);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const keyData = result.rows[0];
+    const shares = typeof keyData.private_key_shares === 'string'
+      ? JSON.parse(keyData.private_key_shares)
+      : keyData.private_key_shares;
+
+    return { ...keyData, shares, ...this.homomorphic.parsePublicKey(keyData.public_key) };
+  }
+
+  async describeSession(session) {
+    const trustees = session.dealing_id ? await KeyDealing.getTrustees(session.dealing_id) : [];
+    const submissions = await TallySession.getPartials(session.session_id);
+    const submitted = new Set(submissions.map(submission => submission.share_index));
+
+    return {
+      sessionId: session.session_id,
+      electionId: session.election_id,
+      keyId: session.key_id,
+      status: session.status,
+      mode: session.mode,
+      source: session.source,
+      mixRunId: session.mix_run_id,
+      thresholdN: session.threshold_n,
+      thresholdK: session.threshold_k,
+      ballotCount: session.ballot_count,
+      ciphertexts: session.ciphertexts,
+      layout: session.layout,
+      trustees: trustees.map(trustee => ({
+        trusteeId: trustee.trustee_id,
+        shareIndex: trustee.share_index,
+        submitted: submitted.has(trustee.share_index)
+      })),
+      missingTrustees: trustees
+        .filter(trustee => !submitted.has(trustee.share_index))
+        .map(trustee => trustee.trustee_id),
+      partialsReceived: submissions.length,
+      partialsRequired: session.threshold_k,
+      result: session.result,
+      createdAt: session.created_at,
+      releasedAt: session.released_at
+    };
+  }
+
+  async recordAudit(session, actorId, actionType, details) {
+    await AuditLog.create({
+      log_id: uuidv4(),
+      election_id: session.election_id,
+      action_type: actionType,
+      actor_id: actorId || 'system',
+      details: {
+        sessionId: session.session_id,
+        ...details,
+        timestamp: new Date().toISOString()
+      },
+      hash_chain: this.hash(`${actionType}:${session.election_id}:${Date.now()}`),
+      previous_hash: 'previous_hash_placeholder'
+    });
+  }
+
+  hash(data) {
+    return createHash('sha256').update(data).digest('hex');
+  }
+}
+
+export default TallySessionController;
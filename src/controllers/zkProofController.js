@@ -8,9 +8,9 @@ class ZKProofController {
   // Generate commitment for vote
   async generateCommitment(req, res) {
     try {
-      const { vote, randomness } = req.body;
+      const { vote, randomness, electionId } = req.body;
 
-      const commitment = this.zkProof.generateCommitment(vote, randomness);
+      const commitment = this.zkProof.generateCommitment(vote, randomness, electionId);
 
       res.status(201).json({
         success: true,
@@ -27,12 +27,41 @@ class ZKProofController {
     }
   }
 
+  // Pedersen generator derivation, so auditors can reproduce h
+  async getGenerators(req, res) {
+    try {
+      const { electionId } = req.query;
+
+      const generators = this.zkProof.describeGenerators(electionId || null);
+
+      res.status(200).json({
+        success: true,
+        message: 'Commitment generators retrieved',
+        data: generators
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to derive commitment generators',
+        error: error.message
+      });
+    }
+  }
+
   // Generate zero-knowledge proof
   async generateProof(req, res) {
     try {
-      const { vote, candidates, commitment } = req.body;
+      const { vote, ranking, selections, scores, candidates, encryptions, publicKey, ballotType = 'plurality', ballotRules } = req.body;
 
-      const proof = this.zkProof.generateProof(vote, candidates, commitment);
+      const proof = this.zkProof.generateBallotProof(
+        ballotType,
+        { vote, ranking, selections, scores },
+        candidates,
+        encryptions,
+        publicKey,
+        ballotRules
+      );
 
       res.status(201).json({
         success: true,
@@ -52,9 +81,9 @@ class ZKProofController {
   // Verify zero-knowledge proof
   async verifyProof(req, res) {
     try {
-      const { proof, commitment, candidates } = req.body;
+      const { proof, ciphertexts, candidates, publicKey, ballotType = 'plurality', ballotRules } = req.body;
 
-      const verification = this.zkProof.verifyProof(proof, commitment, candidates);
+      const verification = this.zkProof.verifyBallotProof(ballotType, proof, ciphertexts, candidates, publicKey, ballotRules);
 
       res.status(200).json({
         success: true,
@@ -71,23 +100,23 @@ class ZKProofController {
     }
   }
 
-  // Generate nullifier
-  async generateNullifier(req, res) {
+  // Verify a nullifier from public data (nullifier, voter public key, proof)
+  async verifyNullifier(req, res) {
     try {
-      const { userId, electionId, privateKey } = req.body;
+      const { electionId, nullifier, publicKey, proof } = req.body;
 
-      const nullifier = this.zkProof.generateNullifier(userId, electionId, privateKey);
+      const isValid = this.zkProof.verifyNullifierProof({ nullifier, publicKey, proof }, electionId);
 
-      res.status(201).json({
+      res.status(200).json({
         success: true,
-        message: 'Nullifier generated successfully',
-        data: nullifier
+        message: 'Nullifier verification completed',
+        data: { isValid }
       });
 
     } catch (error) {
       res.status(500).json({
         success: false,
-        message: 'Failed to generate nullifier',
+        message: 'Failed to verify nullifier',
         error: error.message
       });
     }
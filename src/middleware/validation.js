@@ -1,4 +1,5 @@
 import Joi from 'joi';
+import { CRYPTO_CONSTANTS } from '../utils/constants.js';
 
 const voteDataSchema = Joi.object({
   electionId: Joi.string().uuid().required(),
@@ -6,8 +7,32 @@ const voteDataSchema = Joi.object({
     Joi.number().integer().positive(),
     Joi.string().pattern(/^\d+$/)
   ).required(),
-  vote: Joi.number().integer().min(0).required(),
-  candidates: Joi.array().items(Joi.string()).min(2).required(),
+  ballotType: Joi.string().valid(...CRYPTO_CONSTANTS.BALLOT_TYPES).default('plurality'),
+  vote: Joi.when('ballotType', {
+    is: 'plurality',
+    then: Joi.number().integer().min(0).required(),
+    otherwise: Joi.forbidden()
+  }),
+  // Full preference order: candidate indices, most preferred first
+  ranking: Joi.when('ballotType', {
+    is: Joi.valid('ranked', 'pairwise'),
+    then: Joi.array().items(Joi.number().integer().min(0)).min(2).unique().required(),
+    otherwise: Joi.forbidden()
+  }),
+  // Approval ballots: the chosen candidate indices, between min and max of them
+  selections: Joi.when('ballotType', {
+    is: 'approval',
+    then: Joi.array().items(Joi.number().integer().min(0)).unique().required(),
+    otherwise: Joi.forbidden()
+  }),
+  // Score ballots: one score in [0, maxScore] per candidate
+  scores: Joi.when('ballotType', {
+    is: 'score',
+    then: Joi.array().items(Joi.number().integer().min(0)).required(),
+    otherwise: Joi.forbidden()
+  }),
+  // Optional: checked against the election's ballot definition when given
+  candidates: Joi.array().items(Joi.string()).min(2).optional(),
   userRole: Joi.string().valid(
     // Current database values (lowercase)
     'voter', 
@@ -43,6 +68,9 @@ const voteDataSchema = Joi.object({
 // });
 const tallyDataSchema = Joi.object({
   electionId: Joi.string().uuid().required(),
+  mode: Joi.string().valid(...CRYPTO_CONSTANTS.TALLY_MODES).optional(),
+  source: Joi.string().valid('ballots', 'mixnet').optional(),
+  mixRunId: Joi.string().uuid().optional(),
   userRole: Joi.string().valid(
     'voter', 'admin', 'analyst', 'manager', 'moderator', 'auditor', 'editor', 'advertiser',
     'Voters', 'Individual Election Creators', 'Organization Election Creators',
@@ -54,6 +82,162 @@ const tallyDataSchema = Joi.object({
   ).optional() // Changed this line
 });
 
+const userIdSchema = Joi.alternatives().try(
+  Joi.number().integer().positive(),
+  Joi.string().pattern(/^\d+$/)
+);
+
+const keySizeSchema = Joi.number().integer().valid(...CRYPTO_CONSTANTS.ALLOWED_KEY_SIZES);
+
+const dealingCreationSchema = Joi.object({
+  electionId: Joi.string().uuid().required(),
+  trustees: Joi.array().items(userIdSchema).min(2).max(CRYPTO_CONSTANTS.MAX_THRESHOLD_N).required(),
+  thresholdN: Joi.number().integer().min(CRYPTO_CONSTANTS.MIN_THRESHOLD_K).max(CRYPTO_CONSTANTS.MAX_THRESHOLD_N).optional(),
+  thresholdK: Joi.number().integer().min(CRYPTO_CONSTANTS.MIN_THRESHOLD_K).optional(),
+  keySize: keySizeSchema.optional(),
+  userId: userIdSchema.optional(),
+  userRole: Joi.string().optional()
+});
+
+const dealingJoinSchema = Joi.object({
+  boxPublicKey: Joi.string().base64().required(),
+  userId: userIdSchema.optional()
+});
+
+const dealingConfirmationSchema = Joi.object({
+  shareProof: Joi.object({
+    e: Joi.string().pattern(/^\d+$/).required(),
+    z: Joi.string().pattern(/^\d+$/).required()
+  }).required(),
+  userId: userIdSchema.optional()
+});
+
+const tallySessionSchema = Joi.object({
+  electionId: Joi.string().uuid().required(),
+  mode: Joi.string().valid(...CRYPTO_CONSTANTS.TALLY_MODES).optional(),
+  source: Joi.string().valid('ballots', 'mixnet').optional(),
+  mixRunId: Joi.string().uuid().optional(),
+  userId: userIdSchema.optional(),
+  userRole: Joi.string().optional()
+});
+
+const partialDecryptionSchema = Joi.object({
+  partials: Joi.array().items(Joi.object({
+    value: Joi.string().pattern(/^\d+$/).required(),
+    proof: Joi.object({
+      e: Joi.string().pattern(/^\d+$/).required(),
+      z: Joi.string().pattern(/^\d+$/).required()
+    }).required()
+  })).min(1).required(),
+  userId: userIdSchema.optional()
+});
+
+const mixBallotSchema = Joi.object({
+  ciphertexts: Joi.array().items(Joi.string().pattern(/^\d+$/)).min(1).required()
+});
+
+const mixnetVerificationSchema = Joi.object({
+  electionId: Joi.string().uuid().required(),
+  input: Joi.array().items(mixBallotSchema).min(1).required(),
+  rounds: Joi.array().items(Joi.object({
+    round: Joi.number().integer().min(0).optional(),
+    output: Joi.array().items(mixBallotSchema).min(1).required(),
+    proof: Joi.object().required()
+  })).min(1).required(),
+  userId: userIdSchema.optional(),
+  userRole: Joi.string().optional()
+});
+
+// Receipt expiry: a fixed date or days after issue, not both; neither clears it
+const receiptPolicySchema = Joi.object({
+  electionId: Joi.string().uuid().required(),
+  validityDays: Joi.number().integer().min(1).allow(null).optional(),
+  expiresAt: Joi.date().iso().allow(null).optional(),
+  userId: userIdSchema.optional(),
+  userRole: Joi.string().optional()
+}).oxor('validityDays', 'expiresAt');
+
+const receiptRevocationSchema = Joi.object({
+  electionId: Joi.string().uuid().required(),
+  voteIds: Joi.array().items(Joi.string().uuid()).min(1).unique().required(),
+  reason: Joi.string().trim().min(3).max(500).required(),
+  userId: userIdSchema.optional(),
+  userRole: Joi.string().optional()
+});
+
+// Cast or challenge a prepared ballot
+const ballotActionSchema = Joi.object({
+  userId: userIdSchema.required(),
+  userRole: Joi.string().optional()
+});
+
+// Roll entries: voter and the weight (e.g. share count) their ballot carries
+const eligibilityRollSchema = Joi.object({
+  electionId: Joi.string().uuid().required(),
+  entries: Joi.array().items(Joi.object({
+    userId: userIdSchema.required(),
+    weight: Joi.number().integer().min(1).max(Number.MAX_SAFE_INTEGER).default(1)
+  })).min(1).unique('userId').required(),
+  userId: userIdSchema.optional(),
+  userRole: Joi.string().optional()
+});
+
+// Candidate list, ballot type and ballot rules of an election
+const ballotDefinitionSchema = Joi.object({
+  electionId: Joi.string().uuid().required(),
+  candidates: Joi.array().items(Joi.string().trim().min(1)).min(2).unique().required(),
+  ballotType: Joi.string().valid(...CRYPTO_CONSTANTS.BALLOT_TYPES).default('plurality'),
+  // Approval ballots: how many candidates a voter must and may select
+  minSelections: Joi.when('ballotType', {
+    is: 'approval',
+    then: Joi.number().integer().min(0).optional(),
+    otherwise: Joi.forbidden()
+  }),
+  maxSelections: Joi.when('ballotType', {
+    is: 'approval',
+    then: Joi.number().integer().min(1).optional(),
+    otherwise: Joi.forbidden()
+  }),
+  // Score ballots: highest score a voter may give
+  maxScore: Joi.when('ballotType', {
+    is: 'score',
+    then: Joi.number().integer().min(1).max(CRYPTO_CONSTANTS.MAX_SCORE_LIMIT).optional(),
+    otherwise: Joi.forbidden()
+  }),
+  userId: userIdSchema.optional(),
+  userRole: Joi.string().optional()
+});
+
+const validateSchema = (schema, message) => (req, res, next) => {
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message,
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+export const validateDealingCreation = validateSchema(dealingCreationSchema, 'Invalid key dealing data');
+export const validateDealingJoin = validateSchema(dealingJoinSchema, 'Invalid key dealing join data');
+export const validateDealingConfirmation = validateSchema(dealingConfirmationSchema, 'Invalid share confirmation');
+
+export const validateTallySession = validateSchema(tallySessionSchema, 'Invalid tally session data');
+export const validatePartialDecryptions = validateSchema(partialDecryptionSchema, 'Invalid partial decryptions');
+
+export const validateMixnetVerification = validateSchema(mixnetVerificationSchema, 'Invalid mixnet transcript');
+
+export const validateEligibilityRoll = validateSchema(eligibilityRollSchema, 'Invalid eligibility roll entries');
+
+export const validateBallotDefinition = validateSchema(ballotDefinitionSchema, 'Invalid ballot definition');
+
+export const validateBallotAction = validateSchema(ballotActionSchema, 'Invalid ballot action');
+
+export const validateReceiptPolicy = validateSchema(receiptPolicySchema, 'Invalid receipt policy');
+export const validateReceiptRevocation = validateSchema(receiptRevocationSchema, 'Invalid receipt revocation');
+
 export const validateVoteData = (req, res, next) => {
   const { error } = voteDataSchema.validate(req.body);
   if (error) {
@@ -0,0 +1,150 @@
+// =============================================================================
+// src/mixnode.js - Standalone mix node (one shuffle round per request)
+// =============================================================================
+
+import express from 'express';
+import helmet from 'helmet';
+import dotenv from 'dotenv';
+import nacl from 'tweetnacl';
+import { fileURLToPath } from 'node:url';
+
+import Mixnets from './services/mixnets.js';
+
+// A mix node holds its own Ed25519 signing key and never shares its
+// permutation or re-encryption randomness. The coordinator (processMixnet)
+// POSTs the previous round's output, signed with the coordinator key the node
+// pins; the node re-encrypts, shuffles, proves and signs the round.
+export const createMixNode = ({
+  nodeId,
+  secretKey = null,
+  coordinatorKey,
+  bodyLimit = '10mb',
+  maxClockSkewMs = 5 * 60 * 1000
+}) => {
+  if (!nodeId) throw new Error('Mix node id required');
+  if (!coordinatorKey) throw new Error('Mix node coordinator public key required');
+
+  // MIX_NODE_SECRET_KEY is a base64 32-byte seed; without one the key is ephemeral
+  const keyPair = secretKey
+    ? nacl.sign.keyPair.fromSeed(Buffer.from(secretKey, 'base64'))
+    : nacl.sign.keyPair();
+  const publicKey = Buffer.from(keyPair.publicKey).toString('base64');
+
+  // Local rounds only - a node never forwards to other nodes
+  const mixnets = new Mixnets(undefined, null);
+  const app = express();
+
+  app.use(helmet());
+  // Keep the raw body: the coordinator signs the exact bytes it sent
+  app.use(express.json({
+    limit: bodyLimit,
+    verify: (req, res, buffer) => { req.rawBody = buffer; }
+  }));
+
+  // Only the pinned coordinator may submit ballots, and only recently signed requests
+  const requireCoordinator = (req, res, next) => {
+    const timestamp = Number(req.get('X-Mix-Timestamp'));
+    if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp) > maxClockSkewMs) {
+      return res.status(401).json({
+        success: false,
+        message: 'Mix request timestamp is missing or outside the allowed clock skew'
+      });
+    }
+
+    if (!req.rawBody || !mixnets.verifyRequestSignature(req.rawBody, timestamp, req.get('X-Mix-Signature'), coordinatorKey)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Mix request is not signed by the coordinator'
+      });
+    }
+
+    next();
+  };
+
+  app.get('/health', (req, res) => {
+    res.status(200).json({ success: true, message: 'Mix node is running', data: { nodeId } });
+  });
+
+  // Coordinators pin this key in MIX_NODES
+  app.get('/identity', (req, res) => {
+    res.status(200).json({
+      success: true,
+      message: 'Mix node identity',
+      data: { nodeId, publicKey, algorithm: 'ed25519' }
+    });
+  });
+
+  app.post('/mix', requireCoordinator, async (req, res) => {
+    try {
+      const { electionId, round, publicKey: electionKey, input } = req.body;
+
+      if (!electionId || !Number.isInteger(round) || !electionKey?.n || !Array.isArray(input) || input.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'electionId, round, publicKey and a non-empty input are required'
+        });
+      }
+
+      const key = {
+        n: BigInt(electionKey.n),
+        g: BigInt(electionKey.g),
+        nsq: BigInt(electionKey.nsq)
+      };
+
+      const { shuffledVotes, proof } = await mixnets.performShuffle(input, round, key, nodeId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Mix round completed',
+        data: {
+          nodeId,
+          output: shuffledVotes,
+          proof: mixnets.signRound(proof, electionId, keyPair.secretKey)
+        }
+      });
+
+    } catch (error) {
+      console.error(`Mix node ${nodeId} error:`, error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to perform mix round',
+        error: error.message
+      });
+    }
+  });
+
+  return { app, nodeId, publicKey };
+};
+
+// Listen on the given port (0 picks a free one, e.g. for local test chains)
+export const startMixNode = async ({ port = 0, host = '127.0.0.1', ...options }) => {
+  const node = createMixNode(options);
+
+  const server = await new Promise((resolve, reject) => {
+    const listener = node.app.listen(port, host, () => resolve(listener));
+    listener.on('error', reject);
+  });
+
+  return {
+    ...node,
+    server,
+    url: `http://${host}:${server.address().port}`
+  };
+};
+
+// node src/mixnode.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  dotenv.config();
+
+  const node = await startMixNode({
+    nodeId: process.env.MIX_NODE_ID || 'mix-node-0',
+    secretKey: process.env.MIX_NODE_SECRET_KEY || null,
+    coordinatorKey: process.env.MIX_COORDINATOR_PUBLIC_KEY,
+    bodyLimit: process.env.MIX_NODE_BODY_LIMIT || undefined,
+    port: parseInt(process.env.MIX_NODE_PORT) || 4100,
+    host: process.env.MIX_NODE_HOST || '0.0.0.0'
+  });
+
+  console.log(`🔀 Mix node ${node.nodeId} listening on ${node.url}`);
+  console.log(`🔑 Signing key (ed25519): ${node.publicKey}`);
+}
@@ -62,6 +62,18 @@ class AuditLog {
     return result.rows.map(row => new AuditLog(row));
   }
 
+  static async findLatestByAction(electionId, actionType) {
+    const queryText = `
+      SELECT * FROM vottery_vote_audit_logs 
+      WHERE election_id = $1 AND action_type = $2
+      ORDER BY timestamp DESC
+      LIMIT 1
+    `;
+    
+    const result = await query(queryText, [electionId, actionType]);
+    return result.rows.length > 0 ? new AuditLog(result.rows[0]) : null;
+  }
+
   static async findByUser(userId) {
     const queryText = `
       SELECT * FROM vottery_vote_audit_logs 
@@ -0,0 +1,52 @@
+// =============================================================================
+// src/models/ElectionBallot.js - Candidates, ballot type and rules of an election
+// =============================================================================
+
+import { query } from "../../config/database.js";
+
+class ElectionBallot {
+  constructor(data) {
+    this.election_id = data.election_id;
+    this.candidates = data.candidates;
+    this.ballot_type = data.ballot_type;
+    this.ballot_rules = data.ballot_rules;
+    this.defined_by = data.defined_by;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  static async upsert(ballotData) {
+    const queryText = `
+      INSERT INTO vottery_election_ballots
+      (election_id, candidates, ballot_type, ballot_rules, defined_by)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (election_id)
+      DO UPDATE SET candidates = EXCLUDED.candidates, ballot_type = EXCLUDED.ballot_type,
+        ballot_rules = EXCLUDED.ballot_rules, defined_by = EXCLUDED.defined_by, updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+
+    const values = [
+      ballotData.election_id,
+      JSON.stringify(ballotData.candidates),
+      ballotData.ballot_type,
+      JSON.stringify(ballotData.ballot_rules || {}),
+      ballotData.defined_by
+    ];
+
+    const result = await query(queryText, values);
+    return new ElectionBallot(result.rows[0]);
+  }
+
+  static async findByElection(electionId) {
+    const queryText = `
+      SELECT * FROM vottery_election_ballots
+      WHERE election_id = $1
+    `;
+
+    const result = await query(queryText, [electionId]);
+    return result.rows.length > 0 ? new ElectionBallot(result.rows[0]) : null;
+  }
+}
+
+export { ElectionBallot };
@@ -0,0 +1,72 @@
+// =============================================================================
+// src/models/EligibilityRoll.js - Eligible voters and their ballot weights
+// =============================================================================
+
+import { query } from "../../config/database.js";
+
+class EligibilityRoll {
+  constructor(data) {
+    this.election_id = data.election_id;
+    this.user_id = data.user_id;
+    // BIGINT comes back from pg as a string
+    this.weight = Number(data.weight);
+    this.added_by = data.added_by;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  static async upsert(entryData) {
+    const queryText = `
+      INSERT INTO vottery_eligibility_roll
+      (election_id, user_id, weight, added_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (election_id, user_id)
+      DO UPDATE SET weight = EXCLUDED.weight, added_by = EXCLUDED.added_by, updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+
+    const values = [
+      entryData.election_id,
+      String(entryData.user_id),
+      entryData.weight,
+      entryData.added_by
+    ];
+
+    const result = await query(queryText, values);
+    return new EligibilityRoll(result.rows[0]);
+  }
+
+  static async findEntry(electionId, userId) {
+    const queryText = `
+      SELECT * FROM vottery_eligibility_roll
+      WHERE election_id = $1 AND user_id = $2
+    `;
+
+    const result = await query(queryText, [electionId, String(userId)]);
+    return result.rows.length > 0 ? new EligibilityRoll(result.rows[0]) : null;
+  }
+
+  static async findByElection(electionId) {
+    const queryText = `
+      SELECT * FROM vottery_eligibility_roll
+      WHERE election_id = $1
+      ORDER BY user_id ASC
+    `;
+
+    const result = await query(queryText, [electionId]);
+    return result.rows.map(row => new EligibilityRoll(row));
+  }
+
+  static async countByElection(electionId) {
+    const queryText = `
+      SELECT COUNT(*) as entry_count
+      FROM vottery_eligibility_roll
+      WHERE election_id = $1
+    `;
+
+    const result = await query(queryText, [electionId]);
+    return parseInt(result.rows[0].entry_count);
+  }
+}
+
+export { EligibilityRoll };
@@ -15,6 +15,8 @@ class EncryptedVote {
     this.mixnet_data = data.mixnet_data;
     this.commitment = data.commitment;
     this.nullifier = data.nullifier;
+    // BIGINT comes back from pg as a string; rows from before weighting have none
+    this.weight = data.weight === undefined || data.weight === null ? 1 : Number(data.weight);
     this.vote_hash = data.vote_hash;
     this.encryption_version = data.encryption_version;
     this.created_at = data.created_at;
@@ -26,8 +28,8 @@ class EncryptedVote {
     const queryText = `
       INSERT INTO vottery_encrypted_votes 
       (id, vote_id, election_id, user_id, encrypted_vote, homomorphic_data, 
-       zk_proof, mixnet_data, commitment, nullifier, vote_hash, encryption_version)
-      VALUES (DEFAULT, $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       zk_proof, mixnet_data, commitment, nullifier, vote_hash, encryption_version, weight)
+      VALUES (DEFAULT, $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
       RETURNING *
     `;
     
@@ -42,7 +44,8 @@ class EncryptedVote {
       voteData.commitment,
       voteData.nullifier,
       voteData.vote_hash,
-      voteData.encryption_version || '1.0'
+      voteData.encryption_version || '1.0',
+      voteData.weight || 1
     ];
 
     const result = await query(queryText, values);
@@ -70,6 +73,17 @@ class EncryptedVote {
     return result.rows.length > 0 ? new EncryptedVote(result.rows[0]) : null;
   }
 
+  // Ballot tracking code (vote_hash) lookup
+  static async findByVoteHash(voteHash) {
+    const queryText = `
+      SELECT * FROM vottery_encrypted_votes 
+      WHERE vote_hash = $1
+    `;
+    
+    const result = await query(queryText, [voteHash]);
+    return result.rows.length > 0 ? new EncryptedVote(result.rows[0]) : null;
+  }
+
   static async findByUserId(userId) {
     const queryText = `
       SELECT * FROM vottery_encrypted_votes 
@@ -115,13 +129,13 @@ class EncryptedVote {
     return result.rows.length > 0 ? new EncryptedVote(result.rows[0]) : null;
   }
 
-  static async checkNullifierExists(nullifier) {
+  static async checkNullifierExists(nullifier, electionId) {
     const queryText = `
       SELECT vote_id FROM vottery_encrypted_votes 
-      WHERE nullifier = $1
+      WHERE nullifier = $1 AND election_id = $2
     `;
     
-    const result = await query(queryText, [nullifier]);
+    const result = await query(queryText, [nullifier, electionId]);
     return result.rows.length > 0;
   }
 
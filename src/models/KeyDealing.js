@@ -0,0 +1,182 @@
+// =============================================================================
+// src/models/KeyDealing.js - Dealer-based key sharings and their trustees
+// =============================================================================
+
+import { query } from "../../config/database.js";
+
+class KeyDealing {
+  constructor(data) {
+    this.dealing_id = data.dealing_id;
+    this.election_id = data.election_id;
+    this.status = data.status;
+    this.threshold_n = data.threshold_n;
+    this.threshold_k = data.threshold_k;
+    this.key_size = data.key_size;
+    this.created_by = data.created_by;
+    this.public_key = data.public_key;
+    this.key_id = data.key_id;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+    this.published_at = data.published_at;
+  }
+
+  static async create(dealingData) {
+    const queryText = `
+      INSERT INTO vottery_key_dealings 
+      (dealing_id, election_id, status, threshold_n, threshold_k, key_size, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `;
+    
+    const values = [
+      dealingData.dealing_id,
+      dealingData.election_id,
+      dealingData.status || 'registration',
+      dealingData.threshold_n,
+      dealingData.threshold_k,
+      dealingData.key_size,
+      dealingData.created_by
+    ];
+
+    const result = await query(queryText, values);
+    return new KeyDealing(result.rows[0]);
+  }
+
+  static async findById(dealingId) {
+    const queryText = `
+      SELECT * FROM vottery_key_dealings 
+      WHERE dealing_id = $1
+    `;
+    
+    const result = await query(queryText, [dealingId]);
+    return result.rows.length > 0 ? new KeyDealing(result.rows[0]) : null;
+  }
+
+  static async findActiveByElection(electionId) {
+    const queryText = `
+      SELECT * FROM vottery_key_dealings 
+      WHERE election_id = $1 AND status <> 'aborted'
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+    
+    const result = await query(queryText, [electionId]);
+    return result.rows.length > 0 ? new KeyDealing(result.rows[0]) : null;
+  }
+
+  // Atomic status transition - returns null if the dealing was not in fromStatus
+  static async transition(dealingId, fromStatus, toStatus) {
+    const queryText = `
+      UPDATE vottery_key_dealings 
+      SET status = $3, updated_at = CURRENT_TIMESTAMP 
+      WHERE dealing_id = $1 AND status = $2 
+      RETURNING *
+    `;
+    
+    const result = await query(queryText, [dealingId, fromStatus, toStatus]);
+    return result.rows.length > 0 ? new KeyDealing(result.rows[0]) : null;
+  }
+
+  static async setPublicKey(dealingId, publicKey) {
+    const queryText = `
+      UPDATE vottery_key_dealings 
+      SET public_key = $2, updated_at = CURRENT_TIMESTAMP 
+      WHERE dealing_id = $1 
+      RETURNING *
+    `;
+    
+    const result = await query(queryText, [dealingId, JSON.stringify(publicKey)]);
+    return result.rows.length > 0 ? new KeyDealing(result.rows[0]) : null;
+  }
+
+  static async markPublished(dealingId, keyId) {
+    const queryText = `
+      UPDATE vottery_key_dealings 
+      SET status = 'published', key_id = $2,
+          published_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP 
+      WHERE dealing_id = $1 AND status = 'publishing' 
+      RETURNING *
+    `;
+    
+    const result = await query(queryText, [dealingId, String(keyId)]);
+    return result.rows.length > 0 ? new KeyDealing(result.rows[0]) : null;
+  }
+
+  static async addTrustee(dealingId, trusteeId, shareIndex) {
+    const queryText = `
+      INSERT INTO vottery_dealing_trustees 
+      (dealing_id, trustee_id, share_index)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `;
+    
+    const result = await query(queryText, [dealingId, String(trusteeId), shareIndex]);
+    return result.rows[0];
+  }
+
+  static async getTrustees(dealingId) {
+    const queryText = `
+      SELECT * FROM vottery_dealing_trustees 
+      WHERE dealing_id = $1 
+      ORDER BY share_index ASC
+    `;
+    
+    const result = await query(queryText, [dealingId]);
+    return result.rows;
+  }
+
+  static async findTrustee(dealingId, trusteeId) {
+    const queryText = `
+      SELECT * FROM vottery_dealing_trustees 
+      WHERE dealing_id = $1 AND trustee_id = $2
+    `;
+    
+    const result = await query(queryText, [dealingId, String(trusteeId)]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  static async joinTrustee(dealingId, trusteeId, boxPublicKey) {
+    const queryText = `
+      UPDATE vottery_dealing_trustees 
+      SET box_public_key = $3, joined_at = CURRENT_TIMESTAMP 
+      WHERE dealing_id = $1 AND trustee_id = $2 AND joined_at IS NULL 
+      RETURNING *
+    `;
+    
+    const result = await query(queryText, [dealingId, String(trusteeId), boxPublicKey]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  static async storeSealedShare(dealingId, shareIndex, sealedShare) {
+    const queryText = `
+      UPDATE vottery_dealing_trustees 
+      SET encrypted_share = $3, verification_key = $4 
+      WHERE dealing_id = $1 AND share_index = $2 
+      RETURNING *
+    `;
+    
+    const values = [
+      dealingId,
+      shareIndex,
+      JSON.stringify(sealedShare.encryptedShare),
+      sealedShare.verificationKey
+    ];
+
+    const result = await query(queryText, values);
+    return result.rows[0];
+  }
+
+  static async confirmTrustee(dealingId, trusteeId) {
+    const queryText = `
+      UPDATE vottery_dealing_trustees 
+      SET confirmed_at = CURRENT_TIMESTAMP 
+      WHERE dealing_id = $1 AND trustee_id = $2 AND confirmed_at IS NULL 
+      RETURNING *
+    `;
+    
+    const result = await query(queryText, [dealingId, String(trusteeId)]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+}
+
+export { KeyDealing };
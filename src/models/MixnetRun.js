@@ -0,0 +1,155 @@
+// =============================================================================
+// src/models/MixnetRun.js - Mixnet runs and their persisted rounds
+// =============================================================================
+
+import { query } from "../../config/database.js";
+
+class MixnetRun {
+  constructor(data) {
+    this.run_id = data.run_id;
+    this.election_id = data.election_id;
+    this.key_id = data.key_id;
+    this.status = data.status;
+    this.distributed = data.distributed;
+    this.input = data.input;
+    this.input_hash = data.input_hash;
+    this.layout = data.layout;
+    this.included_votes = data.included_votes;
+    this.round_count = data.round_count;
+    this.output_hash = data.output_hash;
+    this.created_by = data.created_by;
+    this.error = data.error;
+    this.created_at = data.created_at;
+    this.completed_at = data.completed_at;
+  }
+
+  static async create(runData) {
+    const queryText = `
+      INSERT INTO vottery_mixnet_runs
+      (run_id, election_id, key_id, distributed, input, input_hash, layout, included_votes, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `;
+
+    const values = [
+      runData.run_id,
+      runData.election_id,
+      String(runData.key_id),
+      runData.distributed || false,
+      JSON.stringify(runData.input),
+      runData.input_hash,
+      JSON.stringify(runData.layout),
+      JSON.stringify(runData.included_votes),
+      runData.created_by
+    ];
+
+    const result = await query(queryText, values);
+    return new MixnetRun(result.rows[0]);
+  }
+
+  static async findById(runId) {
+    const queryText = `
+      SELECT * FROM vottery_mixnet_runs
+      WHERE run_id = $1
+    `;
+
+    const result = await query(queryText, [runId]);
+    return result.rows.length > 0 ? new MixnetRun(result.rows[0]) : null;
+  }
+
+  static async findByElection(electionId) {
+    const queryText = `
+      SELECT * FROM vottery_mixnet_runs
+      WHERE election_id = $1
+      ORDER BY created_at DESC
+    `;
+
+    const result = await query(queryText, [electionId]);
+    return result.rows.map(row => new MixnetRun(row));
+  }
+
+  // Most recent run whose every round was stored - what tallies read from
+  static async findLatestCompleted(electionId) {
+    const queryText = `
+      SELECT * FROM vottery_mixnet_runs
+      WHERE election_id = $1 AND status = 'completed'
+      ORDER BY completed_at DESC
+      LIMIT 1
+    `;
+
+    const result = await query(queryText, [electionId]);
+    return result.rows.length > 0 ? new MixnetRun(result.rows[0]) : null;
+  }
+
+  static async addRound(runId, roundData) {
+    const queryText = `
+      INSERT INTO vottery_mixnet_rounds
+      (run_id, round, node_id, input_hash, output_hash, output, proof, signature)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `;
+
+    const values = [
+      runId,
+      roundData.round,
+      roundData.node_id,
+      roundData.input_hash,
+      roundData.output_hash,
+      JSON.stringify(roundData.output),
+      JSON.stringify(roundData.proof),
+      roundData.signature || null
+    ];
+
+    const result = await query(queryText, values);
+    return result.rows[0];
+  }
+
+  static async getRounds(runId) {
+    const queryText = `
+      SELECT * FROM vottery_mixnet_rounds
+      WHERE run_id = $1
+      ORDER BY round ASC
+    `;
+
+    const result = await query(queryText, [runId]);
+    return result.rows;
+  }
+
+  static async getFinalRound(runId) {
+    const queryText = `
+      SELECT * FROM vottery_mixnet_rounds
+      WHERE run_id = $1
+      ORDER BY round DESC
+      LIMIT 1
+    `;
+
+    const result = await query(queryText, [runId]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  static async markCompleted(runId, roundCount, outputHash) {
+    const queryText = `
+      UPDATE vottery_mixnet_runs
+      SET status = 'completed', round_count = $2, output_hash = $3, completed_at = CURRENT_TIMESTAMP
+      WHERE run_id = $1 AND status = 'mixing'
+      RETURNING *
+    `;
+
+    const result = await query(queryText, [runId, roundCount, outputHash]);
+    return result.rows.length > 0 ? new MixnetRun(result.rows[0]) : null;
+  }
+
+  static async markFailed(runId, errorMessage) {
+    const queryText = `
+      UPDATE vottery_mixnet_runs
+      SET status = 'failed', error = $2
+      WHERE run_id = $1 AND status = 'mixing'
+      RETURNING *
+    `;
+
+    const result = await query(queryText, [runId, errorMessage]);
+    return result.rows.length > 0 ? new MixnetRun(result.rows[0]) : null;
+  }
+}
+
+export { MixnetRun };
@@ -0,0 +1,104 @@
+// =============================================================================
+// src/models/PendingBallot.js - Prepared ballots awaiting cast or challenge
+// =============================================================================
+
+import { query } from "../../config/database.js";
+
+class PendingBallot {
+  constructor(data) {
+    this.ballot_id = data.ballot_id;
+    this.election_id = data.election_id;
+    this.user_id = data.user_id;
+    this.status = data.status;
+    this.tracking_code = data.tracking_code;
+    this.ballot = data.ballot;
+    this.secrets = data.secrets;
+    this.created_at = data.created_at;
+    this.expires_at = data.expires_at;
+    this.resolved_at = data.resolved_at;
+  }
+
+  static async create(ballotData) {
+    const queryText = `
+      INSERT INTO vottery_pending_ballots
+      (ballot_id, election_id, user_id, tracking_code, ballot, secrets, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `;
+
+    const values = [
+      ballotData.ballot_id,
+      ballotData.election_id,
+      String(ballotData.user_id),
+      ballotData.tracking_code,
+      JSON.stringify(ballotData.ballot),
+      JSON.stringify(ballotData.secrets),
+      ballotData.expires_at
+    ];
+
+    const result = await query(queryText, values);
+    return new PendingBallot(result.rows[0]);
+  }
+
+  static async findById(ballotId) {
+    const queryText = `
+      SELECT * FROM vottery_pending_ballots
+      WHERE ballot_id = $1
+    `;
+
+    const result = await query(queryText, [ballotId]);
+    return result.rows.length > 0 ? new PendingBallot(result.rows[0]) : null;
+  }
+
+  // Casting drops the secrets - a cast ballot's randomness is never revealed.
+  // Returns null if the ballot was no longer pending.
+  static async markCast(ballotId) {
+    const queryText = `
+      UPDATE vottery_pending_ballots
+      SET status = 'cast', secrets = NULL, resolved_at = CURRENT_TIMESTAMP
+      WHERE ballot_id = $1 AND status = 'pending' AND expires_at > CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+
+    const result = await query(queryText, [ballotId]);
+    return result.rows.length > 0 ? new PendingBallot(result.rows[0]) : null;
+  }
+
+  // Undo markCast when the ballot could not be recorded
+  static async reopen(ballotId, secrets) {
+    const queryText = `
+      UPDATE vottery_pending_ballots
+      SET status = 'pending', secrets = $2, resolved_at = NULL
+      WHERE ballot_id = $1 AND status = 'cast'
+      RETURNING *
+    `;
+
+    const result = await query(queryText, [ballotId, JSON.stringify(secrets)]);
+    return result.rows.length > 0 ? new PendingBallot(result.rows[0]) : null;
+  }
+
+  static async markSpoiled(ballotId) {
+    const queryText = `
+      UPDATE vottery_pending_ballots
+      SET status = 'spoiled', resolved_at = CURRENT_TIMESTAMP
+      WHERE ballot_id = $1 AND status = 'pending'
+      RETURNING *
+    `;
+
+    const result = await query(queryText, [ballotId]);
+    return result.rows.length > 0 ? new PendingBallot(result.rows[0]) : null;
+  }
+
+  static async findSpoiledByElection(electionId) {
+    const queryText = `
+      SELECT * FROM vottery_pending_ballots
+      WHERE election_id = $1 AND status = 'spoiled'
+      ORDER BY resolved_at ASC
+    `;
+
+    const result = await query(queryText, [electionId]);
+    return result.rows.map(row => new PendingBallot(row));
+  }
+}
+
+export { PendingBallot };
@@ -18,14 +18,18 @@ class Receipt {
    this.verified_at = data.verified_at;
    this.created_at = data.created_at;
    this.expires_at = data.expires_at;
+   this.status = data.status;
+   this.revoked_at = data.revoked_at;
+   this.revoked_by = data.revoked_by;
+   this.revocation_reason = data.revocation_reason;
  }
 
 static async create(receiptData) {
   const queryText = `
     INSERT INTO vottery_receipts 
     (id, receipt_id, vote_id, election_id, user_id, receipt_hash, 
-     verification_code, receipt_data, receipt_version)
-    VALUES (DEFAULT, $1, $2, $3, $4, $5, $6, $7, $8)
+     verification_code, receipt_data, receipt_version, expires_at)
+    VALUES (DEFAULT, $1, $2, $3, $4, $5, $6, $7, $8, $9)
     RETURNING *
   `;
   
@@ -37,7 +41,8 @@ static async create(receiptData) {
     receiptData.receipt_hash,
     receiptData.verification_code,
     JSON.stringify(receiptData.receipt_data),
-    receiptData.receipt_version || '1.0'
+    receiptData.receipt_version || '1.0',
+    receiptData.expires_at || null
   ];
 
   const result = await query(queryText, values);
@@ -63,6 +68,44 @@ static async create(receiptData) {
    const result = await query(queryText, [voteId]);
    return result.rows.length > 0 ? new Receipt(result.rows[0]) : null;
  }
+
+ // Record a successful verification lookup; verified_at keeps the first one
+ static async markVerified(receiptId) {
+   const queryText = `
+     UPDATE vottery_receipts 
+     SET is_verified = TRUE, verified_at = COALESCE(verified_at, CURRENT_TIMESTAMP) 
+     WHERE receipt_id = $1 
+     RETURNING *
+   `;
+   
+   const result = await query(queryText, [receiptId]);
+   return result.rows.length > 0 ? new Receipt(result.rows[0]) : null;
+ }
+
+ // Returns null if the receipt was already revoked
+ static async revoke(receiptId, revokedBy, reason) {
+   const queryText = `
+     UPDATE vottery_receipts 
+     SET status = 'revoked', revoked_at = CURRENT_TIMESTAMP, revoked_by = $2, revocation_reason = $3 
+     WHERE receipt_id = $1 AND status <> 'revoked' 
+     RETURNING *
+   `;
+   
+   const result = await query(queryText, [receiptId, revokedBy, reason]);
+   return result.rows.length > 0 ? new Receipt(result.rows[0]) : null;
+ }
+
+ // Re-apply an election's expiry policy to the receipts it has issued
+ static async applyExpiryPolicy(electionId, validityDays, expiresAt) {
+   const queryText = `
+     UPDATE vottery_receipts 
+     SET expires_at = COALESCE($3::timestamp, created_at + ($2::integer * INTERVAL '1 day')) 
+     WHERE election_id = $1 
+   `;
+   
+   const result = await query(queryText, [electionId, validityDays ?? null, expiresAt ?? null]);
+   return result.rowCount;
+ }
 }
 
 export { Receipt };
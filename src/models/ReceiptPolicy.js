@@ -0,0 +1,49 @@
+// =============================================================================
+// src/models/ReceiptPolicy.js - Per-election receipt expiry policy
+// =============================================================================
+
+import { query } from "../../config/database.js";
+
+class ReceiptPolicy {
+  constructor(data) {
+    this.election_id = data.election_id;
+    this.validity_days = data.validity_days;
+    this.expires_at = data.expires_at;
+    this.updated_by = data.updated_by;
+    this.updated_at = data.updated_at;
+  }
+
+  static async upsert(policyData) {
+    const queryText = `
+      INSERT INTO vottery_receipt_policies
+      (election_id, validity_days, expires_at, updated_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (election_id)
+      DO UPDATE SET validity_days = EXCLUDED.validity_days, expires_at = EXCLUDED.expires_at,
+        updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+
+    const values = [
+      policyData.election_id,
+      policyData.validity_days ?? null,
+      policyData.expires_at ?? null,
+      policyData.updated_by
+    ];
+
+    const result = await query(queryText, values);
+    return new ReceiptPolicy(result.rows[0]);
+  }
+
+  static async findByElection(electionId) {
+    const queryText = `
+      SELECT * FROM vottery_receipt_policies
+      WHERE election_id = $1
+    `;
+
+    const result = await query(queryText, [electionId]);
+    return result.rows.length > 0 ? new ReceiptPolicy(result.rows[0]) : null;
+  }
+}
+
+export { ReceiptPolicy };
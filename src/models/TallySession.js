@@ -0,0 +1,143 @@
+// =============================================================================
+// src/models/TallySession.js - Trustee tally sessions and partial decryptions
+// =============================================================================
+
+import { query } from "../../config/database.js";
+
+class TallySession {
+  constructor(data) {
+    this.session_id = data.session_id;
+    this.election_id = data.election_id;
+    this.key_id = data.key_id;
+    this.dealing_id = data.dealing_id;
+    this.status = data.status;
+    this.mode = data.mode;
+    this.source = data.source;
+    this.mix_run_id = data.mix_run_id;
+    this.ciphertexts = data.ciphertexts;
+    this.layout = data.layout;
+    this.included_votes = data.included_votes;
+    this.ballot_count = data.ballot_count;
+    this.threshold_n = data.threshold_n;
+    this.threshold_k = data.threshold_k;
+    this.opened_by = data.opened_by;
+    this.result = data.result;
+    this.created_at = data.created_at;
+    this.released_at = data.released_at;
+  }
+
+  static async create(sessionData) {
+    const queryText = `
+      INSERT INTO vottery_tally_sessions 
+      (session_id, election_id, key_id, dealing_id, mode, source, mix_run_id, ciphertexts, layout,
+       included_votes, ballot_count, threshold_n, threshold_k, opened_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      RETURNING *
+    `;
+    
+    const values = [
+      sessionData.session_id,
+      sessionData.election_id,
+      String(sessionData.key_id),
+      sessionData.dealing_id,
+      sessionData.mode || 'homomorphic',
+      sessionData.source || 'ballots',
+      sessionData.mix_run_id || null,
+      JSON.stringify(sessionData.ciphertexts),
+      JSON.stringify(sessionData.layout),
+      JSON.stringify(sessionData.included_votes),
+      sessionData.ballot_count,
+      sessionData.threshold_n,
+      sessionData.threshold_k,
+      sessionData.opened_by
+    ];
+
+    const result = await query(queryText, values);
+    return new TallySession(result.rows[0]);
+  }
+
+  static async findById(sessionId) {
+    const queryText = `
+      SELECT * FROM vottery_tally_sessions 
+      WHERE session_id = $1
+    `;
+    
+    const result = await query(queryText, [sessionId]);
+    return result.rows.length > 0 ? new TallySession(result.rows[0]) : null;
+  }
+
+  static async findOpenByElection(electionId) {
+    const queryText = `
+      SELECT * FROM vottery_tally_sessions 
+      WHERE election_id = $1 AND status IN ('open', 'releasing')
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+    
+    const result = await query(queryText, [electionId]);
+    return result.rows.length > 0 ? new TallySession(result.rows[0]) : null;
+  }
+
+  static async findLatestReleased(electionId) {
+    const queryText = `
+      SELECT * FROM vottery_tally_sessions 
+      WHERE election_id = $1 AND status = 'released'
+      ORDER BY released_at DESC
+      LIMIT 1
+    `;
+    
+    const result = await query(queryText, [electionId]);
+    return result.rows.length > 0 ? new TallySession(result.rows[0]) : null;
+  }
+
+  // Atomic status transition - returns null if the session was not in fromStatus
+  static async transition(sessionId, fromStatus, toStatus) {
+    const queryText = `
+      UPDATE vottery_tally_sessions 
+      SET status = $3 
+      WHERE session_id = $1 AND status = $2 
+      RETURNING *
+    `;
+    
+    const result = await query(queryText, [sessionId, fromStatus, toStatus]);
+    return result.rows.length > 0 ? new TallySession(result.rows[0]) : null;
+  }
+
+  static async markReleased(sessionId, tallyResult) {
+    const queryText = `
+      UPDATE vottery_tally_sessions 
+      SET status = 'released', result = $2, released_at = CURRENT_TIMESTAMP 
+      WHERE session_id = $1 AND status = 'releasing' 
+      RETURNING *
+    `;
+    
+    const result = await query(queryText, [sessionId, JSON.stringify(tallyResult)]);
+    return result.rows.length > 0 ? new TallySession(result.rows[0]) : null;
+  }
+
+  static async addPartials(sessionId, trusteeId, shareIndex, partials) {
+    const queryText = `
+      INSERT INTO vottery_tally_partials 
+      (session_id, trustee_id, share_index, partials)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+    
+    const values = [sessionId, String(trusteeId), shareIndex, JSON.stringify(partials)];
+    const result = await query(queryText, values);
+    return result.rows[0];
+  }
+
+  static async getPartials(sessionId) {
+    const queryText = `
+      SELECT * FROM vottery_tally_partials 
+      WHERE session_id = $1 
+      ORDER BY submitted_at ASC
+    `;
+    
+    const result = await query(queryText, [sessionId]);
+    return result.rows;
+  }
+}
+
+export { TallySession };
@@ -1,13 +1,31 @@
 //role absed access from database
 import express from 'express';
 import CryptoController from '../controllers/cryptoController.js';
-import { validateVoteData, validateTallyData } from '../middleware/validation.js';
+import KeyDealingController from '../controllers/keyDealingController.js';
+import TallySessionController from '../controllers/tallySessionController.js';
+import {
+  validateVoteData,
+  validateTallyData,
+  validateDealingCreation,
+  validateDealingJoin,
+  validateDealingConfirmation,
+  validateTallySession,
+  validatePartialDecryptions,
+  validateMixnetVerification,
+  validateEligibilityRoll,
+  validateBallotDefinition,
+  validateBallotAction,
+  validateReceiptPolicy,
+  validateReceiptRevocation
+} from '../middleware/validation.js';
 import { roleBasedAccess, requireAuth } from '../middleware/roleBasedAccess.js';
 
 const router = express.Router();
 const cryptoController = new CryptoController();
+const keyDealingController = new KeyDealingController();
+const tallySessionController = new TallySessionController();
 
-// Process encrypted vote
+// Prepare an encrypted ballot (not recorded until cast)
 router.post('/vote', 
   requireAuth,
   validateVoteData,
@@ -15,7 +33,29 @@ router.post('/vote',
   cryptoController.processVote.bind(cryptoController)
 );
 
-// Calculate homomorphic tally
+// Cast a prepared ballot
+router.post('/vote/:ballotId/cast',
+  requireAuth,
+  validateBallotAction,
+  roleBasedAccess(['Individual Election Creators', 'Organization Election Creators', 'Voters']),
+  cryptoController.castVote.bind(cryptoController)
+);
+
+// Challenge (spoil) a prepared ballot and reveal its encryption
+router.post('/vote/:ballotId/challenge',
+  requireAuth,
+  validateBallotAction,
+  roleBasedAccess(['Individual Election Creators', 'Organization Election Creators', 'Voters']),
+  cryptoController.challengeVote.bind(cryptoController)
+);
+
+// Published spoiled ballots of an election (public)
+router.get('/ballots/spoiled/:electionId',
+  cryptoController.getSpoiledBallots.bind(cryptoController)
+);
+
+// Calculate homomorphic tally - keys are trustee-held, so this only points
+// callers to /tally/sessions
 router.post('/tally',
   requireAuth,
   validateTallyData,
@@ -29,6 +69,55 @@ router.post('/verify',
   cryptoController.verifyVote.bind(cryptoController)
 );
 
+// Public "check my ballot" by verification code or tracking code (no auth;
+// rate limited in app.js)
+router.get('/ballots/check/:code',
+  cryptoController.checkBallot.bind(cryptoController)
+);
+
+// Receipt as a PDF with a verification QR code
+router.get('/receipts/:verificationCode/pdf',
+  requireAuth,
+  cryptoController.getReceiptPDF.bind(cryptoController)
+);
+
+// Per-election receipt expiry policy
+router.put('/receipts/policy',
+  requireAuth,
+  validateReceiptPolicy,
+  roleBasedAccess(['Manager', 'Admin']),
+  cryptoController.setReceiptPolicy.bind(cryptoController)
+);
+
+// Revoke receipts of voided ballots
+router.post('/receipts/revoke',
+  requireAuth,
+  validateReceiptRevocation,
+  roleBasedAccess(['Manager', 'Admin']),
+  cryptoController.revokeReceipts.bind(cryptoController)
+);
+
+// Open a trustee tally session
+router.post('/tally/sessions',
+  requireAuth,
+  validateTallySession,
+  roleBasedAccess(['Manager', 'Admin']),
+  tallySessionController.openSession.bind(tallySessionController)
+);
+
+// Tally session status and missing trustees
+router.get('/tally/sessions/:sessionId',
+  requireAuth,
+  tallySessionController.getSession.bind(tallySessionController)
+);
+
+// Trustee submits partial decryptions
+router.post('/tally/sessions/:sessionId/partials',
+  requireAuth,
+  validatePartialDecryptions,
+  tallySessionController.submitPartials.bind(tallySessionController)
+);
+
 // Process mixnet
 router.post('/mixnet',
   requireAuth,
@@ -36,11 +125,99 @@ router.post('/mixnet',
   cryptoController.processMixnet.bind(cryptoController)
 );
 
-// Generate election keys
+// Auditor verification of a mixnet transcript
+router.post('/mixnet/verify',
+  requireAuth,
+  validateMixnetVerification,
+  roleBasedAccess(['Manager', 'Admin', 'Auditor']),
+  cryptoController.verifyMixnet.bind(cryptoController)
+);
+
+// Stored mixnet run (input, every round's output, proofs and signatures)
+router.get('/mixnet/runs/:runId',
+  requireAuth,
+  roleBasedAccess(['Manager', 'Admin', 'Auditor']),
+  cryptoController.getMixnetRun.bind(cryptoController)
+);
+
+// Re-verify a stored mixnet run against the cast ballots
+router.post('/mixnet/runs/:runId/verify',
+  requireAuth,
+  roleBasedAccess(['Manager', 'Admin', 'Auditor']),
+  cryptoController.verifyMixnetRun.bind(cryptoController)
+);
+
+// Election creators set the candidate list and ballot type
+router.put('/ballot',
+  requireAuth,
+  validateBallotDefinition,
+  roleBasedAccess(['Individual Election Creators', 'Organization Election Creators', 'Manager', 'Admin']),
+  cryptoController.defineBallot.bind(cryptoController)
+);
+
+// Ballot definition voters prepare their votes against
+router.get('/ballot/:electionId',
+  requireAuth,
+  cryptoController.getBallotDefinition.bind(cryptoController)
+);
+
+// Organization creators register voters and their ballot weights
+router.post('/roll',
+  requireAuth,
+  validateEligibilityRoll,
+  roleBasedAccess(['Organization Election Creators', 'Manager', 'Admin']),
+  cryptoController.updateEligibilityRoll.bind(cryptoController)
+);
+
+// Eligibility roll with weights
+router.get('/roll/:electionId',
+  requireAuth,
+  roleBasedAccess(['Organization Election Creators', 'Manager', 'Admin', 'Auditor']),
+  cryptoController.getEligibilityRoll.bind(cryptoController)
+);
+
+// Generate election keys - shares are always dealt to trustees, so this opens
+// a key dealing exactly like /keys/dealing
 router.post('/keys',
   requireAuth,
+  validateDealingCreation,
   roleBasedAccess(['Manager', 'Admin']),
-  cryptoController.generateElectionKeys.bind(cryptoController)
+  keyDealingController.createDealing.bind(keyDealingController)
+);
+
+// Key dealing - admin opens it for a list of trustees; the server deals the
+// key shares once every trustee has joined
+router.post('/keys/dealing',
+  requireAuth,
+  validateDealingCreation,
+  roleBasedAccess(['Manager', 'Admin']),
+  keyDealingController.createDealing.bind(keyDealingController)
+);
+
+// Key dealing status
+router.get('/keys/dealing/:dealingId',
+  requireAuth,
+  keyDealingController.getDealing.bind(keyDealingController)
+);
+
+// Trustee joins with the key their share will be sealed to
+router.post('/keys/dealing/:dealingId/join',
+  requireAuth,
+  validateDealingJoin,
+  keyDealingController.joinDealing.bind(keyDealingController)
+);
+
+// Trustee fetches their own sealed share
+router.get('/keys/dealing/:dealingId/share',
+  requireAuth,
+  keyDealingController.getShare.bind(keyDealingController)
+);
+
+// Trustee confirms their share
+router.post('/keys/dealing/:dealingId/confirm',
+  requireAuth,
+  validateDealingConfirmation,
+  keyDealingController.confirmShare.bind(keyDealingController)
 );
 
 export default router;
@@ -9,6 +9,10 @@ router.post('/commitment',
   zkProofController.generateCommitment.bind(zkProofController)
 );
 
+router.get('/generators',
+  zkProofController.getGenerators.bind(zkProofController)
+);
+
 // Generate proof
 router.post('/proof',
   zkProofController.generateProof.bind(zkProofController)
@@ -20,8 +24,8 @@ router.post('/verify',
 );
 
 // Generate nullifier
-router.post('/nullifier',
-  zkProofController.generateNullifier.bind(zkProofController)
+router.post('/nullifier/verify',
+  zkProofController.verifyNullifier.bind(zkProofController)
 );
 
 export default router;
\ No newline at end of file
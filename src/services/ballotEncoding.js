@@ -0,0 +1,259 @@
+import { CRYPTO_CONSTANTS } from '../utils/constants.js';
+
+// Plaintext layout of each ballot type before encryption, one Paillier
+// ciphertext per entry:
+//   plurality - one 0/1 entry per candidate, exactly one set
+//   ranked    - a candidates x candidates 0/1 permutation matrix, row r holding
+//               the candidate ranked r-th (rank-major, so row 0 is the first preference)
+//   approval  - one 0/1 entry per candidate, between min and max of them set
+//   score     - one entry per candidate holding its score in [0, maxScore]
+//   pairwise  - a candidates x candidates 0/1 preference matrix, entry (i, j)
+//               set when candidate i is ranked above candidate j
+class BallotEncoding {
+  // Election-level ballot rules that proofs are checked against; stored with
+  // every ballot so all ballots of an election can be compared
+  rules(ballotType, { minSelections, maxSelections, maxScore } = {}, candidates = []) {
+    switch (ballotType) {
+      case 'approval':
+        return {
+          selectionLimits: {
+            min: minSelections ?? 0,
+            max: maxSelections ?? candidates.length
+          }
+        };
+      case 'score':
+        return { maxScore: maxScore ?? CRYPTO_CONSTANTS.DEFAULT_MAX_SCORE };
+      default:
+        return {};
+    }
+  }
+
+  validateRules(ballotType, rules, candidates) {
+    switch (ballotType) {
+      case 'approval': {
+        const { min, max } = rules.selectionLimits;
+        return Number.isInteger(min) && Number.isInteger(max) && min >= 0 && min <= max && max <= candidates.length
+          ? null
+          : 'Selection limits must satisfy 0 <= minSelections <= maxSelections <= number of candidates';
+      }
+      case 'pairwise':
+        // The committed ranking (see committedVote) must stay below the group order
+        return this.pairwiseFoldMax(candidates.length).toString(2).length < 250
+          ? null
+          : 'Too many candidates for a pairwise ballot';
+      case 'score': {
+        const { maxScore } = rules;
+        if (!Number.isInteger(maxScore) || maxScore < 1 || maxScore > CRYPTO_CONSTANTS.MAX_SCORE_LIMIT) {
+          return `maxScore must be an integer between 1 and ${CRYPTO_CONSTANTS.MAX_SCORE_LIMIT}`;
+        }
+        // The committed score vector must stay below the secp256k1 group order
+        return this.scoreFoldMax(maxScore, candidates.length).toString(2).length < 250
+          ? null
+          : 'Too many candidates for this score range';
+      }
+      default:
+        return null;
+    }
+  }
+
+  // Number of ciphertexts per ballot
+  width(ballotType, candidateCount) {
+    switch (ballotType) {
+      case 'plurality':
+      case 'approval':
+      case 'score':
+        return candidateCount;
+      case 'ranked':
+      case 'pairwise':
+        return candidateCount * candidateCount;
+      default:
+        throw new Error(`Unsupported ballot type '${ballotType}'`);
+    }
+  }
+
+  // Returns an error message, or null when the selection fits the ballot type
+  validateSelection(ballotType, { vote, ranking, selections, scores }, candidates, rules = {}) {
+    switch (ballotType) {
+      case 'plurality':
+        return Number.isInteger(vote) && vote >= 0 && vote < candidates.length
+          ? null
+          : 'Vote index does not match any candidate';
+      case 'ranked':
+      case 'pairwise': {
+        const complete = Array.isArray(ranking) &&
+          ranking.length === candidates.length &&
+          new Set(ranking).size === candidates.length &&
+          ranking.every(index => Number.isInteger(index) && index >= 0 && index < candidates.length);
+        return complete ? null : 'Ranking must order every candidate exactly once';
+      }
+      case 'approval': {
+        const { min, max } = rules.selectionLimits;
+        if (!Array.isArray(selections) || new Set(selections).size !== selections.length ||
+            !selections.every(index => Number.isInteger(index) && index >= 0 && index < candidates.length)) {
+          return 'Selections must be distinct candidate indices';
+        }
+        return selections.length >= min && selections.length <= max
+          ? null
+          : `Select between ${min} and ${max} candidates`;
+      }
+      case 'score':
+        return Array.isArray(scores) && scores.length === candidates.length &&
+          scores.every(score => Number.isInteger(score) && score >= 0 && score <= rules.maxScore)
+          ? null
+          : `Give every candidate a score between 0 and ${rules.maxScore}`;
+      default:
+        return `Unsupported ballot type '${ballotType}'`;
+    }
+  }
+
+  encode(ballotType, { vote, ranking, selections, scores }, candidates) {
+    switch (ballotType) {
+      case 'plurality':
+        return candidates.map((_, index) => (index === vote ? 1 : 0));
+      case 'ranked':
+        return ranking.flatMap(choice => candidates.map((_, index) => (index === choice ? 1 : 0)));
+      case 'approval':
+        return candidates.map((_, index) => (selections.includes(index) ? 1 : 0));
+      case 'score':
+        return [...scores];
+      case 'pairwise': {
+        const positions = this.rankPositions(ranking);
+        return candidates.flatMap((_, row) => candidates.map((_, column) => (positions[row] < positions[column] ? 1 : 0)));
+      }
+      default:
+        throw new Error(`Unsupported ballot type '${ballotType}'`);
+    }
+  }
+
+  // Decrypted plaintexts back to a selection; null if the ballot is malformed
+  decode(ballotType, plaintexts, candidates, rules = {}) {
+    switch (ballotType) {
+      case 'plurality': {
+        const vote = plaintexts.indexOf(1);
+        return vote >= 0 && plaintexts.every((value, index) => value === (index === vote ? 1 : 0)) ? vote : null;
+      }
+      case 'ranked': {
+        const ranking = this.rows(plaintexts, candidates.length).map(row => {
+          const choice = row.indexOf(1);
+          return choice >= 0 && row.every((value, index) => value === (index === choice ? 1 : 0)) ? choice : null;
+        });
+        return ranking.includes(null) || new Set(ranking).size !== candidates.length ? null : ranking;
+      }
+      case 'approval': {
+        const { min, max } = rules.selectionLimits;
+        const selections = plaintexts.flatMap((value, index) => (value === 1 ? [index] : []));
+        const wellFormed = plaintexts.every(value => value === 0 || value === 1) &&
+          selections.length >= min && selections.length <= max;
+        return wellFormed ? selections : null;
+      }
+      case 'score':
+        return plaintexts.every(score => Number.isInteger(score) && score >= 0 && score <= rules.maxScore)
+          ? plaintexts
+          : null;
+      case 'pairwise': {
+        // A strict ranking: 0/1 entries, each pair decided exactly one way and
+        // every candidate beating a different number of others
+        const matrix = this.rows(plaintexts, candidates.length);
+        const wellFormed = matrix.every((row, i) => row.every((value, j) =>
+          (value === 0 || value === 1) && (i === j ? value === 0 : value + matrix[j][i] === 1)
+        ));
+        const wins = matrix.map(row => row.reduce((total, value) => total + value, 0));
+        if (!wellFormed || new Set(wins).size !== candidates.length) return null;
+        return candidates.map((_, index) => index).sort((a, b) => wins[b] - wins[a]);
+      }
+      default:
+        throw new Error(`Unsupported ballot type '${ballotType}'`);
+    }
+  }
+
+  // The vote the Pedersen commitment binds: the selected (or first-ranked)
+  // candidate, encrypted as a one-hot vector in the first `candidates`
+  // ciphertexts, for approval ballots the bitmask of selected candidates, for
+  // score ballots the scores as digits in base maxScore + 1 and for pairwise
+  // ballots each candidate's number of pairwise wins as digits in base candidates
+  committedVote(ballotType, { vote, ranking, selections, scores }, rules = {}) {
+    switch (ballotType) {
+      case 'plurality':
+        return vote;
+      case 'ranked':
+        return ranking[0];
+      case 'approval':
+        return selections.reduce((mask, index) => mask + (1n << BigInt(index)), 0n);
+      case 'score': {
+        const base = BigInt(rules.maxScore + 1);
+        return scores.reduce((value, score, index) => value + BigInt(score) * base ** BigInt(index), 0n);
+      }
+      case 'pairwise': {
+        const base = BigInt(ranking.length);
+        return ranking.reduce(
+          (value, candidate, position) => value + BigInt(ranking.length - 1 - position) * base ** BigInt(candidate),
+          0n
+        );
+      }
+      default:
+        throw new Error(`Unsupported ballot type '${ballotType}'`);
+    }
+  }
+
+  // Fold for the commitment equality proof ({ weights, maxValue }); null
+  // means weights i over a one-hot vector, i.e. the candidate index
+  commitmentFold(ballotType, candidateCount, rules = {}) {
+    switch (ballotType) {
+      case 'approval':
+        return {
+          weights: Array.from({ length: candidateCount }, (_, index) => 1n << BigInt(index)),
+          maxValue: (1n << BigInt(candidateCount)) - 1n
+        };
+      case 'score': {
+        const base = BigInt(rules.maxScore + 1);
+        return {
+          weights: Array.from({ length: candidateCount }, (_, index) => base ** BigInt(index)),
+          maxValue: this.scoreFoldMax(rules.maxScore, candidateCount)
+        };
+      }
+      // Entry (i, j) weighs candidates^i, so row i adds up candidate i's wins
+      case 'pairwise': {
+        const base = BigInt(candidateCount);
+        return {
+          weights: Array.from({ length: candidateCount * candidateCount }, (_, position) =>
+            base ** BigInt(Math.floor(position / candidateCount))
+          ),
+          maxValue: this.pairwiseFoldMax(candidateCount)
+        };
+      }
+      default:
+        return null;
+    }
+  }
+
+  scoreFoldMax(maxScore, candidateCount) {
+    return BigInt(maxScore + 1) ** BigInt(candidateCount) - 1n;
+  }
+
+  pairwiseFoldMax(candidateCount) {
+    return BigInt(candidateCount) ** BigInt(candidateCount) - 1n;
+  }
+
+  // Ciphertexts the commitment equality proof folds - the committed vote is
+  // the first `candidates` entries, or the whole preference matrix
+  committedSlice(values, candidateCount, ballotType = 'plurality') {
+    return ballotType === 'pairwise' ? values : values.slice(0, candidateCount);
+  }
+
+  // Position of each candidate in a ranking
+  rankPositions(ranking) {
+    const positions = [];
+    ranking.forEach((candidate, position) => { positions[candidate] = position; });
+    return positions;
+  }
+
+  rows(values, rowLength) {
+    const rows = [];
+    for (let start = 0; start < values.length; start += rowLength) {
+      rows.push(values.slice(start, start + rowLength));
+    }
+    return rows;
+  }
+}
+
+export default BallotEncoding;
@@ -1,80 +1,96 @@
-import { randomBytes } from 'node:crypto';
+import { randomBytes, createHash } from 'node:crypto';
 import * as forge from 'node-forge';
 import { modPow, modInv, isProbablyPrime, randBetween } from 'bigint-crypto-utils';
+import { CRYPTO_CONSTANTS } from '../utils/constants.js';
 
 class HomomorphicEncryption {
 constructor() {
-  this.keySize = 1024; // Much smaller for testing
+  this.keySize = CRYPTO_CONSTANTS.DEFAULT_KEY_SIZE;
   this.publicKey = null;
   this.privateKey = null;
   this.privateKeyShares = null;
   this.thresholdParams = null;
+  this.verificationKeys = null;
 }
 
-  // Generate Paillier cryptosystem keys with threshold support
-  async generateKeys() {
-    const p = await this.generatePrime(this.keySize / 2);
-    const q = await this.generatePrime(this.keySize / 2);
+  // Generate threshold Paillier keys (Shoup / Damgard-Jurik style).
+  // The dealer derives d with d = 0 mod lambda and d = 1 mod n, shares it with
+  // Shamir over Z_{n*lambda} and forgets it: no lambda/mu is ever returned, so
+  // decryption is only possible by combining k partial decryptions.
+  // A verificationSeed (e.g. derived from a key dealing and its trustees)
+  // makes the verification base publicly reproducible. The keys are only
+  // returned, so the caller decides where the shares go.
+  async generateKeys({
+    keySize = this.keySize,
+    thresholdN = CRYPTO_CONSTANTS.DEFAULT_THRESHOLD_N,
+    thresholdK = CRYPTO_CONSTANTS.DEFAULT_THRESHOLD_K,
+    verificationSeed = null
+  } = {}) {
+    const policyError = this.validateKeyParameters({ keySize, thresholdN, thresholdK });
+    if (policyError) {
+      throw new Error(policyError);
+    }
+
+    const p = await this.generatePrime(keySize / 2);
+    const q = await this.generatePrime(keySize / 2);
     
     const n = p * q;
     const lambda = this.lcm(p - 1n, q - 1n);
     
     // Choose g = n + 1 for simplicity
     const g = n + 1n;
-    
-    // Calculate mu = (L(g^lambda mod n^2))^-1 mod n
     const nsq = n * n;
-    const gLambda = modPow(g, lambda, nsq);
-    const l = this.L(gLambda, n);
-    const mu = modInv(l, n);
-
-    this.publicKey = { n, g, nsq };
-    this.privateKey = { lambda, mu, n, nsq };
-
-    // Generate threshold key shares using Shamir's Secret Sharing
-    const thresholdN = 5; // Total number of shares
-    const thresholdK = 3; // Minimum shares needed for decryption
-    const shares = this.generateSecretShares(lambda, thresholdN, thresholdK, n);
-
-    this.privateKeyShares = {
-      shares: shares,
-      mu: mu,
-      n: n,
-      nsq: nsq,
-      thresholdN: thresholdN,
-      thresholdK: thresholdK
-    };
 
-    this.thresholdParams = {
-      n: thresholdN,
-      k: thresholdK
-    };
+    // d = 0 mod lambda, d = 1 mod n
+    const d = lambda * modInv(lambda, n);
+    const shareModulus = n * lambda;
+
+    const shares = this.generateSecretShares(d, thresholdN, thresholdK, shareModulus);
+
+    // Verification keys v_i = v^(delta * s_i) let anyone check partial decryptions
+    const delta = this.factorial(thresholdN);
+    const verificationBase = verificationSeed
+      ? this.deriveVerificationBase(verificationSeed, n)
+      : modPow(this.randomUnit(n, nsq), 2n, nsq);
+    const verificationKeys = shares.map(share => modPow(verificationBase, delta * share.value, nsq));
 
     return {
-      publicKey: this.publicKey,
-      privateKey: this.privateKey,
-      privateKeyShares: this.privateKeyShares,
+      publicKey: { n, g, nsq },
+      verificationKeys: { base: verificationBase, keys: verificationKeys, thresholdK: thresholdK },
+      privateKeyShares: {
+        scheme: 'threshold-paillier',
+        shares: shares,
+        thresholdN: thresholdN,
+        thresholdK: thresholdK
+      },
+      keySize: keySize,
       thresholdN: thresholdN,
       thresholdK: thresholdK
     };
   }
 
+  // Minimum-strength policy for election keys; returns an error message or null
+  validateKeyParameters({ keySize, thresholdN, thresholdK }) {
+    if (!CRYPTO_CONSTANTS.ALLOWED_KEY_SIZES.includes(keySize) || keySize < CRYPTO_CONSTANTS.MIN_KEY_SIZE) {
+      return `keySize must be one of ${CRYPTO_CONSTANTS.ALLOWED_KEY_SIZES.join(', ')} bits`;
+    }
+    if (!Number.isInteger(thresholdN) || thresholdN < CRYPTO_CONSTANTS.MIN_THRESHOLD_K ||
+        thresholdN > CRYPTO_CONSTANTS.MAX_THRESHOLD_N) {
+      return `thresholdN must be between ${CRYPTO_CONSTANTS.MIN_THRESHOLD_K} and ${CRYPTO_CONSTANTS.MAX_THRESHOLD_N}`;
+    }
+    if (!Number.isInteger(thresholdK) || thresholdK < CRYPTO_CONSTANTS.MIN_THRESHOLD_K || thresholdK > thresholdN) {
+      return `thresholdK must be between ${CRYPTO_CONSTANTS.MIN_THRESHOLD_K} and thresholdN (${thresholdN})`;
+    }
+    return null;
+  }
+
   // Set public key from database data
   setPublicKey(publicKeyData) {
     try {
-      // Handle both string and object formats
-      let keyData = publicKeyData;
-      if (typeof publicKeyData === 'string') {
-        keyData = JSON.parse(publicKeyData);
-      }
-      
-      // Convert string values back to BigInt
-      this.publicKey = {
-        n: BigInt(keyData.n),
-        g: BigInt(keyData.g),
-        nsq: BigInt(keyData.nsq)
-      };
-      
+      const { publicKey, verificationKeys } = this.parsePublicKey(publicKeyData);
+      this.publicKey = publicKey;
+      this.verificationKeys = verificationKeys;
+
       console.log('Public key set successfully for encryption');
       return this.publicKey;
     } catch (error) {
@@ -83,6 +99,28 @@ constructor() {
     }
   }
 
+  // Stored public key (and the verification keys published with it) as
+  // BigInts, without touching this instance - for callers that serve several
+  // elections from one service
+  parsePublicKey(publicKeyData) {
+    // Handle both string and object formats
+    const keyData = typeof publicKeyData === 'string' ? JSON.parse(publicKeyData) : publicKeyData;
+
+    return {
+      publicKey: {
+        n: BigInt(keyData.n),
+        g: BigInt(keyData.g),
+        nsq: BigInt(keyData.nsq)
+      },
+      // Threshold verification keys are published alongside the public key
+      verificationKeys: keyData.verification ? {
+        base: BigInt(keyData.verification.base),
+        keys: keyData.verification.keys.map(key => BigInt(key)),
+        thresholdK: keyData.verification.thresholdK
+      } : null
+    };
+  }
+
   // Set private key from database data (if needed)
   setPrivateKey(privateKeyData) {
     try {
@@ -108,44 +146,11 @@ constructor() {
   // Set private key shares for threshold decryption
   setPrivateKeyShares(privateKeySharesData) {
     try {
-      let shareData = privateKeySharesData;
-      if (typeof privateKeySharesData === 'string') {
-        shareData = JSON.parse(privateKeySharesData);
-      }
-      
-      // Handle both threshold shares and single key formats
-      if (shareData.shares && shareData.mu && shareData.n) {
-        // Threshold shares format
-        this.privateKeyShares = {
-          shares: shareData.shares.map(share => ({
-            id: share.id,
-            value: BigInt(share.value)
-          })),
-          mu: BigInt(shareData.mu),
-          n: BigInt(shareData.n),
-          nsq: BigInt(shareData.nsq),
-          thresholdN: shareData.thresholdN,
-          thresholdK: shareData.thresholdK
-        };
-        
-        this.thresholdParams = {
-          n: shareData.thresholdN,
-          k: shareData.thresholdK
-        };
-      } else if (shareData.lambda && shareData.mu && shareData.n) {
-        // Single private key format - convert to threshold format
-        this.privateKey = {
-          lambda: BigInt(shareData.lambda),
-          mu: BigInt(shareData.mu),
-          n: BigInt(shareData.n),
-          nsq: BigInt(shareData.nsq || shareData.n * shareData.n)
-        };
-        
-        // Also set as shares for compatibility
-        this.privateKeyShares = shareData;
-      } else {
-        throw new Error('Invalid private key shares format');
-      }
+      this.privateKeyShares = this.parsePrivateKeyShares(privateKeySharesData);
+      this.thresholdParams = {
+        n: this.privateKeyShares.thresholdN,
+        k: this.privateKeyShares.thresholdK
+      };
       
       console.log('Private key shares loaded successfully');
       return this.privateKeyShares;
@@ -155,6 +160,27 @@ constructor() {
     }
   }
 
+  // Stored private key shares as BigInts, without touching this instance
+  parsePrivateKeyShares(privateKeySharesData) {
+    const shareData = typeof privateKeySharesData === 'string'
+      ? JSON.parse(privateKeySharesData)
+      : privateKeySharesData;
+
+    if (shareData.scheme !== 'threshold-paillier' || !Array.isArray(shareData.shares)) {
+      throw new Error('Unsupported private key shares format');
+    }
+
+    return {
+      scheme: shareData.scheme,
+      shares: shareData.shares.map(share => ({
+        index: share.index,
+        value: BigInt(share.value)
+      })),
+      thresholdN: shareData.thresholdN,
+      thresholdK: shareData.thresholdK
+    };
+  }
+
   // Encrypt vote using Paillier homomorphic encryption
   encrypt(vote, publicKey = this.publicKey) {
     if (!publicKey) throw new Error('Public key required for encryption');
@@ -221,8 +247,9 @@ constructor() {
     };
   }
 
-  // Add encrypted votes (homomorphic property)
-  addEncrypted(encryptedVotes, publicKey = this.publicKey) {
+  // Add encrypted votes (homomorphic property). With weights, vote i is
+  // scaled to c_i^w_i first, so the sum decrypts to sum(w_i * m_i)
+  addEncrypted(encryptedVotes, publicKey = this.publicKey, weights = null) {
     if (!publicKey) throw new Error('Public key required for homomorphic addition');
     
     const { nsq } = publicKey;
@@ -233,7 +260,7 @@ constructor() {
       publicKeyExists: !!publicKey
     });
     
-    for (const vote of encryptedVotes) {
+    for (const [index, vote] of encryptedVotes.entries()) {
       // Handle different vote object structures
       let ciphertext;
       if (typeof vote === 'string') {
@@ -246,7 +273,7 @@ constructor() {
         throw new Error('Invalid vote structure for homomorphic addition');
       }
       
-      const c = BigInt(ciphertext);
+      const c = weights ? BigInt(this.scaleEncrypted(ciphertext, weights[index], publicKey)) : BigInt(ciphertext);
       result = (result * c) % nsq;
     }
     
@@ -254,6 +281,71 @@ constructor() {
     return result.toString();
   }
 
+  // Check a revealed encryption: c == g^m * r^n mod n^2. Used to audit
+  // challenged (spoiled) ballots, whose randomness is published.
+  verifyEncryptionOpening(ciphertext, plaintext, randomness, publicKey = this.publicKey) {
+    if (!publicKey) throw new Error('Public key required for verification');
+
+    const n = BigInt(publicKey.n);
+    const g = BigInt(publicKey.g);
+    const nsq = BigInt(publicKey.nsq);
+    const expected = (modPow(g, BigInt(plaintext), nsq) * modPow(BigInt(randomness), n, nsq)) % nsq;
+    return expected === BigInt(ciphertext);
+  }
+
+  // Encrypt a ballot vector (one ciphertext per candidate)
+  encryptVector(values, publicKey = this.publicKey) {
+    if (!publicKey) throw new Error('Public key required for encryption');
+
+    return values.map(value => this.encrypt(value, publicKey));
+  }
+
+  // Scalar multiplication: c^w mod n^2 encrypts w * m. Deterministic, so
+  // anyone holding the ciphertext and the weight can recompute it
+  scaleEncrypted(ciphertext, weight, publicKey = this.publicKey) {
+    if (!publicKey) throw new Error('Public key required for scalar multiplication');
+
+    const w = BigInt(weight);
+    if (w < 1n) throw new Error('Weight must be a positive integer');
+
+    return modPow(BigInt(ciphertext), w, publicKey.nsq).toString();
+  }
+
+  // Add encrypted ballot vectors component-wise (per-candidate sums),
+  // optionally weighting each vector
+  addEncryptedVectors(encryptedVectors, publicKey = this.publicKey, weights = null) {
+    if (!publicKey) throw new Error('Public key required for homomorphic addition');
+    if (encryptedVectors.length === 0) {
+      throw new Error('No encrypted vectors to add');
+    }
+
+    const length = encryptedVectors[0].length;
+    if (encryptedVectors.some(vector => vector.length !== length)) {
+      throw new Error('Encrypted vectors must all have the same length');
+    }
+
+    const sums = [];
+    for (let i = 0; i < length; i++) {
+      sums.push(this.addEncrypted(encryptedVectors.map(vector => vector[i]), publicKey, weights));
+    }
+
+    return sums;
+  }
+
+  // Re-encrypt without changing the plaintext: c' = c * r^n mod n^2
+  reencrypt(ciphertext, publicKey = this.publicKey, randomness = null) {
+    if (!publicKey) throw new Error('Public key required for re-encryption');
+
+    const { n, nsq } = publicKey;
+    const r = randomness === null ? this.randomUnit(n) : BigInt(randomness);
+    const c = (BigInt(ciphertext) * modPow(r, n, nsq)) % nsq;
+
+    return {
+      ciphertext: c.toString(),
+      randomness: r.toString()
+    };
+  }
+
   // Decrypt result using single private key
   decrypt(ciphertext, privateKey = this.privateKey) {
     if (!privateKey) throw new Error('Private key required for decryption');
@@ -269,54 +361,190 @@ constructor() {
     return Number(m);
   }
 
-  // Threshold decryption using Shamir's Secret Sharing
-  thresholdDecrypt(ciphertext, threshold) {
+  // Partial decryption computed by a single trustee: c_i = c^(2 * delta * s_i)
+  partialDecrypt(ciphertext, share, thresholdN = this.thresholdParams?.n, publicKey = this.publicKey) {
+    if (!publicKey) throw new Error('Public key required for partial decryption');
+    if (!thresholdN) throw new Error('Threshold parameters required for partial decryption');
+
+    const { nsq } = publicKey;
+    const delta = this.factorial(thresholdN);
+    const value = modPow(BigInt(ciphertext), 2n * delta * BigInt(share.value), nsq);
+
+    return {
+      index: share.index,
+      value: value.toString()
+    };
+  }
+
+  // Combine k partial decryptions; the private key is never reconstructed.
+  // Returns the plaintext as a BigInt - sums can exceed Number's exact range.
+  thresholdDecrypt(ciphertext, partialDecryptions, thresholdParams = this.thresholdParams, publicKey = this.publicKey) {
+    if (!publicKey) throw new Error('Public key required for threshold decryption');
+    if (!thresholdParams) throw new Error('Threshold parameters required for threshold decryption');
+
+    const { n: thresholdN, k: thresholdK } = thresholdParams;
+    const indices = [...new Set(partialDecryptions.map(partial => Number(partial.index)))];
+
+    if (indices.length < thresholdK) {
+      throw new Error(`Insufficient partial decryptions: need ${thresholdK}, have ${indices.length}`);
+    }
+    if (indices.some(index => !Number.isInteger(index) || index < 1 || index > thresholdN)) {
+      throw new Error('Partial decryption index out of range');
+    }
+
+    const { n, nsq } = publicKey;
+    const delta = this.factorial(thresholdN);
+    const active = indices.slice(0, thresholdK).map(index =>
+      partialDecryptions.find(partial => Number(partial.index) === index)
+    );
+    const activeIndices = active.map(partial => Number(partial.index));
+
+    // c' = prod c_i^(2 * mu_i) = c^(4 * delta^2 * d) = (1 + n)^(4 * delta^2 * m)
+    let combined = 1n;
+    for (const partial of active) {
+      const mu = this.lagrangeCoefficient(Number(partial.index), activeIndices, delta);
+      const base = mu < 0n ? modInv(BigInt(partial.value), nsq) : BigInt(partial.value);
+      const exponent = 2n * (mu < 0n ? -mu : mu);
+      combined = (combined * modPow(base, exponent, nsq)) % nsq;
+    }
+
+    const scale = modInv((4n * delta * delta) % n, n);
+    return (this.L(combined, n) * scale) % n;
+  }
+
+  // Proof that a partial decryption used the trustee's share: a Chaum-Pedersen
+  // proof that log_{c^4}(c_i^2) = log_v(v_i) = delta * s_i (Shoup, Fiat-Shamir)
+  proveDecryptionShare(ciphertext, share, partialValue, thresholdN = this.thresholdParams?.n,
+    publicKey = this.publicKey, verificationKeys = this.verificationKeys) {
+    if (!publicKey || !verificationKeys) {
+      throw new Error('Public and verification keys required for decryption proofs');
+    }
+
+    const { nsq } = publicKey;
+    const secret = this.factorial(thresholdN) * BigInt(share.value);
+    const bases = this.decryptionProofBases(ciphertext, share.index, partialValue, publicKey, verificationKeys);
+
+    // r hides delta * s_i statistically: |r| = |n^2| + 2 * |challenge|
+    const r = this.generateRandomBigInt(1n << BigInt(nsq.toString(2).length + 512));
+    const a = modPow(bases.c4, r, nsq);
+    const b = modPow(bases.v, r, nsq);
+    const e = this.decryptionProofChallenge(bases, a, b);
+
+    return {
+      e: e.toString(),
+      z: (r + e * secret).toString()
+    };
+  }
+
+  // Verify a partial decryption proof using only public data
+  verifyDecryptionShare(ciphertext, partial, publicKey = this.publicKey, verificationKeys = this.verificationKeys) {
     try {
-      // First try threshold decryption if shares are available
-      if (this.privateKeyShares && this.privateKeyShares.shares && 
-          this.privateKeyShares.shares.length >= threshold) {
-        return this.performThresholdDecryption(ciphertext, threshold);
-      }
-      
-      // Fallback to regular decryption if single private key is available
-      if (this.privateKey) {
-        console.log('Using single key decryption as fallback');
-        return this.decrypt(ciphertext, this.privateKey);
+      if (!publicKey || !verificationKeys) {
+        throw new Error('Public and verification keys required for decryption proofs');
       }
-      
-      throw new Error('No valid decryption keys available');
+
+      const { nsq } = publicKey;
+      const bases = this.decryptionProofBases(ciphertext, partial.index, partial.value, publicKey, verificationKeys);
+      const e = BigInt(partial.proof.e);
+      const z = BigInt(partial.proof.z);
+      if (e < 0n || z < 0n) return false;
+
+      // a = c4^z * (c_i^2)^-e, b = v^z * v_i^-e
+      const a = (modPow(bases.c4, z, nsq) * modInv(modPow(bases.ci2, e, nsq), nsq)) % nsq;
+      const b = (modPow(bases.v, z, nsq) * modInv(modPow(bases.vi, e, nsq), nsq)) % nsq;
+
+      return this.decryptionProofChallenge(bases, a, b) === e;
     } catch (error) {
-      console.error('Threshold decryption failed:', error);
-      throw error;
+      console.error('Decryption proof verification error:', error);
+      return false;
     }
   }
 
-  // Perform actual threshold decryption
-  performThresholdDecryption(ciphertext, threshold) {
-    if (!this.privateKeyShares || !this.privateKeyShares.shares) {
-      throw new Error('Private key shares not available for threshold decryption');
+  decryptionProofBases(ciphertext, index, partialValue, publicKey, verificationKeys) {
+    const { nsq } = publicKey;
+
+    return {
+      c4: modPow(BigInt(ciphertext), 4n, nsq),
+      ci2: modPow(BigInt(partialValue), 2n, nsq),
+      v: BigInt(verificationKeys.base),
+      vi: this.verificationKeyFor(index, verificationKeys)
+    };
+  }
+
+  decryptionProofChallenge(bases, a, b) {
+    const digest = createHash('sha256')
+      .update([bases.c4, bases.ci2, bases.v, bases.vi, a, b].map(value => value.toString()).join(':'))
+      .digest('hex');
+    return BigInt('0x' + digest);
+  }
+
+  // Proof that a trustee holds share s_i: knowledge of delta * s_i = log_v(v_i),
+  // bound to a context string so it cannot be replayed elsewhere
+  proveShareKnowledge(share, thresholdN, context, publicKey, verificationKeys) {
+    const { nsq } = publicKey;
+    const secret = this.factorial(thresholdN) * BigInt(share.value);
+    const v = BigInt(verificationKeys.base);
+    const vi = this.verificationKeyFor(share.index, verificationKeys);
+
+    const r = this.generateRandomBigInt(1n << BigInt(nsq.toString(2).length + 512));
+    const a = modPow(v, r, nsq);
+    const e = this.shareKnowledgeChallenge(context, v, vi, a);
+
+    return {
+      e: e.toString(),
+      z: (r + e * secret).toString()
+    };
+  }
+
+  verifyShareKnowledge(index, proof, context, publicKey, verificationKeys) {
+    try {
+      const { nsq } = publicKey;
+      const v = BigInt(verificationKeys.base);
+      const vi = this.verificationKeyFor(index, verificationKeys);
+      const e = BigInt(proof.e);
+      const z = BigInt(proof.z);
+      if (e < 0n || z < 0n) return false;
+
+      // a = v^z * v_i^-e
+      const a = (modPow(v, z, nsq) * modInv(modPow(vi, e, nsq), nsq)) % nsq;
+      return this.shareKnowledgeChallenge(context, v, vi, a) === e;
+    } catch (error) {
+      console.error('Share proof verification error:', error);
+      return false;
     }
+  }
 
-    const { shares, mu, n, nsq } = this.privateKeyShares;
-    const c = BigInt(ciphertext);
-    
-    // Use the first 'threshold' number of shares
-    const activeShares = shares.slice(0, threshold);
-    
-    if (activeShares.length < threshold) {
-      throw new Error(`Insufficient shares: need ${threshold}, have ${activeShares.length}`);
+  verificationKeyFor(index, verificationKeys) {
+    const vi = verificationKeys.keys[Number(index) - 1];
+    if (vi === undefined) {
+      throw new Error(`No verification key for share ${index}`);
     }
+    return BigInt(vi);
+  }
 
-    // Reconstruct the secret using Lagrange interpolation
-    const reconstructedLambda = this.reconstructSecret(activeShares, n);
-    
-    // Perform decryption with reconstructed lambda
-    const cLambda = modPow(c, reconstructedLambda, nsq);
-    const l = this.L(cLambda, n);
-    const m = (l * mu) % n;
-    
-    console.log('Threshold decryption completed successfully');
-    return Number(m);
+  shareKnowledgeChallenge(context, v, vi, a) {
+    const digest = createHash('sha256')
+      .update(['share-knowledge', context, v, vi, a].map(value => value.toString()).join(':'))
+      .digest('hex');
+    return BigInt('0x' + digest);
+  }
+
+  // Integer Lagrange coefficient at zero, scaled by delta = N!
+  lagrangeCoefficient(index, indices, delta) {
+    let numerator = delta;
+    let denominator = 1n;
+
+    for (const other of indices) {
+      if (other !== index) {
+        numerator *= BigInt(other);
+        denominator *= BigInt(other - index);
+      }
+    }
+
+    if (numerator % denominator !== 0n) {
+      throw new Error('Lagrange coefficient is not integral');
+    }
+    return numerator / denominator;
   }
 
   // Generate secret shares using Shamir's Secret Sharing
@@ -341,7 +569,7 @@ constructor() {
       }
       
       shares.push({
-        id: x,
+        index: x,
         value: y
       });
     }
@@ -349,31 +577,42 @@ constructor() {
     return shares;
   }
 
-  // Reconstruct secret from shares using Lagrange interpolation
-  reconstructSecret(shares, modulus) {
-    let secret = 0n;
-    
-    for (let i = 0; i < shares.length; i++) {
-      let numerator = 1n;
-      let denominator = 1n;
-      
-      for (let j = 0; j < shares.length; j++) {
-        if (i !== j) {
-          numerator = (numerator * BigInt(-shares[j].id)) % modulus;
-          denominator = (denominator * BigInt(shares[i].id - shares[j].id)) % modulus;
-        }
+  // Random element of Z*_n, reduced into Z_{n^2}
+  randomUnit(n, modulus = n) {
+    let r;
+    do {
+      r = this.generateRandomBigInt(modulus);
+    } while (r < 2n || this.gcd(r, n) !== 1n);
+    return r;
+  }
+
+  // Hash a public seed to a square in Z*_{n^2} (nobody chooses the base)
+  deriveVerificationBase(seed, n) {
+    const nsq = n * n;
+    const byteLength = Math.ceil(nsq.toString(2).length / 8) + 16;
+
+    for (let attempt = 0; ; attempt++) {
+      let expanded = Buffer.alloc(0);
+      for (let block = 0; expanded.length < byteLength; block++) {
+        const digest = createHash('sha256')
+          .update(`vottery-verification-base:${seed}:${attempt}:${block}`)
+          .digest();
+        expanded = Buffer.concat([expanded, digest]);
+      }
+
+      const candidate = BigInt('0x' + expanded.subarray(0, byteLength).toString('hex')) % nsq;
+      if (candidate > 1n && this.gcd(candidate, n) === 1n) {
+        return modPow(candidate, 2n, nsq);
       }
-      
-      // Calculate modular inverse of denominator
-      const denominatorInv = modInv(denominator, modulus);
-      const lagrangeCoeff = (numerator * denominatorInv) % modulus;
-      
-      secret = (secret + (shares[i].value * lagrangeCoeff) % modulus) % modulus;
     }
-    
-    // Ensure positive result
-    secret = ((secret % modulus) + modulus) % modulus;
-    return secret;
+  }
+
+  factorial(value) {
+    let result = 1n;
+    for (let i = 2n; i <= BigInt(value); i++) {
+      result *= i;
+    }
+    return result;
   }
 
   // Generate random BigInt within range
@@ -448,19 +687,96 @@ constructor() {
     return (a * b) / this.gcd(a, b);
   }
 
-  // Verify homomorphic tallying
-  verifyTally(encryptedVotes, expectedSum, publicKey = this.publicKey) {
-    const homomorphicSum = this.addEncrypted(encryptedVotes, publicKey);
-    const decryptedSum = this.decrypt(homomorphicSum);
-    
+  // Publishable proof of a threshold decryption: the ciphertexts, the claimed
+  // plaintexts and every partial decryption used, each with its Shoup proof
+  createDecryptionProof(ciphertexts, plaintexts, partialSets, thresholdParams = this.thresholdParams) {
     return {
-      isValid: decryptedSum === expectedSum,
-      calculatedSum: decryptedSum,
-      expectedSum,
-      homomorphicResult: homomorphicSum
+      scheme: 'threshold-paillier',
+      thresholdN: thresholdParams.n,
+      thresholdK: thresholdParams.k,
+      ciphertexts: ciphertexts.map(ciphertext => ciphertext.toString()),
+      plaintexts: plaintexts.map(plaintext => plaintext.toString()),
+      partials: partialSets.map(set => ({
+        index: Number(set.index),
+        values: set.partials.map(partial => partial.value.toString()),
+        proofs: set.partials.map(partial => partial.proof)
+      }))
     };
   }
 
+  // Verify a decrypted tally from public data only: every partial must carry a
+  // valid proof against the published verification keys, and combining them
+  // must reproduce the claimed plaintexts
+  verifyTally(decryptionProof, publicKey = this.publicKey, verificationKeys = this.verificationKeys) {
+    try {
+      if (!publicKey || !verificationKeys) {
+        throw new Error('Public and verification keys required for tally verification');
+      }
+      if (!verificationKeys.thresholdK) {
+        throw new Error('Verification keys do not state the decryption threshold');
+      }
+
+      const { ciphertexts, plaintexts, partials } = decryptionProof;
+      const thresholdParams = { n: verificationKeys.keys.length, k: verificationKeys.thresholdK };
+
+      if (!Array.isArray(ciphertexts) || !Array.isArray(plaintexts) || ciphertexts.length !== plaintexts.length) {
+        return { isValid: false, reason: 'Ciphertexts and plaintexts do not match up' };
+      }
+
+      const indices = new Set(partials.map(partial => Number(partial.index)));
+      if (indices.size !== partials.length) {
+        return { isValid: false, reason: 'Duplicate trustee partial decryptions' };
+      }
+      if (indices.size < thresholdParams.k) {
+        return { isValid: false, reason: `Need ${thresholdParams.k} trustee partial decryptions, have ${indices.size}` };
+      }
+
+      const invalidShares = [];
+      for (const partial of partials) {
+        if (partial.values.length !== ciphertexts.length || partial.proofs.length !== ciphertexts.length) {
+          invalidShares.push({ index: partial.index, position: null });
+          continue;
+        }
+        ciphertexts.forEach((ciphertext, position) => {
+          const valid = this.verifyDecryptionShare(ciphertext, {
+            index: partial.index,
+            value: partial.values[position],
+            proof: partial.proofs[position]
+          }, publicKey, verificationKeys);
+          if (!valid) {
+            invalidShares.push({ index: partial.index, position });
+          }
+        });
+      }
+
+      if (invalidShares.length > 0) {
+        return { isValid: false, reason: 'Invalid partial decryption proofs', invalidShares };
+      }
+
+      const decrypted = ciphertexts.map((ciphertext, position) =>
+        this.thresholdDecrypt(
+          ciphertext,
+          partials.map(partial => ({ index: partial.index, value: partial.values[position] })),
+          thresholdParams,
+          publicKey
+        )
+      );
+      const mismatches = decrypted
+        .map((plaintext, position) => (BigInt(plaintext) === BigInt(plaintexts[position]) ? null : position))
+        .filter(position => position !== null);
+
+      return {
+        isValid: mismatches.length === 0,
+        reason: mismatches.length === 0 ? null : 'Claimed plaintexts do not match the decryption',
+        plaintexts: decrypted.map(plaintext => plaintext.toString()),
+        mismatches
+      };
+    } catch (error) {
+      console.error('Tally verification error:', error);
+      return { isValid: false, reason: error.message };
+    }
+  }
+
   // Get current key status for debugging
   getKeyStatus() {
     return {
@@ -1,58 +1,164 @@
-import { randomBytes, createHash } from 'node:crypto';
+import { createHash, randomInt } from 'node:crypto';
+import nacl from 'tweetnacl';
+import HomomorphicEncryption from './homomorphicEncryption.js';
+import ShuffleProof from './shuffleProof.js';
+
+// Re-encryption mixnet over per-candidate Paillier ballots. Each round
+// permutes the ballots and multiplies every ciphertext by a fresh r^n, so the
+// output still decrypts (and tallies) to the same plaintexts.
+// With MIX_NODES configured every round runs on a separate mix node process
+// (src/mixnode.js); otherwise all rounds run locally. Requests to mix nodes are
+// signed with the coordinator key (MIX_COORDINATOR_SECRET_KEY).
 class Mixnets {
-  constructor() {
+  constructor(homomorphic = new HomomorphicEncryption(), nodeConfig = process.env.MIX_NODES,
+    coordinatorSecretKey = process.env.MIX_COORDINATOR_SECRET_KEY) {
+    this.homomorphic = homomorphic;
+    this.shuffleProof = new ShuffleProof();
     this.mixNodes = [];
     this.shuffleRounds = 3;
+    this.nodeTimeoutMs = parseInt(process.env.MIX_NODE_TIMEOUT_MS) || 5 * 60 * 1000;
+    // Base64 Ed25519 seed; mix nodes pin the matching public key
+    this.coordinatorKeyPair = coordinatorSecretKey
+      ? nacl.sign.keyPair.fromSeed(Buffer.from(coordinatorSecretKey, 'base64'))
+      : null;
+
+    this.loadMixNodes(nodeConfig);
+  }
+
+  // MIX_NODES is a JSON list of { nodeId, url, publicKey } with base64 Ed25519 keys
+  loadMixNodes(nodeConfig) {
+    if (!nodeConfig) return;
+
+    const nodes = typeof nodeConfig === 'string' ? JSON.parse(nodeConfig) : nodeConfig;
+    for (const node of nodes) {
+      this.addMixNode(node.nodeId, node.publicKey, node.url);
+    }
   }
 
   // Add mix node
-  addMixNode(nodeId, publicKey) {
+  addMixNode(nodeId, publicKey, url = null) {
     this.mixNodes.push({
       nodeId,
       publicKey,
+      url,
       processed: false
     });
   }
 
-  // Shuffle encrypted votes through mixnet
-  async shuffleVotes(encryptedVotes) {
-    let currentVotes = [...encryptedVotes];
+  isDistributed() {
+    return this.mixNodes.length > 0 && this.mixNodes.every(node => node.url);
+  }
+
+  // Shuffle encrypted ballots ({ ciphertexts: [...] }) through the mixnet.
+  // onRound is awaited with each accepted round, so callers can persist as we go.
+  async shuffleVotes(encryptedVotes, publicKey = this.homomorphic.publicKey, electionId = null, onRound = null) {
+    if (!publicKey) throw new Error('Election public key required for mixing');
+
+    if (this.isDistributed()) {
+      return this.shuffleVotesDistributed(encryptedVotes, publicKey, electionId, onRound);
+    }
+
+    let currentVotes = encryptedVotes.map(vote => ({ ciphertexts: [...vote.ciphertexts] }));
     const shuffleProofs = [];
+    const transcript = [];
     
     for (let round = 0; round < this.shuffleRounds; round++) {
-      const shuffleResult = await this.performShuffle(currentVotes, round);
+      const shuffleResult = await this.performShuffle(currentVotes, round, publicKey);
       currentVotes = shuffleResult.shuffledVotes;
       shuffleProofs.push(shuffleResult.proof);
+      transcript.push({ round, output: currentVotes, proof: shuffleResult.proof });
+      if (onRound) await onRound(transcript[transcript.length - 1]);
     }
     
     return {
       shuffledVotes: currentVotes,
       proofs: shuffleProofs,
+      transcript,
       mixNodes: this.mixNodes.length,
-      rounds: this.shuffleRounds
+      rounds: this.shuffleRounds,
+      distributed: false
     };
   }
 
-  // Perform single shuffle round
-  async performShuffle(votes, round) {
-    const shuffledVotes = [...votes];
-    const permutation = this.generatePermutation(votes.length);
-    
-    // Apply permutation
-    for (let i = 0; i < votes.length; i++) {
-      shuffledVotes[i] = votes[permutation[i]];
+  // Chain the ballots through the mix nodes over HTTP, one round per node.
+  // A node's output is only accepted with its signature and a valid shuffle proof.
+  async shuffleVotesDistributed(encryptedVotes, publicKey, electionId, onRound = null) {
+    if (!this.coordinatorKeyPair) {
+      throw new Error('MIX_COORDINATOR_SECRET_KEY is required to send ballots to mix nodes');
     }
+
+    let currentVotes = encryptedVotes.map(vote => ({ ciphertexts: [...vote.ciphertexts] }));
+    const shuffleProofs = [];
+    const transcript = [];
+    const serializedKey = {
+      n: publicKey.n.toString(),
+      g: publicKey.g.toString(),
+      nsq: publicKey.nsq.toString()
+    };
+
+    for (const [round, node] of this.mixNodes.entries()) {
+      const body = JSON.stringify({ electionId, round, publicKey: serializedKey, input: currentVotes });
+      const { timestamp, signature } = this.signRequest(body, this.coordinatorKeyPair.secretKey);
+      const response = await fetch(`${node.url}/mix`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Mix-Timestamp': String(timestamp),
+          'X-Mix-Signature': signature
+        },
+        body,
+        signal: AbortSignal.timeout(this.nodeTimeoutMs)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Mix node ${node.nodeId} failed with HTTP ${response.status}`);
+      }
+
+      const { data } = await response.json();
+      const { output, proof } = data;
+
+      if (proof.nodeId !== node.nodeId || proof.round !== round ||
+          !this.verifyNodeSignature(proof, electionId, node.publicKey)) {
+        throw new Error(`Mix node ${node.nodeId} returned an unsigned or mis-signed round`);
+      }
+
+      const verification = this.verifyShuffleProof(proof, currentVotes, output, publicKey);
+      if (!verification.isValid) {
+        throw new Error(`Mix node ${node.nodeId} returned an invalid shuffle: ${verification.reason}`);
+      }
+
+      node.processed = true;
+      currentVotes = output;
+      shuffleProofs.push(proof);
+      transcript.push({ round, output, proof });
+      if (onRound) await onRound(transcript[transcript.length - 1]);
+    }
+
+    return {
+      shuffledVotes: currentVotes,
+      proofs: shuffleProofs,
+      transcript,
+      mixNodes: this.mixNodes.length,
+      rounds: this.mixNodes.length,
+      distributed: true
+    };
+  }
+
+  // Perform single shuffle round; permutation and randomness stay in this round
+  async performShuffle(votes, round, publicKey = this.homomorphic.publicKey, nodeId = `mix-node-${round}`) {
+    const permutation = this.generatePermutation(votes.length);
     
-    // Re-randomize each vote
-    const rerandomizedVotes = shuffledVotes.map(vote => this.rerandomize(vote));
+    // Output position i holds re-encrypted input ballot permutation[i]
+    const reencrypted = permutation.map(source => this.rerandomize(votes[source], publicKey));
+    const shuffledVotes = reencrypted.map(vote => ({ ciphertexts: vote.ciphertexts }));
     
     // Generate shuffle proof
-    const proof = this.generateShuffleProof(votes, rerandomizedVotes, permutation, round);
+    const randomness = reencrypted.map(vote => vote.randomness);
+    const proof = this.generateShuffleProof(votes, shuffledVotes, permutation, randomness, round, publicKey, nodeId);
     
     return {
-      shuffledVotes: rerandomizedVotes,
-      proof,
-      permutation
+      shuffledVotes,
+      proof
     };
   }
 
@@ -60,91 +166,168 @@ class Mixnets {
   generatePermutation(length) {
     const permutation = Array.from({ length }, (_, i) => i);
     
-    // Fisher-Yates shuffle
+    // Fisher-Yates shuffle with a CSPRNG
     for (let i = length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = randomInt(i + 1);
       [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
     }
     
     return permutation;
   }
 
-  // Re-randomize encrypted vote
-  rerandomize(encryptedVote) {
-    const randomFactor = randomBytes(32).toString('hex');
+  // Re-encrypt every ciphertext of a ballot under the election public key
+  rerandomize(encryptedVote, publicKey = this.homomorphic.publicKey) {
+    const reencrypted = encryptedVote.ciphertexts.map(ciphertext =>
+      this.homomorphic.reencrypt(ciphertext, publicKey)
+    );
     
     return {
-      ...encryptedVote,
-      ciphertext: this.multiplyWithRandomness(encryptedVote.ciphertext, randomFactor),
-      rerandomized: true,
-      timestamp: Date.now()
+      ciphertexts: reencrypted.map(entry => entry.ciphertext),
+      randomness: reencrypted.map(entry => entry.randomness)
     };
   }
 
-  // Multiply ciphertext with randomness (simplified)
-  multiplyWithRandomness(ciphertext, randomness) {
-    const hash = createHash('sha256')
-      .update(ciphertext + randomness)
-      .digest('hex');
-    return hash;
-  }
-
-  // Generate proof of correct shuffle
-  generateShuffleProof(originalVotes, shuffledVotes, permutation, round) {
-    const commitment = createHash('sha256')
-      .update(JSON.stringify({ originalVotes, shuffledVotes, permutation }))
-      .digest('hex');
-    
+  // Generate proof of correct shuffle - reveals neither permutation nor randomness
+  generateShuffleProof(originalVotes, shuffledVotes, permutation, randomness, round,
+    publicKey = this.homomorphic.publicKey, nodeId = `mix-node-${round}`) {
     return {
       round,
-      commitment,
-      timestamp: Date.now(),
-      nodeId: `mix-node-${round}`,
-      verified: true
+      nodeId,
+      inputHash: this.hashBallots(originalVotes),
+      outputHash: this.hashBallots(shuffledVotes),
+      shuffle: this.shuffleProof.generate(originalVotes, shuffledVotes, permutation, randomness, publicKey),
+      timestamp: Date.now()
     };
   }
 
   // Verify shuffle proof
-  verifyShuffleProof(proof, originalVotes, shuffledVotes) {
+  verifyShuffleProof(proof, originalVotes, shuffledVotes, publicKey = this.homomorphic.publicKey) {
     try {
       // Verify that shuffled votes are valid permutation of original votes
-      if (originalVotes.length !== shuffledVotes.length) {
-        return { isValid: false, reason: 'Vote count mismatch' };
+      if (originalVotes.length === 0 || originalVotes.length !== shuffledVotes.length) {
+        return { isValid: false, reason: 'Vote count mismatch', round: proof?.round };
+      }
+
+      if (proof.inputHash !== this.hashBallots(originalVotes) || proof.outputHash !== this.hashBallots(shuffledVotes)) {
+        return { isValid: false, reason: 'Proof was not made for these ballots', round: proof.round };
       }
-      
-      // Verify proof commitment
-      const expectedCommitment = createHash('sha256')
-        .update(JSON.stringify({ originalVotes, shuffledVotes }))
-        .digest('hex');
-      
+
       return {
-        isValid: true,
-        commitment: proof.commitment,
-        verified: proof.verified
+        ...this.shuffleProof.verify(proof.shuffle, originalVotes, shuffledVotes, publicKey),
+        round: proof.round,
+        nodeId: proof.nodeId
       };
     } catch (error) {
       return { isValid: false, reason: error.message };
     }
   }
 
-  // Get mixnet statistics
-  getStatistics() {
+  // Verify a whole mix: each round must shuffle the previous round's output.
+  // Rounds from registered mix nodes must also carry that node's signature;
+  // with requireSignatures (the default once mix nodes are configured) a round
+  // from any other node fails.
+  verifyMix(input, rounds, publicKey = this.homomorphic.publicKey, electionId = null,
+    requireSignatures = this.mixNodes.length > 0) {
+    let current = input;
+    const results = [];
+
+    for (const round of rounds) {
+      const result = this.verifyShuffleProof(round.proof, current, round.output, publicKey);
+      const node = this.mixNodes.find(entry => entry.nodeId === round.proof?.nodeId);
+
+      if (!node && requireSignatures) {
+        result.signed = false;
+        if (result.isValid) {
+          result.isValid = false;
+          result.reason = `Round was produced by unregistered mix node ${round.proof?.nodeId}`;
+        }
+      } else if (node) {
+        result.signed = this.verifyNodeSignature(round.proof, electionId, node.publicKey);
+        if (!result.signed && result.isValid) {
+          result.isValid = false;
+          result.reason = `Round is not signed by mix node ${node.nodeId}`;
+        }
+      }
+
+      results.push(result);
+      current = round.output;
+    }
+
     return {
-      totalMixNodes: this.mixNodes.length,
-      shuffleRounds: this.shuffleRounds,
-      averageLatency: this.calculateAverageLatency(),
-      throughput: this.calculateThroughput()
+      isValid: results.length > 0 && results.every(result => result.isValid),
+      rounds: results,
+      outputHash: this.hashBallots(current)
     };
   }
 
-  calculateAverageLatency() {
-    // Simplified latency calculation
-    return this.mixNodes.length * 100; // ms per node
+  // What a mix node signs: the round it ran and hashes of its input, output and proof
+  signaturePayload(proof, electionId) {
+    return Buffer.from([
+      'vottery-mix-round',
+      electionId,
+      proof.round,
+      proof.nodeId,
+      proof.inputHash,
+      proof.outputHash,
+      createHash('sha256').update(JSON.stringify(proof.shuffle)).digest('hex')
+    ].join(':'));
+  }
+
+  signRound(proof, electionId, secretKey) {
+    const signature = nacl.sign.detached(this.signaturePayload(proof, electionId), secretKey);
+    return { ...proof, signature: Buffer.from(signature).toString('base64') };
+  }
+
+  verifyNodeSignature(proof, electionId, nodePublicKey) {
+    try {
+      if (!proof.signature) return false;
+      return nacl.sign.detached.verify(
+        this.signaturePayload(proof, electionId),
+        Buffer.from(proof.signature, 'base64'),
+        Buffer.from(nodePublicKey, 'base64')
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // What the coordinator signs for a /mix request: its time and the exact body
+  requestSignaturePayload(timestamp, body) {
+    const bodyHash = createHash('sha256').update(body).digest('hex');
+    return Buffer.from(`vottery-mix-request:${timestamp}:${bodyHash}`);
   }
 
-  calculateThroughput() {
-    // Simplified throughput calculation
-    return Math.floor(1000 / (this.mixNodes.length * 0.1)); // votes per second
+  signRequest(body, secretKey, timestamp = Date.now()) {
+    const signature = nacl.sign.detached(this.requestSignaturePayload(timestamp, body), secretKey);
+    return { timestamp, signature: Buffer.from(signature).toString('base64') };
+  }
+
+  verifyRequestSignature(body, timestamp, signature, coordinatorPublicKey) {
+    try {
+      if (!signature) return false;
+      return nacl.sign.detached.verify(
+        this.requestSignaturePayload(timestamp, body),
+        Buffer.from(signature, 'base64'),
+        Buffer.from(coordinatorPublicKey, 'base64')
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  hashBallots(ballots) {
+    return createHash('sha256')
+      .update(JSON.stringify(ballots.map(ballot => ballot.ciphertexts.map(String))))
+      .digest('hex');
+  }
+
+  // Mixnet configuration - rounds are not timed, so no latency figures
+  getStatistics() {
+    return {
+      totalMixNodes: this.mixNodes.length,
+      distributed: this.isDistributed(),
+      shuffleRounds: this.isDistributed() ? this.mixNodes.length : this.shuffleRounds
+    };
   }
 }
 
@@ -0,0 +1,149 @@
+// Counting methods for ranked preferences. A ranking lists candidate indices
+// from most to least preferred; a pairwise table holds, at (i, j), the number
+// of voters ranking candidate i above candidate j.
+class RankedChoice {
+  // Instant-runoff: each round counts every ballot for its highest-ranked
+  // continuing candidate; a candidate with a majority of continuing ballots
+  // wins, otherwise the last-placed candidate is eliminated. Ties for last are
+  // broken by the fewest votes in the most recent earlier round that separates
+  // them, then by eliminating the candidate listed later on the ballot.
+  instantRunoff(rankings, candidates) {
+    const continuing = new Set(candidates.map((_, index) => index));
+    const history = [];
+    const rounds = [];
+
+    if (rankings.length === 0) {
+      return { winner: null, rounds };
+    }
+
+    while (continuing.size > 0) {
+      const counts = candidates.map(() => 0);
+      let exhausted = 0;
+
+      for (const ranking of rankings) {
+        const choice = ranking.find(index => continuing.has(index));
+        if (choice === undefined) {
+          exhausted++;
+        } else {
+          counts[choice]++;
+        }
+      }
+      history.push(counts);
+
+      const active = [...continuing];
+      const continuingBallots = rankings.length - exhausted;
+      const round = {
+        round: rounds.length + 1,
+        tallies: Object.fromEntries(active.map(index => [candidates[index], counts[index]])),
+        exhausted
+      };
+
+      const leader = active.reduce((best, index) => (counts[index] > counts[best] ? index : best));
+      if (counts[leader] * 2 > continuingBallots || active.length === 1) {
+        rounds.push({ ...round, winner: candidates[leader] });
+        return { winner: candidates[leader], rounds };
+      }
+
+      const { loser, tieBreak } = this.lastPlace(active, history);
+      continuing.delete(loser);
+      rounds.push({ ...round, eliminated: candidates[loser], tieBreak });
+    }
+
+    return { winner: null, rounds };
+  }
+
+  lastPlace(active, history) {
+    const current = history[history.length - 1];
+    const fewest = Math.min(...active.map(index => current[index]));
+    let tied = active.filter(index => current[index] === fewest);
+    const tieBreak = tied.length > 1;
+
+    for (let round = history.length - 2; round >= 0 && tied.length > 1; round--) {
+      const least = Math.min(...tied.map(index => history[round][index]));
+      tied = tied.filter(index => history[round][index] === least);
+    }
+
+    return { loser: Math.max(...tied), tieBreak };
+  }
+
+  // Pairwise table of decrypted rankings - the same table the homomorphic
+  // sum of pairwise ballots decrypts to
+  pairwiseTable(rankings, candidateCount) {
+    const table = Array.from({ length: candidateCount }, () => Array(candidateCount).fill(0));
+    for (const ranking of rankings) {
+      ranking.forEach((winner, position) => {
+        ranking.slice(position + 1).forEach(loser => { table[winner][loser]++; });
+      });
+    }
+    return table;
+  }
+
+  // Borda: a candidate scores a point per candidate ranked below it on each
+  // ballot, i.e. its row sum in the pairwise table
+  borda(table, candidates) {
+    const scores = table.map(row => row.reduce((total, count) => total + count, 0));
+    const winners = this.topCandidates(scores);
+
+    return {
+      winner: winners.length === 1 ? candidates[winners[0]] : null,
+      winners: winners.map(index => candidates[index]),
+      scores: Object.fromEntries(candidates.map((candidate, index) => [candidate, scores[index]]))
+    };
+  }
+
+  // Candidate beating every other candidate head to head, if there is one
+  condorcetWinner(table, candidates) {
+    const winner = candidates.findIndex((_, i) =>
+      candidates.every((_, j) => i === j || table[i][j] > table[j][i])
+    );
+    return winner >= 0 ? candidates[winner] : null;
+  }
+
+  // Schulze: strength of the strongest path between each pair (widest path
+  // over winning margins); candidates are ordered by how many others their
+  // strongest path beats
+  schulze(table, candidates) {
+    const size = candidates.length;
+    const paths = table.map((row, i) => row.map((count, j) => (i !== j && count > table[j][i] ? count : 0)));
+
+    for (let i = 0; i < size; i++) {
+      for (let j = 0; j < size; j++) {
+        if (i === j) continue;
+        for (let k = 0; k < size; k++) {
+          if (k === i || k === j) continue;
+          paths[j][k] = Math.max(paths[j][k], Math.min(paths[j][i], paths[i][k]));
+        }
+      }
+    }
+
+    const beaten = paths.map((row, i) => row.filter((strength, j) => i !== j && strength > paths[j][i]).length);
+    const winners = candidates
+      .map((_, index) => index)
+      .filter(i => candidates.every((_, j) => i === j || paths[i][j] >= paths[j][i]));
+
+    return {
+      winner: winners.length === 1 ? candidates[winners[0]] : null,
+      winners: winners.map(index => candidates[index]),
+      ranking: candidates
+        .map((_, index) => index)
+        .sort((a, b) => beaten[b] - beaten[a] || a - b)
+        .map(index => candidates[index]),
+      strongestPaths: this.namedTable(paths, candidates)
+    };
+  }
+
+  // Table keyed by candidate name, diagonal left out
+  namedTable(table, candidates) {
+    return Object.fromEntries(candidates.map((candidate, i) => [
+      candidate,
+      Object.fromEntries(candidates.flatMap((opponent, j) => (i === j ? [] : [[opponent, table[i][j]]])))
+    ]));
+  }
+
+  topCandidates(scores) {
+    const best = Math.max(...scores);
+    return scores.flatMap((score, index) => (score === best ? [index] : []));
+  }
+}
+
+export default RankedChoice;
@@ -1,9 +1,20 @@
 import { v4 as uuidv4 } from 'uuid';
 import { createHash, randomBytes } from 'node:crypto';
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import nacl from 'tweetnacl';
+
+// Without RECEIPT_SIGNING_KEYS every instance in the process signs with one
+// key generated at startup; its receipts stop verifying after a restart
+let ephemeralSigningKey = null;
 
 class ReceiptGeneration {
   constructor() {
     this.hashAlgorithm = 'sha256';
+    // Page voters land on when they scan a receipt QR code
+    this.verificationBaseUrl = process.env.RECEIPT_VERIFICATION_URL || 'http://localhost:3000/verify';
+    this.keyConfig = undefined;
+    this.keyRing = null;
   }
 
   // Generate digital receipt for vote
@@ -16,27 +27,138 @@ class ReceiptGeneration {
       voteId: voteData.voteId,
       electionId: voteData.electionId,
       userId: voteData.userId,
+      trackingCode: voteData.trackingCode,
       timestamp: new Date().toISOString(),
       verificationCode,
       voteCommitment: encryptedVote.commitment,
+      commitmentGenerators: encryptedVote.generators,
       proofHash: this.hashData(zkProof),
       electionHash: voteData.electionHash,
-      receiptVersion: '1.0'
+      receiptVersion: '2.0'
     };
     
     const receiptHash = this.generateReceiptHash(receiptData);
+    const signature = this.signReceipt(receiptHash);
     
     return {
       receiptId,
       verificationCode,
       receiptHash,
+      signature,
       receiptData: {
         ...receiptData,
-        receiptHash
+        receiptHash,
+        signature
       }
     };
   }
 
+  // Signing keys from RECEIPT_SIGNING_KEYS, a JSON array of
+  //   { keyId, secretKey }                          - base64 32-byte Ed25519 seed
+  //   { keyId, publicKey, retiredAt }               - a rotated-out key, kept
+  //                                                   so older receipts verify
+  // The first entry with a secret key and no retiredAt signs new receipts.
+  // Read on first use so dotenv has run by then.
+  signingKeys() {
+    const config = process.env.RECEIPT_SIGNING_KEYS || null;
+    if (this.keyRing && this.keyConfig === config) {
+      return this.keyRing;
+    }
+
+    let keys;
+    if (config) {
+      keys = JSON.parse(config).map(entry => {
+        if (!entry.keyId) throw new Error('Receipt signing key id required');
+        const keyPair = entry.secretKey
+          ? nacl.sign.keyPair.fromSeed(Buffer.from(entry.secretKey, 'base64'))
+          : null;
+        const publicKey = keyPair ? Buffer.from(keyPair.publicKey).toString('base64') : entry.publicKey;
+        if (!publicKey) throw new Error(`Receipt signing key '${entry.keyId}' needs a secret or public key`);
+
+        return {
+          keyId: entry.keyId,
+          publicKey,
+          secretKey: keyPair?.secretKey || null,
+          createdAt: entry.createdAt || null,
+          retiredAt: entry.retiredAt || null
+        };
+      });
+    } else {
+      if (!ephemeralSigningKey) {
+        const keyPair = nacl.sign.keyPair();
+        const publicKey = Buffer.from(keyPair.publicKey).toString('base64');
+        ephemeralSigningKey = {
+          keyId: `ephemeral-${createHash(this.hashAlgorithm).update(publicKey).digest('hex').substring(0, 8)}`,
+          publicKey,
+          secretKey: keyPair.secretKey,
+          createdAt: new Date().toISOString(),
+          retiredAt: null
+        };
+        console.warn('RECEIPT_SIGNING_KEYS not set - signing receipts with an ephemeral key');
+      }
+      keys = [ephemeralSigningKey];
+    }
+
+    const active = keys.find(key => key.secretKey && !key.retiredAt);
+    if (!active) throw new Error('No active receipt signing key');
+
+    this.keyConfig = config;
+    this.keyRing = { keys, active };
+    return this.keyRing;
+  }
+
+  // Published verification keys, active and retired
+  publishedKeys() {
+    const { keys, active } = this.signingKeys();
+    return keys.map(key => ({
+      keyId: key.keyId,
+      algorithm: 'ed25519',
+      publicKey: key.publicKey,
+      status: key === active ? 'active' : 'retired',
+      createdAt: key.createdAt,
+      retiredAt: key.retiredAt
+    }));
+  }
+
+  // Ed25519 over the key id and receipt hash; the hash covers every other field
+  signReceipt(receiptHash) {
+    const { active } = this.signingKeys();
+    const signature = nacl.sign.detached(this.signaturePayload(active.keyId, receiptHash), active.secretKey);
+
+    return {
+      keyId: active.keyId,
+      algorithm: 'ed25519',
+      value: Buffer.from(signature).toString('base64')
+    };
+  }
+
+  signaturePayload(keyId, receiptHash) {
+    return Buffer.from(['vottery-receipt', keyId, receiptHash].join(':'));
+  }
+
+  // The signing key must be published and must not have been retired before
+  // the receipt was issued
+  verifyReceiptSignature(receiptHash, signature, issuedAt) {
+    if (!signature?.keyId || !signature.value) {
+      return { isValid: false, reason: 'Receipt is not signed' };
+    }
+
+    const key = this.signingKeys().keys.find(candidate => candidate.keyId === signature.keyId);
+    if (!key) {
+      return { isValid: false, keyId: signature.keyId, reason: 'Unknown signing key' };
+    }
+    if (key.retiredAt && new Date(issuedAt) > new Date(key.retiredAt)) {
+      return { isValid: false, keyId: key.keyId, reason: 'Receipt was signed after its key was retired' };
+    }
+
+    const isValid = nacl.sign.detached.verify(
+      this.signaturePayload(key.keyId, receiptHash),
+      Buffer.from(signature.value, 'base64'),
+      Buffer.from(key.publicKey, 'base64')
+    );
+    return isValid ? { isValid, keyId: key.keyId } : { isValid, keyId: key.keyId, reason: 'Invalid signature' };
+  }
+
   // Generate verification code
   generateVerificationCode() {
     const randomData = randomBytes(16);
@@ -56,16 +178,50 @@ class ReceiptGeneration {
     return createHash(this.hashAlgorithm).update(dataString).digest('hex');
   }
 
+  // Expiry of a receipt issued now under an election's policy; null when
+  // the election has no policy (receipts never expire)
+  receiptExpiry(policy, issuedAt = new Date()) {
+    if (policy?.expires_at) {
+      return new Date(policy.expires_at);
+    }
+    if (policy?.validity_days) {
+      return new Date(issuedAt.getTime() + policy.validity_days * 24 * 60 * 60 * 1000);
+    }
+    return null;
+  }
+
+  // Lifecycle state of a stored receipt: 'valid', 'expired' or 'revoked'
+  receiptStatus(receipt, now = new Date()) {
+    if (receipt.status === 'revoked') {
+      return {
+        status: 'revoked',
+        revokedAt: receipt.revoked_at,
+        reason: receipt.revocation_reason
+      };
+    }
+    if (receipt.expires_at && new Date(receipt.expires_at) <= now) {
+      return { status: 'expired', expiredAt: receipt.expires_at };
+    }
+    return {
+      status: 'valid',
+      expiresAt: receipt.expires_at || null,
+      verifiedAt: receipt.verified_at || null
+    };
+  }
+
   // Verify receipt integrity
   verifyReceipt(receiptData) {
     try {
-      const { receiptHash, ...dataWithoutHash } = receiptData;
+      const { receiptHash, signature, ...dataWithoutHash } = receiptData;
       const calculatedHash = this.generateReceiptHash(dataWithoutHash);
+      // Anyone can recompute the hash; only the signature binds the service
+      const signatureVerification = this.verifyReceiptSignature(receiptHash, signature, receiptData.timestamp);
       
       return {
-        isValid: calculatedHash === receiptHash,
+        isValid: calculatedHash === receiptHash && signatureVerification.isValid,
         calculatedHash,
         providedHash: receiptHash,
+        signature: signatureVerification,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -85,27 +241,64 @@ class ReceiptGeneration {
     ));
   }
 
-  // Create receipt PDF (returns base64 encoded PDF data)
-  createReceiptPDF(receiptData) {
-    // Simplified PDF generation - in production use proper PDF library
-    const pdfContent = {
-      title: 'Vottery Digital Receipt',
-      content: {
-        'Receipt ID': receiptData.receiptId,
-        'Verification Code': receiptData.verificationCode,
-        'Election ID': receiptData.electionId,
-        'Timestamp': receiptData.timestamp,
-        'Receipt Hash': receiptData.receiptHash
-      },
-      footer: 'This receipt proves your vote was recorded. Keep it safe for verification.'
-    };
+  verificationUrl(verificationCode) {
+    return `${this.verificationBaseUrl.replace(/\/+$/, '')}/${encodeURIComponent(verificationCode)}`;
+  }
+
+  // Create receipt PDF. The QR code opens the verification page with the
+  // receipt hash, so a scan checks the printed receipt against the stored one.
+  async createReceiptPDF(receiptData) {
+    const verificationUrl = this.verificationUrl(receiptData.verificationCode);
+    const qrPayload = `${verificationUrl}?receiptHash=${receiptData.receiptHash}`;
+    const qrImage = await QRCode.toBuffer(qrPayload, { type: 'png', errorCorrectionLevel: 'M', margin: 1, width: 180 });
+
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: {
+        Title: 'Vottery Digital Receipt',
+        Subject: `Receipt ${receiptData.verificationCode}`
+      }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    doc.fontSize(20).font('Helvetica-Bold').text('Vottery Digital Receipt', { align: 'center' });
+    doc.moveDown(1.5);
+
+    const fields = [
+      ['Verification Code', receiptData.verificationCode],
+      ['Receipt ID', receiptData.receiptId],
+      ['Tracking Code', receiptData.trackingCode],
+      ['Election ID', receiptData.electionId],
+      ['Timestamp', receiptData.timestamp],
+      ['Receipt Hash', receiptData.receiptHash],
+      ['Signature (Ed25519)', receiptData.signature ? `${receiptData.signature.keyId}: ${receiptData.signature.value}` : null]
+    ];
+    for (const [label, value] of fields) {
+      doc.fontSize(10).font('Helvetica-Bold').text(label);
+      // Courier keeps long hashes legible and wrappable
+      doc.fontSize(11).font('Courier').text(String(value ?? '-'));
+      doc.moveDown(0.6);
+    }
+
+    doc.moveDown();
+    doc.image(qrImage, (doc.page.width - 180) / 2, doc.y, { width: 180 });
+    doc.y += 190;
+    doc.fontSize(9).font('Helvetica').text(verificationUrl, { align: 'center', link: qrPayload });
+    doc.moveDown(2);
+    doc.fontSize(9).font('Helvetica-Oblique')
+      .text('This receipt proves your vote was recorded. Keep it safe for verification.', { align: 'center' });
+
+    doc.end();
 
-    // Convert to base64 (simplified)
-    const pdfBase64 = Buffer.from(JSON.stringify(pdfContent)).toString('base64');
-    
     return {
       format: 'application/pdf',
-      data: pdfBase64,
+      data: await finished,
       filename: `receipt_${receiptData.verificationCode}.pdf`
     };
   }
@@ -0,0 +1,315 @@
+import { createHash } from 'node:crypto';
+import { modPow, modInv } from 'bigint-crypto-utils';
+import ZeroKnowledgeProof from './zeroKnowledgeProof.js';
+
+// Width of the per-ballot challenges u_i and of the integer masks for the
+// responses s'_i, which are used as exponents in Z*_{n^2} without reduction
+const BALLOT_CHALLENGE_BITS = 128;
+const RESPONSE_MASK_BITS = BALLOT_CHALLENGE_BITS + 256 + 128;
+
+// Commitment group: the squares modulo the 2048-bit MODP prime of RFC 3526,
+// P = 2Q + 1 with Q prime. Q is far larger than any accepted s'_i, so
+// reducing those exponents mod Q never changes them
+const P = BigInt('0x' +
+  'FFFFFFFFFFFFFFFFC90FDAA22168C234C4C6628B80DC1CD129024E088A67CC74' +
+  '020BBEA63B139B22514A08798E3404DDEF9519B3CD3A431B302B0A6DF25F1437' +
+  '4FE1356D6D51C245E485B576625E7EC6F44C42E9A637ED6B0BFF5CB6F406B7ED' +
+  'EE386BFB5A899FA5AE9F24117C4B1FE649286651ECE45B3DC2007CB8A163BF05' +
+  '98DA48361C55D39A69163FA8FD24CF5F83655D23DCA3AD961C62F356208552BB' +
+  '9ED529077096966D670C354E4ABC9804F1746C08CA18217C32905E462E36CE3B' +
+  'E39E772C180E86039B2783A2EC07A28FB5C55DF06F4C52C9DE2BCBF695581718' +
+  '3995497CEA956AE515D2261898FA051015728E5A8AACAA68FFFFFFFFFFFFFFFF'
+);
+const Q = (P - 1n) / 2n;
+
+// Terelius-Wikstrom proof of shuffle for re-encrypted Paillier ballot vectors.
+// The permutation is committed with Pedersen commitments in the order-Q group
+// above, and the re-encryption relation is proven in Z*_{n^2}; nothing about
+// the permutation or the re-encryption randomness is revealed. Made
+// non-interactive with Fiat-Shamir, following the CHVote pseudo-code
+// (GenShuffleProof / CheckShuffleProof).
+class ShuffleProof {
+  constructor(zkProof = new ZeroKnowledgeProof()) {
+    this.zkProof = zkProof;
+  }
+
+  // Output ballot i is input ballot permutation[i], each ciphertext j
+  // re-encrypted with randomness[i][j]
+  generate(input, output, permutation, randomness, publicKey) {
+    const key = this.zkProof.paillierKey(publicKey);
+    const count = input.length;
+    if (count === 0 || output.length !== count || permutation.length !== count) {
+      throw new Error('Shuffle proof needs matching, non-empty input and output');
+    }
+
+    const inputValues = this.ciphertextMatrix(input);
+    const outputValues = this.ciphertextMatrix(output);
+    const width = this.ballotWidth(inputValues, outputValues);
+    const { g, h, hs } = this.generators(count);
+
+    // Permutation commitment: c_{pi(i)} = g^{r_{pi(i)}} * h_i
+    const r = new Array(count);
+    const commitments = new Array(count);
+    permutation.forEach((source, index) => {
+      r[source] = this.randomExponent();
+      commitments[source] = (this.power(g, r[source]) * hs[index]) % P;
+    });
+
+    const u = this.ballotChallenges(key, inputValues, outputValues, commitments);
+    const uTilde = permutation.map(source => u[source]);
+
+    // Commitment chain c^_i = g^{r^_i} * c^_{i-1}^{u~_i}, starting from h
+    const rHat = [];
+    const chain = [];
+    let previous = h;
+    for (let i = 0; i < count; i++) {
+      rHat.push(this.randomExponent());
+      chain.push((this.power(g, rHat[i]) * this.power(previous, uTilde[i])) % P);
+      previous = chain[i];
+    }
+
+    const rBar = this.sumMod(r, Q);
+    const v = new Array(count);
+    v[count - 1] = 1n;
+    for (let i = count - 1; i > 0; i--) {
+      v[i - 1] = (uTilde[i] * v[i]) % Q;
+    }
+    const rHatSum = this.sumMod(rHat.map((value, i) => value * v[i]), Q);
+    const rTilde = this.sumMod(r.map((value, i) => value * u[i]), Q);
+
+    // Combined re-encryption randomness per ballot position: prod r~_ij^{u~_i}
+    const combinedRandomness = Array.from({ length: width }, (_, j) =>
+      randomness.reduce((product, row, i) => (product * modPow(BigInt(row[j]), uTilde[i], key.n)) % key.n, 1n)
+    );
+
+    const omega1 = this.randomExponent();
+    const omega2 = this.randomExponent();
+    const omega3 = this.randomExponent();
+    const omega4 = Array.from({ length: width }, () => this.zkProof.randomUnit(key.n));
+    const omegaHat = Array.from({ length: count }, () => this.randomExponent());
+    const omegaPrime = Array.from({ length: count }, () => this.zkProof.randomBelow(1n << BigInt(RESPONSE_MASK_BITS)));
+
+    const t = {
+      t1: this.encode(this.power(g, omega1)),
+      t2: this.encode(this.power(g, omega2)),
+      t3: this.encode(hs.reduce((product, generator, i) => (product * this.power(generator, omegaPrime[i])) % P, this.power(g, omega3))),
+      t4: omega4.map((mask, j) =>
+        ((this.powerProduct(outputValues, j, omegaPrime, key.nsq) * modInv(modPow(mask, key.n, key.nsq), key.nsq)) % key.nsq).toString()
+      ),
+      tHat: chain.map((_, i) =>
+        this.encode((this.power(g, omegaHat[i]) * this.power(i === 0 ? h : chain[i - 1], omegaPrime[i])) % P)
+      )
+    };
+
+    const proof = {
+      scheme: 'terelius-wikstrom',
+      commitments: commitments.map(value => this.encode(value)),
+      chain: chain.map(value => this.encode(value)),
+      t
+    };
+    const c = this.proofChallenge(key, inputValues, outputValues, proof);
+
+    return {
+      ...proof,
+      s: {
+        s1: ((omega1 + c * rBar) % Q).toString(16),
+        s2: ((omega2 + c * rHatSum) % Q).toString(16),
+        s3: ((omega3 + c * rTilde) % Q).toString(16),
+        s4: omega4.map((mask, j) => ((mask * modPow(combinedRandomness[j], c, key.n)) % key.n).toString()),
+        sHat: omegaHat.map((mask, i) => ((mask + c * rHat[i]) % Q).toString(16)),
+        sPrime: omegaPrime.map((mask, i) => (mask + c * uTilde[i]).toString())
+      }
+    };
+  }
+
+  // Check that output is a re-encrypted permutation of input, from public data only
+  verify(proof, input, output, publicKey) {
+    try {
+      if (!proof || proof.scheme !== 'terelius-wikstrom') {
+        return { isValid: false, reason: 'Unsupported shuffle proof' };
+      }
+
+      const key = this.zkProof.paillierKey(publicKey);
+      const count = input.length;
+      if (count === 0) {
+        return { isValid: false, reason: 'Nothing was shuffled' };
+      }
+
+      const inputValues = this.ciphertextMatrix(input);
+      const outputValues = this.ciphertextMatrix(output);
+      const width = this.ballotWidth(inputValues, outputValues);
+
+      if (output.length !== count || proof.commitments.length !== count || proof.chain.length !== count ||
+          proof.t.tHat.length !== count || proof.s.sHat.length !== count || proof.s.sPrime.length !== count ||
+          proof.t.t4.length !== width || proof.s.s4.length !== width) {
+        return { isValid: false, reason: 'Shuffle proof does not match the ballot count' };
+      }
+
+      const { g, h, hs } = this.generators(count);
+      const commitments = proof.commitments.map(hex => this.decode(hex));
+      const chain = proof.chain.map(hex => this.decode(hex));
+
+      const s1 = BigInt('0x' + proof.s.s1);
+      const s2 = BigInt('0x' + proof.s.s2);
+      const s3 = BigInt('0x' + proof.s.s3);
+      const s4 = proof.s.s4.map(value => BigInt(value));
+      const sHat = proof.s.sHat.map(value => BigInt('0x' + value));
+      const sPrime = proof.s.sPrime.map(value => BigInt(value));
+
+      // s'_i is used unreduced in Z*_{n^2} and mod Q in the commitments. Below
+      // this bound it is the same integer in both, and so is the u~_i it opens
+      const bound = 1n << BigInt(RESPONSE_MASK_BITS + 1);
+      if (sPrime.some(value => value < 0n || value >= bound) || s4.some(value => value <= 0n || value >= key.n)) {
+        return { isValid: false, reason: 'Shuffle proof responses out of range' };
+      }
+
+      const u = this.ballotChallenges(key, inputValues, outputValues, commitments);
+      const c = this.proofChallenge(key, inputValues, outputValues, proof);
+
+      const cBar = this.divide(this.product(commitments), this.product(hs));
+      const uProduct = u.reduce((product, value) => (product * value) % Q, 1n);
+      const cHat = this.divide(chain[count - 1], this.power(h, uProduct));
+      const cTilde = this.product(commitments.map((value, i) => this.power(value, u[i])));
+
+      const expected = {
+        t1: this.encode(this.divide(this.power(g, s1), this.power(cBar, c))),
+        t2: this.encode(this.divide(this.power(g, s2), this.power(cHat, c))),
+        t3: this.encode(this.divide(
+          this.product(hs.map((generator, i) => this.power(generator, sPrime[i])), this.power(g, s3)),
+          this.power(cTilde, c)
+        )),
+        t4: s4.map((response, j) => {
+          const folded = this.powerProduct(inputValues, j, u, key.nsq);
+          const shuffled = this.powerProduct(outputValues, j, sPrime, key.nsq);
+          const denominator = (modPow(folded, c, key.nsq) * modPow(response, key.n, key.nsq)) % key.nsq;
+          return ((shuffled * modInv(denominator, key.nsq)) % key.nsq).toString();
+        }),
+        tHat: chain.map((value, i) => this.encode(this.divide(
+          (this.power(g, sHat[i]) * this.power(i === 0 ? h : chain[i - 1], sPrime[i])) % P,
+          this.power(value, c)
+        )))
+      };
+
+      if (expected.t1 !== proof.t.t1 || expected.t2 !== proof.t.t2 || expected.t3 !== proof.t.t3) {
+        return { isValid: false, reason: 'Permutation commitment check failed' };
+      }
+      if (expected.tHat.some((value, i) => value !== proof.t.tHat[i])) {
+        return { isValid: false, reason: 'Commitment chain check failed' };
+      }
+      if (expected.t4.some((value, j) => value !== String(proof.t.t4[j]))) {
+        return { isValid: false, reason: 'Re-encryption check failed' };
+      }
+
+      return { isValid: true };
+    } catch (error) {
+      console.error('Shuffle proof verification error:', error);
+      return { isValid: false, reason: error.message };
+    }
+  }
+
+  // g, h and one independent generator per ballot, all hashed into the group
+  generators(count) {
+    return {
+      g: this.hashToGroup('vottery/shuffle/g'),
+      h: this.hashToGroup('vottery/shuffle/h'),
+      hs: Array.from({ length: count }, (_, i) => this.hashToGroup(`vottery/shuffle/h:${i}`))
+    };
+  }
+
+  // Squaring a hash wide enough to cover P lands in the order-Q subgroup
+  hashToGroup(label) {
+    const digest = Array.from({ length: 9 }, (_, i) => this.hash([label, String(i)])).join('');
+    return modPow(BigInt('0x' + digest) % P, 2n, P);
+  }
+
+  // u_i = H(y, i), binding the key, both ballot lists and the permutation commitment
+  ballotChallenges(key, inputValues, outputValues, commitments) {
+    const seed = this.hash([
+      'shuffle-ballot-challenges',
+      key.n.toString(),
+      this.hashMatrix(inputValues),
+      this.hashMatrix(outputValues),
+      ...commitments.map(value => this.encode(value))
+    ]);
+
+    return inputValues.map((_, i) =>
+      BigInt('0x' + this.hash([seed, String(i)])) % (1n << BigInt(BALLOT_CHALLENGE_BITS))
+    );
+  }
+
+  proofChallenge(key, inputValues, outputValues, proof) {
+    return BigInt('0x' + this.hash([
+      'shuffle-proof',
+      key.n.toString(),
+      this.hashMatrix(inputValues),
+      this.hashMatrix(outputValues),
+      ...proof.commitments,
+      ...proof.chain,
+      proof.t.t1,
+      proof.t.t2,
+      proof.t.t3,
+      ...proof.t.t4.map(String),
+      ...proof.t.tHat
+    ]));
+  }
+
+  // prod_i values[i][j]^exponents[i] mod n^2
+  powerProduct(values, column, exponents, nsq) {
+    return values.reduce((product, row, i) => (product * modPow(row[column], exponents[i], nsq)) % nsq, 1n);
+  }
+
+  ciphertextMatrix(ballots) {
+    return ballots.map(ballot => ballot.ciphertexts.map(ciphertext => BigInt(ciphertext)));
+  }
+
+  ballotWidth(inputValues, outputValues) {
+    const width = inputValues[0]?.length || 0;
+    if ([...inputValues, ...outputValues].some(row => row.length !== width)) {
+      throw new Error('All ballots in a shuffle must have the same number of ciphertexts');
+    }
+    return width;
+  }
+
+  power(base, exponent) {
+    return modPow(base, exponent % Q, P);
+  }
+
+  product(values, initial = 1n) {
+    return values.reduce((product, value) => (product * value) % P, initial);
+  }
+
+  divide(numerator, denominator) {
+    return (numerator * modInv(denominator, P)) % P;
+  }
+
+  encode(value) {
+    return value.toString(16);
+  }
+
+  // Group elements from a proof must be squares mod P other than 1
+  decode(hex) {
+    const value = BigInt('0x' + hex);
+    if (value <= 1n || value >= P || modPow(value, Q, P) !== 1n) {
+      throw new Error('Shuffle proof element is not in the commitment group');
+    }
+    return value;
+  }
+
+  randomExponent() {
+    return this.zkProof.randomBelow(Q);
+  }
+
+  sumMod(values, modulus) {
+    return values.reduce((sum, value) => (sum + value) % modulus, 0n);
+  }
+
+  hashMatrix(values) {
+    return this.hash(values.map(row => row.map(value => value.toString()).join(',')));
+  }
+
+  hash(parts) {
+    return createHash('sha256').update(parts.join(':')).digest('hex');
+  }
+}
+
+export default ShuffleProof;
@@ -0,0 +1,319 @@
+import HomomorphicEncryption from './homomorphicEncryption.js';
+import BallotEncoding from './ballotEncoding.js';
+import RankedChoice from './rankedChoice.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// Turns stored ballots into the ciphertexts a tally decrypts, and decrypted
+// plaintexts back into results. Shared by the direct tally and trustee sessions.
+//
+// Modes (CRYPTO_CONSTANTS.TALLY_MODES):
+//   homomorphic - only the per-candidate sums are decrypted; on weighted
+//                 elections both the weighted and the unweighted sums
+//   mix-decrypt - every ciphertext of the (shuffled) mixnet output is decrypted,
+//                 publishing the individual anonymized ballots; ranked ballots
+//                 are counted by instant-runoff
+//
+// Pairwise ballots sum to the pairwise preference table, which is counted by
+// Borda and Schulze in either mode.
+class TallyComputation {
+  constructor(homomorphic = new HomomorphicEncryption()) {
+    this.homomorphic = homomorphic;
+    this.ballotEncoding = new BallotEncoding();
+    this.rankedChoice = new RankedChoice();
+  }
+
+  // Only per-candidate ballots (encryption v2.0) can be tallied per candidate
+  tallyableBallots(encryptedVotes) {
+    return encryptedVotes.filter(vote =>
+      Array.isArray(vote.homomorphic_data?.ciphertexts)
+    );
+  }
+
+  // Candidate list shared by every ballot, or null if ballots disagree on the
+  // candidates, the ballot type or its rules
+  resolveCandidates(ballots) {
+    const candidates = ballots[0].homomorphic_data.candidates;
+    const ballotType = this.ballotType(ballots);
+    const expected = JSON.stringify(candidates);
+    const expectedRules = JSON.stringify(this.ballotRules(ballots));
+    const width = this.ballotEncoding.width(ballotType, candidates.length);
+    const consistent = ballots.every(vote =>
+      JSON.stringify(vote.homomorphic_data.candidates) === expected &&
+      (vote.homomorphic_data.ballotType || 'plurality') === ballotType &&
+      JSON.stringify(vote.homomorphic_data.ballotRules || {}) === expectedRules &&
+      vote.homomorphic_data.ciphertexts.length === width
+    );
+    return consistent ? candidates : null;
+  }
+
+  // Ballots cast before ballot types existed are plurality ballots
+  ballotType(ballots) {
+    return ballots[0].homomorphic_data.ballotType || 'plurality';
+  }
+
+  ballotRules(ballots) {
+    return ballots[0].homomorphic_data.ballotRules || {};
+  }
+
+  // Weight applied to each ballot (its eligibility roll weight when cast).
+  // Mixing drops the link to the weight, so weighted ballots are never mixed
+  // and weighted elections are never counted from mixnet output.
+  ballotWeights(ballots) {
+    return ballots.map(ballot => ballot.weight ?? 1);
+  }
+
+  isWeighted(ballots) {
+    return this.ballotWeights(ballots).some(weight => weight !== 1);
+  }
+
+  // Ballots with one entry per candidate have per-candidate sums worth
+  // decrypting; the rest are only counted after mixing
+  supportsMode(mode, ballotType) {
+    return mode !== 'homomorphic' || ['plurality', 'approval', 'score', 'pairwise'].includes(ballotType);
+  }
+
+  // Per-candidate homomorphic sums - the only values that ever get decrypted.
+  // Accepts stored vote rows or mixed ballots ({ ciphertexts: [...] }).
+  // Weighted ballots are scaled by c^w before aggregation; the weighted sums
+  // come first, followed by the unweighted ones.
+  buildHomomorphicInput(ballots, candidates, ballotType = 'plurality', publicKey = this.homomorphic.publicKey) {
+    const vectors = ballots.map(ballot => this.ballotCiphertexts(ballot));
+    const ciphertexts = this.homomorphic.addEncryptedVectors(vectors, publicKey);
+    const layout = { candidates, ballotType, ballotCount: ballots.length };
+
+    if (!this.isWeighted(ballots)) {
+      return { ciphertexts, layout };
+    }
+
+    const weights = this.ballotWeights(ballots);
+    return {
+      ciphertexts: [...this.homomorphic.addEncryptedVectors(vectors, publicKey, weights), ...ciphertexts],
+      layout: {
+        ...layout,
+        weighted: true,
+        totalWeight: weights.reduce((total, weight) => total + weight, 0)
+      }
+    };
+  }
+
+  // Every ciphertext of every ballot, ballot by ballot, in the order given.
+  // Only meaningful on mixnet output - decrypting cast ballots in place would
+  // link each plaintext to its voter.
+  buildMixDecryptInput(ballots, candidates, ballotType = 'plurality', ballotRules = {}) {
+    const rows = ballots.map(ballot => this.ballotCiphertexts(ballot));
+    const width = this.ballotEncoding.width(ballotType, candidates.length);
+    if (rows.some(row => row.length !== width)) {
+      throw new Error(`Every mixed ballot must hold ${width} ciphertexts`);
+    }
+
+    return {
+      ciphertexts: rows.flat(),
+      layout: { candidates, ballotType, ballotRules, ballotCount: rows.length, width }
+    };
+  }
+
+  buildInput(mode, ballots, candidates, ballotType = 'plurality', ballotRules = {}, publicKey = this.homomorphic.publicKey) {
+    if (!this.supportsMode(mode, ballotType)) {
+      throw new Error(`Tally mode '${mode}' does not support ${ballotType} ballots`);
+    }
+
+    switch (mode) {
+      case 'homomorphic':
+        return this.buildHomomorphicInput(ballots, candidates, ballotType, publicKey);
+      case 'mix-decrypt':
+        return this.buildMixDecryptInput(ballots, candidates, ballotType, ballotRules);
+      default:
+        throw new Error(`Unsupported tally mode '${mode}'`);
+    }
+  }
+
+  // Modes that decrypt individual ballots must read from a mixnet
+  requiresMixnet(mode) {
+    return mode === 'mix-decrypt';
+  }
+
+  ballotCiphertexts(ballot) {
+    return ballot.homomorphic_data ? ballot.homomorphic_data.ciphertexts : ballot.ciphertexts;
+  }
+
+  // Row for a new tally session; source records where the ciphertexts came
+  // from ('ballots' as cast, or the final round of mixnet run mixRunId)
+  buildSessionRecord({ electionId, keyData, dealingId, input, includedVotes, source = 'ballots', mixRunId = null, openedBy, mode = 'homomorphic' }) {
+    return {
+      session_id: uuidv4(),
+      election_id: electionId,
+      key_id: keyData.key_id,
+      dealing_id: dealingId,
+      mode,
+      source,
+      mix_run_id: mixRunId,
+      ciphertexts: input.ciphertexts,
+      layout: input.layout,
+      included_votes: includedVotes,
+      ballot_count: includedVotes.length,
+      threshold_n: keyData.threshold_n,
+      threshold_k: keyData.threshold_k,
+      opened_by: openedBy
+    };
+  }
+
+  // Map decrypted plaintexts (BigInts or decimal strings) back onto the layout
+  // they were built from
+  interpretResult(mode, layout, plaintexts) {
+    switch (mode) {
+      case 'homomorphic': {
+        if (!layout.weighted) {
+          return this.interpretSums(layout, plaintexts, layout.ballotCount);
+        }
+
+        // Weighted totals count each ballot weight times
+        const count = this.ballotEncoding.width(layout.ballotType, layout.candidates.length);
+        return {
+          ...this.interpretSums(layout, plaintexts.slice(0, count), layout.totalWeight),
+          totalWeight: layout.totalWeight,
+          unweighted: this.interpretSums(layout, plaintexts.slice(count), layout.ballotCount)
+        };
+      }
+      // Single ballot entries are small; anything else fails to decode anyway
+      case 'mix-decrypt':
+        return this.interpretBallots(layout, this.ballotEncoding.rows(plaintexts.map(Number), layout.width));
+      default:
+        throw new Error(`Unsupported tally mode '${mode}'`);
+    }
+  }
+
+  // Per-candidate sums; ballotCount is the number of ballots they add up
+  // (the total weight for weighted sums)
+  interpretSums(layout, plaintexts, ballotCount) {
+    if (layout.ballotType === 'pairwise') {
+      const table = plaintexts.map(plaintext => {
+        const count = this.exactCount(plaintext);
+        if (typeof count !== 'number') {
+          throw new Error('Pairwise preference counts exceed the exactly countable range');
+        }
+        return count;
+      });
+      return this.countPairwise(layout.candidates, this.ballotEncoding.rows(table, layout.candidates.length), ballotCount);
+    }
+
+    const results = {};
+    layout.candidates.forEach((candidate, index) => {
+      results[candidate] = this.exactCount(plaintexts[index]);
+    });
+
+    const selections = this.exactCount(plaintexts.reduce((total, count) => total + BigInt(count), 0n));
+    switch (layout.ballotType) {
+      // Approval ballots select several candidates, so votes are counted per ballot
+      case 'approval':
+        return { results, totalVotes: ballotCount, totalSelections: selections };
+      // Score ballots: results are per-candidate score totals
+      case 'score':
+        return {
+          results,
+          totalVotes: ballotCount,
+          averages: this.scoreAverages(layout.candidates, plaintexts, ballotCount)
+        };
+      default:
+        return { results, totalVotes: selections };
+    }
+  }
+
+  // Decrypted ballots in shuffled order, decoded per ballot type and counted.
+  // Ballots that do not decode (impossible with verified validity proofs) are
+  // reported and left out of the count.
+  interpretBallots(layout, rows) {
+    const { candidates } = layout;
+    const ballotType = layout.ballotType || 'plurality';
+    const decoded = rows.map(row => this.ballotEncoding.decode(ballotType, row, candidates, layout.ballotRules));
+    const valid = decoded.filter(selection => selection !== null);
+    const invalidBallots = decoded.length - valid.length;
+
+    switch (ballotType) {
+      case 'plurality': {
+        const results = Object.fromEntries(candidates.map(candidate => [candidate, 0]));
+        valid.forEach(vote => { results[candidates[vote]]++; });
+
+        return {
+          results,
+          totalVotes: valid.length,
+          invalidBallots,
+          ballots: rows
+        };
+      }
+      case 'approval': {
+        const results = Object.fromEntries(candidates.map(candidate => [candidate, 0]));
+        valid.forEach(selections => selections.forEach(index => { results[candidates[index]]++; }));
+
+        return {
+          results,
+          totalVotes: valid.length,
+          totalSelections: valid.reduce((total, selections) => total + selections.length, 0),
+          invalidBallots,
+          ballots: decoded.map(selections => selections && selections.map(index => candidates[index]))
+        };
+      }
+      case 'score': {
+        const totals = candidates.map((_, index) => valid.reduce((total, scores) => total + scores[index], 0));
+
+        return {
+          results: Object.fromEntries(candidates.map((candidate, index) => [candidate, totals[index]])),
+          totalVotes: valid.length,
+          averages: this.scoreAverages(candidates, totals, valid.length),
+          invalidBallots,
+          ballots: decoded.map(scores => scores && Object.fromEntries(candidates.map((candidate, index) => [candidate, scores[index]])))
+        };
+      }
+      case 'pairwise':
+        return {
+          ...this.countPairwise(candidates, this.rankedChoice.pairwiseTable(valid, candidates.length), valid.length),
+          invalidBallots,
+          ballots: decoded.map(ranking => ranking && ranking.map(index => candidates[index]))
+        };
+      case 'ranked': {
+        const { winner, rounds } = this.rankedChoice.instantRunoff(valid, candidates);
+
+        return {
+          // First preferences, i.e. the first instant-runoff round
+          results: Object.fromEntries(candidates.map(candidate => [candidate, rounds[0]?.tallies[candidate] ?? 0])),
+          totalVotes: valid.length,
+          invalidBallots,
+          instantRunoff: { winner, rounds },
+          ballots: decoded.map(ranking => ranking && ranking.map(index => candidates[index]))
+        };
+      }
+      default:
+        throw new Error(`Unsupported ballot type '${ballotType}'`);
+    }
+  }
+
+  // Borda scores as results, plus the full pairwise table, the Condorcet
+  // winner (if any) and the Schulze ranking
+  countPairwise(candidates, table, ballotCount) {
+    const borda = this.rankedChoice.borda(table, candidates);
+
+    return {
+      results: borda.scores,
+      totalVotes: ballotCount,
+      pairwise: this.rankedChoice.namedTable(table, candidates),
+      borda,
+      condorcetWinner: this.rankedChoice.condorcetWinner(table, candidates),
+      schulze: this.rankedChoice.schulze(table, candidates)
+    };
+  }
+
+  // A decrypted count as a Number while that is exact, otherwise as a decimal
+  // string
+  exactCount(plaintext) {
+    const count = BigInt(plaintext);
+    return count <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(count) : count.toString();
+  }
+
+  scoreAverages(candidates, totals, ballotCount) {
+    return Object.fromEntries(candidates.map((candidate, index) => [
+      candidate,
+      ballotCount > 0 ? Math.round((Number(totals[index]) / ballotCount) * 1000) / 1000 : 0
+    ]));
+  }
+}
+
+export default TallyComputation;
@@ -1,193 +1,1071 @@
 //import { secp256k1 } from '@noble/secp256k1';
 import * as secp256k1 from '@noble/secp256k1';
-import { randomBytes, createHash } from 'node:crypto';
+import { randomBytes, createHash, createHmac } from 'node:crypto';
+import { modPow, modInv, gcd } from 'bigint-crypto-utils';
+import { CRYPTO_CONSTANTS } from '../utils/constants.js';
+
+// Fiat-Shamir challenges (and challenge shares) live in [0, 2^256)
+const CHALLENGE_MODULUS = 1n << 256n;
+// Statistical hiding margin for integer responses: challenge bits + 128
+const EQUALITY_MASK_BITS = 384;
 
 class ZeroKnowledgeProof {
   constructor() {
     this.curve = secp256k1;
   }
 
-  // Generate commitment for vote
-  generateCommitment(vote, randomness) {
-    const voteHash = createHash('sha256').update(vote.toString()).digest();
-    const randomnessHash = createHash('sha256').update(randomness).digest();
-    
-    // Pedersen commitment: C = g^v * h^r
-    const g = this.curve.Point.BASE;
-    const h = this.curve.Point.fromHex('0250929b74c1a04954b78b4b6035e97a5e078a5a0f28ec96d547bfee9ace803ac0');
-    
-    const voteScalar = BigInt('0x' + voteHash.toString('hex')) % this.curve.CURVE.n;
-    const randomnessScalar = BigInt('0x' + randomnessHash.toString('hex')) % this.curve.CURVE.n;
-    
-    const commitment = g.multiply(voteScalar).add(h.multiply(randomnessScalar));
-    
+  // Pedersen commitment to the vote index: C = m*G + rho*H. The randomness
+  // is fresh unless the caller supplies one to reproduce a commitment.
+  generateCommitment(vote, randomness = null, electionId = null) {
+    const generators = this.commitmentGenerators(electionId);
+    const { g, h } = generators;
+    const q = this.curve.CURVE.n;
+
+    const voteScalar = BigInt(vote);
+    const randomnessScalar = randomness === null || randomness === undefined
+      ? this.randomBelow(q - 1n) + 1n
+      : BigInt('0x' + createHash('sha256').update(randomness.toString()).digest('hex')) % q;
+
+    const commitment = this.multiplyPoint(g, voteScalar).add(this.multiplyPoint(h, randomnessScalar));
+
     return {
       commitment: commitment.toHex(),
       voteScalar: voteScalar.toString(16),
-      randomnessScalar: randomnessScalar.toString(16)
+      randomnessScalar: randomnessScalar.toString(16),
+      generators: this.generatorReference(generators)
     };
   }
 
-  // Generate zero-knowledge proof of valid vote
-  generateProof(vote, candidates, commitment) {
-    const proofs = [];
-    
-    for (let i = 0; i < candidates.length; i++) {
-      const isVoted = vote === i;
-      const proof = this.generateSigmaProof(isVoted, commitment, i);
-      proofs.push(proof);
+  // Pedersen generators: g is the curve base point, h is hashed to the curve
+  // from the published seed (scoped to the election when per-election
+  // generators are on), so nobody knows log_g(h)
+  commitmentGenerators(electionId = null) {
+    const scope = CRYPTO_CONSTANTS.PER_ELECTION_GENERATORS && electionId ? String(electionId) : null;
+    const label = scope
+      ? `${CRYPTO_CONSTANTS.COMMITMENT_GENERATOR_SEED}:election:${scope}`
+      : CRYPTO_CONSTANTS.COMMITMENT_GENERATOR_SEED;
+
+    const g = this.curve.Point.BASE;
+    const derivation = this.hashToCurveDerivation(label);
+    const id = createHash('sha256')
+      .update(`${g.toHex(true)}:${derivation.point.toHex(true)}`)
+      .digest('hex')
+      .substring(0, 16);
+
+    return { id, electionId: scope, label, counter: derivation.counter, g, h: derivation.point };
+  }
+
+  // What commitments and proofs record about the generators they used
+  generatorReference(generators) {
+    return { id: generators.id, electionId: generators.electionId };
+  }
+
+  // Resolve a recorded generator set, refusing one that does not re-derive
+  resolveGenerators(reference) {
+    if (!reference?.id) {
+      throw new Error('Commitment does not record its generator set');
     }
-    
+    const generators = this.commitmentGenerators(reference.electionId);
+    if (generators.id !== reference.id) {
+      throw new Error(`Unknown commitment generator set '${reference.id}'`);
+    }
+    return generators;
+  }
+
+  // Everything an auditor needs to re-derive h independently
+  describeGenerators(electionId = null) {
+    const generators = this.commitmentGenerators(electionId);
+
+    return {
+      generatorSetId: generators.id,
+      curve: CRYPTO_CONSTANTS.CURVE_NAME,
+      seed: CRYPTO_CONSTANTS.COMMITMENT_GENERATOR_SEED,
+      electionId: generators.electionId,
+      label: generators.label,
+      g: generators.g.toHex(true),
+      h: generators.h.toHex(true),
+      derivation: {
+        method: 'try-and-increment',
+        hash: CRYPTO_CONSTANTS.HASH_ALGORITHM,
+        input: `${generators.label}:<counter>`,
+        encoding: 'h = point with x = SHA256(input) and even y (compressed prefix 02)',
+        counter: generators.counter
+      }
+    };
+  }
+
+  // noble rejects a zero scalar; m = 0 is a valid vote index
+  multiplyPoint(point, scalar) {
+    const k = this.curve.utils.mod(BigInt(scalar), this.curve.CURVE.n);
+    return k === 0n ? this.curve.Point.ZERO : point.multiply(k);
+  }
+
+  // Proof that the commitment and the ballot encode the same vote index m.
+  // The ballot is folded into c* = prod c_i^i, which encrypts m; one integer
+  // response z_m = t + e*m is checked in both groups (secp256k1 and Z*_{n^2}).
+  // Other folds ({ weights, maxValue }) commit to other encodings, e.g. weights
+  // 2^i for a selection bitmask.
+  generateEqualityProof(vote, commitment, encryptions, publicKey, fold = null) {
+    const key = this.paillierKey(publicKey);
+    const q = this.curve.CURVE.n;
+    const generators = this.resolveGenerators(commitment.generators);
+    const { g, h } = generators;
+
+    const foldWeights = fold?.weights || this.indexWeights(encryptions.length);
+    const folded = this.foldBallot(encryptions.map(encryption => encryption.ciphertext), key, foldWeights);
+    const foldedRandomness = encryptions.reduce(
+      (product, encryption, index) => (product * modPow(BigInt(encryption.randomness), foldWeights[index], key.n)) % key.n,
+      1n
+    );
+
+    // t masks e*m statistically; rho' and s mask the commitment and Paillier randomness
+    const t = this.randomBelow(1n << BigInt(this.foldBits(encryptions.length, fold) + EQUALITY_MASK_BITS));
+    const rhoMask = this.randomBelow(q);
+    const s = this.randomUnit(key.n);
+
+    const commitmentNonce = this.multiplyPoint(g, t).add(this.multiplyPoint(h, rhoMask));
+    const ciphertextNonce = (modPow(key.g, t, key.nsq) * modPow(s, key.n, key.nsq)) % key.nsq;
+
+    const e = this.equalityChallenge(key, generators, commitment.commitment, folded, commitmentNonce.toHex(), ciphertextNonce);
+    const rho = BigInt('0x' + commitment.randomnessScalar);
+
     return {
-      proofs,
-      challenge: this.generateChallenge(proofs),
+      scheme: 'pedersen-paillier-equality',
+      generators: this.generatorReference(generators),
+      commitmentNonce: commitmentNonce.toHex(),
+      ciphertextNonce: ciphertextNonce.toString(),
+      challenge: e.toString(16),
+      zm: (t + e * BigInt(vote)).toString(),
+      zrho: this.curve.utils.mod(rhoMask + e * rho, q).toString(16),
+      zr: ((s * modPow(foldedRandomness, e, key.n)) % key.n).toString()
+    };
+  }
+
+  // z_m*G + z_rho*H = A1 + e*C and g^z_m * z_r^n = A2 * c*^e (mod n^2)
+  verifyEqualityProof(proof, commitmentHex, ciphertexts, publicKey, fold = null) {
+    try {
+      if (!proof || proof.scheme !== 'pedersen-paillier-equality') {
+        return { isValid: false, reason: 'Missing commitment equality proof' };
+      }
+
+      const key = this.paillierKey(publicKey);
+      const generators = this.resolveGenerators(proof.generators);
+      const { g, h } = generators;
+      const folded = this.foldBallot(ciphertexts, key, fold?.weights || this.indexWeights(ciphertexts.length));
+
+      const e = BigInt('0x' + proof.challenge);
+      const zm = BigInt(proof.zm);
+      const zrho = BigInt('0x' + proof.zrho);
+      const zr = BigInt(proof.zr);
+      const ciphertextNonce = BigInt(proof.ciphertextNonce);
+
+      // Bounding z_m keeps the extracted m a small integer in both groups
+      const bound = 1n << BigInt(this.foldBits(ciphertexts.length, fold) + EQUALITY_MASK_BITS + 1);
+      if (zm < 0n || zm >= bound || zr <= 0n || zr >= key.n || ciphertextNonce <= 0n || ciphertextNonce >= key.nsq) {
+        return { isValid: false, reason: 'Commitment equality proof out of range' };
+      }
+
+      if (this.equalityChallenge(key, generators, commitmentHex, folded, proof.commitmentNonce, ciphertextNonce) !== e) {
+        return { isValid: false, reason: 'Invalid commitment equality challenge' };
+      }
+
+      const commitment = this.curve.Point.fromHex(commitmentHex);
+      const commitmentNonce = this.curve.Point.fromHex(proof.commitmentNonce);
+      const left = this.multiplyPoint(g, zm).add(this.multiplyPoint(h, zrho));
+      const right = commitmentNonce.add(this.multiplyPoint(commitment, e));
+      if (!left.equals(right)) {
+        return { isValid: false, reason: 'Commitment does not match the proof' };
+      }
+
+      const paillierLeft = (modPow(key.g, zm, key.nsq) * modPow(zr, key.n, key.nsq)) % key.nsq;
+      const paillierRight = (ciphertextNonce * modPow(folded, e, key.nsq)) % key.nsq;
+      if (paillierLeft !== paillierRight) {
+        return { isValid: false, reason: 'Ciphertext does not match the committed vote' };
+      }
+
+      return { isValid: true };
+    } catch (error) {
+      console.error('Commitment equality verification error:', error);
+      return { isValid: false, reason: error.message };
+    }
+  }
+
+  // prod c_i^w_i encrypts sum w_i*m_i - with w_i = i, the index of the selected candidate
+  foldBallot(ciphertexts, key, weights = this.indexWeights(ciphertexts.length)) {
+    return ciphertexts.reduce(
+      (product, ciphertext, index) => (product * modPow(BigInt(ciphertext), weights[index], key.nsq)) % key.nsq,
+      1n
+    );
+  }
+
+  indexWeights(count) {
+    return Array.from({ length: count }, (_, index) => BigInt(index));
+  }
+
+  voteBits(candidateCount) {
+    return Math.max(1, (candidateCount - 1).toString(2).length);
+  }
+
+  // Bit length of the largest value a fold can encrypt
+  foldBits(count, fold = null) {
+    if (!fold) return this.voteBits(count);
+    return BigInt(fold.maxValue).toString(2).length;
+  }
+
+  equalityChallenge(key, generators, commitmentHex, folded, commitmentNonceHex, ciphertextNonce) {
+    const data = [
+      'commitment-equality',
+      key.n.toString(),
+      generators.g.toHex(true),
+      generators.h.toHex(true),
+      commitmentHex,
+      folded.toString(),
+      commitmentNonceHex,
+      ciphertextNonce.toString()
+    ].join(':');
+    return BigInt('0x' + createHash('sha256').update(data).digest('hex')) % CHALLENGE_MODULUS;
+  }
+
+  // Ballot validity proof for a per-candidate Paillier ballot: each ciphertext
+  // encrypts 0 or 1 (disjunctive Chaum-Pedersen OR-proof) and their product
+  // encrypts exactly 1. A single Fiat-Shamir challenge binds every branch.
+  generateProof(vote, candidates, encryptions, publicKey) {
+    if (encryptions.length !== candidates.length) {
+      throw new Error('One encryption per candidate is required');
+    }
+
+    const key = this.paillierKey(publicKey);
+    const ciphertexts = encryptions.map(encryption => BigInt(encryption.ciphertext));
+
+    const memberships = encryptions.map((encryption, index) =>
+      this.commitMembership(ciphertexts[index], index === vote ? 1 : 0, [0, 1], encryption.randomness, key)
+    );
+
+    // Product of the ciphertexts encrypts the sum under the product of the randomness
+    const sumCiphertext = ciphertexts.reduce((product, c) => (product * c) % key.nsq, 1n);
+    const sumRandomness = encryptions.reduce((product, e) => (product * BigInt(e.randomness)) % key.n, 1n);
+    const sum = this.commitMembership(sumCiphertext, 1, [1], sumRandomness, key);
+
+    const challenge = this.ballotChallenge(key, ciphertexts, [...memberships, sum]);
+
+    return {
+      scheme: 'paillier-or-proof',
+      memberships: memberships.map(membership => this.respondMembership(membership, challenge, key)),
+      sum: this.respondMembership(sum, challenge, key),
+      challenge: challenge.toString(16),
       timestamp: Date.now()
     };
   }
 
-  // Generate sigma protocol proof
-  generateSigmaProof(isVoted, commitment, candidateIndex) {
-    const r = randomBytes(32);
-    const rScalar = BigInt('0x' + r.toString('hex')) % this.curve.CURVE.n;
-    
-    const g = this.curve.Point.BASE;
-    const a = g.multiply(rScalar);
-    
-    if (isVoted) {
-      // Real proof
-      return {
-        candidateIndex,
-        a: a.toHex(),
-        z: rScalar.toString(16),
-        type: 'real'
-      };
-    } else {
-      // Simulated proof
-      const c = randomBytes(32);
-      const z = randomBytes(32);
-      const cScalar = BigInt('0x' + c.toString('hex')) % this.curve.CURVE.n;
-      const zScalar = BigInt('0x' + z.toString('hex')) % this.curve.CURVE.n;
-      
-      return {
-        candidateIndex,
-        a: a.toHex(),
-        c: c.toString('hex'),
-        z: zScalar.toString(16),
-        type: 'simulated'
-      };
+  // Verify a ballot validity proof against the stored ciphertexts
+  verifyProof(proof, ciphertexts, candidates, publicKey) {
+    try {
+      if (!proof || proof.scheme !== 'paillier-or-proof') {
+        return { isValid: false, reason: 'Unsupported ballot proof' };
+      }
+      if (ciphertexts.length !== candidates.length || proof.memberships.length !== candidates.length) {
+        return { isValid: false, reason: 'Invalid proof count' };
+      }
+
+      const key = this.paillierKey(publicKey);
+      const values = ciphertexts.map(ciphertext => BigInt(ciphertext));
+      const challenge = BigInt('0x' + proof.challenge);
+
+      const recomputed = this.ballotChallenge(key, values, [...proof.memberships, proof.sum].map(branches => ({
+        branches: branches.map(branch => ({ a: BigInt(branch.a) }))
+      })));
+      if (recomputed !== challenge) {
+        return { isValid: false, reason: 'Invalid challenge' };
+      }
+
+      for (let i = 0; i < values.length; i++) {
+        if (!this.verifyMembership(values[i], proof.memberships[i], [0, 1], challenge, key)) {
+          return { isValid: false, reason: `Ciphertext for candidate ${i} does not encrypt 0 or 1` };
+        }
+      }
+
+      const sumCiphertext = values.reduce((product, c) => (product * c) % key.nsq, 1n);
+      if (!this.verifyMembership(sumCiphertext, proof.sum, [1], challenge, key)) {
+        return { isValid: false, reason: 'Ballot does not select exactly one candidate' };
+      }
+
+      return { isValid: true };
+    } catch (error) {
+      console.error('Ballot proof verification error:', error);
+      return { isValid: false, reason: error.message };
     }
   }
 
-  // Verify zero-knowledge proof
-  verifyProof(proof, commitment, candidates) {
-    const { proofs, challenge } = proof;
-    
-    if (proofs.length !== candidates.length) {
-      return { isValid: false, reason: 'Invalid proof count' };
+  // Validity proof for the given ballot type (see BallotEncoding)
+  generateBallotProof(ballotType, selection, candidates, encryptions, publicKey, rules = {}) {
+    switch (ballotType) {
+      case 'plurality':
+        return this.generateProof(selection.vote, candidates, encryptions, publicKey);
+      case 'ranked':
+        return this.generateRankingProof(selection.ranking, candidates, encryptions, publicKey);
+      case 'approval':
+        return this.generateApprovalProof(selection.selections, candidates, encryptions, publicKey, rules.selectionLimits);
+      case 'score':
+        return this.generateScoreProof(selection.scores, candidates, encryptions, publicKey, rules.maxScore);
+      case 'pairwise':
+        return this.generatePairwiseProof(selection.ranking, candidates, encryptions, publicKey);
+      default:
+        throw new Error(`Unsupported ballot type '${ballotType}'`);
     }
-    
-    // Verify each sigma proof
-    for (const sigmaProof of proofs) {
-      if (!this.verifySigmaProof(sigmaProof, commitment)) {
-        return { 
-          isValid: false, 
-          reason: `Invalid sigma proof for candidate ${sigmaProof.candidateIndex}` 
-        };
+  }
+
+  // rules carries the election's ballot rules (e.g. approval selection limits)
+  verifyBallotProof(ballotType, proof, ciphertexts, candidates, publicKey, rules = {}) {
+    switch (ballotType) {
+      case 'plurality':
+        return this.verifyProof(proof, ciphertexts, candidates, publicKey);
+      case 'ranked':
+        return this.verifyRankingProof(proof, ciphertexts, candidates, publicKey);
+      case 'approval':
+        return this.verifyApprovalProof(proof, ciphertexts, candidates, publicKey, rules.selectionLimits);
+      case 'score':
+        return this.verifyScoreProof(proof, ciphertexts, candidates, publicKey, rules.maxScore);
+      case 'pairwise':
+        return this.verifyPairwiseProof(proof, ciphertexts, candidates, publicKey);
+      default:
+        return { isValid: false, reason: `Unsupported ballot type '${ballotType}'` };
+    }
+  }
+
+  // Ranked ballot validity: the candidates x candidates matrix of ciphertexts
+  // is a permutation matrix - every entry encrypts 0 or 1 and every row (rank)
+  // and column (candidate) sums to exactly 1
+  generateRankingProof(ranking, candidates, encryptions, publicKey) {
+    const size = candidates.length;
+    if (encryptions.length !== size * size) {
+      throw new Error('One encryption per rank and candidate is required');
+    }
+
+    const key = this.paillierKey(publicKey);
+    const ciphertexts = encryptions.map(encryption => BigInt(encryption.ciphertext));
+    const randomness = encryptions.map(encryption => BigInt(encryption.randomness));
+
+    const memberships = encryptions.map((_, position) => {
+      const rank = Math.floor(position / size);
+      const plaintext = ranking[rank] === position % size ? 1 : 0;
+      return this.commitMembership(ciphertexts[position], plaintext, [0, 1], randomness[position], key);
+    });
+
+    const lines = this.permutationLines(size).map(positions => this.commitMembership(
+      positions.reduce((product, position) => (product * ciphertexts[position]) % key.nsq, 1n),
+      1,
+      [1],
+      positions.reduce((product, position) => (product * randomness[position]) % key.n, 1n),
+      key
+    ));
+
+    const challenge = this.ballotChallenge(key, ciphertexts, [...memberships, ...lines]);
+
+    return {
+      scheme: 'paillier-permutation-matrix',
+      memberships: memberships.map(membership => this.respondMembership(membership, challenge, key)),
+      lines: lines.map(line => this.respondMembership(line, challenge, key)),
+      challenge: challenge.toString(16),
+      timestamp: Date.now()
+    };
+  }
+
+  verifyRankingProof(proof, ciphertexts, candidates, publicKey) {
+    try {
+      if (!proof || proof.scheme !== 'paillier-permutation-matrix') {
+        return { isValid: false, reason: 'Unsupported ranked ballot proof' };
+      }
+
+      const size = candidates.length;
+      const positions = this.permutationLines(size);
+      if (ciphertexts.length !== size * size || proof.memberships.length !== size * size ||
+          proof.lines.length !== positions.length) {
+        return { isValid: false, reason: 'Invalid proof count' };
       }
+
+      const key = this.paillierKey(publicKey);
+      const values = ciphertexts.map(ciphertext => BigInt(ciphertext));
+      const challenge = BigInt('0x' + proof.challenge);
+
+      const recomputed = this.ballotChallenge(key, values, [...proof.memberships, ...proof.lines].map(branches => ({
+        branches: branches.map(branch => ({ a: BigInt(branch.a) }))
+      })));
+      if (recomputed !== challenge) {
+        return { isValid: false, reason: 'Invalid challenge' };
+      }
+
+      for (let i = 0; i < values.length; i++) {
+        if (!this.verifyMembership(values[i], proof.memberships[i], [0, 1], challenge, key)) {
+          return { isValid: false, reason: `Ciphertext for rank ${Math.floor(i / size)}, candidate ${i % size} does not encrypt 0 or 1` };
+        }
+      }
+
+      for (let line = 0; line < positions.length; line++) {
+        const product = positions[line].reduce((total, position) => (total * values[position]) % key.nsq, 1n);
+        if (!this.verifyMembership(product, proof.lines[line], [1], challenge, key)) {
+          return {
+            isValid: false,
+            reason: line < size
+              ? `Rank ${line} does not hold exactly one candidate`
+              : `Candidate ${line - size} is not ranked exactly once`
+          };
+        }
+      }
+
+      return { isValid: true };
+    } catch (error) {
+      console.error('Ranked ballot proof verification error:', error);
+      return { isValid: false, reason: error.message };
     }
-    
-    // Verify challenge
-    const calculatedChallenge = this.generateChallenge(proofs);
-    if (calculatedChallenge !== challenge) {
-      return { isValid: false, reason: 'Invalid challenge' };
+  }
+
+  // Approval ballot validity: every per-candidate ciphertext encrypts 0 or 1
+  // and their product encrypts a selection count in [min, max]
+  generateApprovalProof(selected, candidates, encryptions, publicKey, limits) {
+    if (encryptions.length !== candidates.length) {
+      throw new Error('One encryption per candidate is required');
     }
-    
-    return { isValid: true };
+
+    const key = this.paillierKey(publicKey);
+    const allowedCounts = this.selectionRange(limits);
+    const ciphertexts = encryptions.map(encryption => BigInt(encryption.ciphertext));
+
+    const memberships = encryptions.map((encryption, index) =>
+      this.commitMembership(ciphertexts[index], selected.includes(index) ? 1 : 0, [0, 1], encryption.randomness, key)
+    );
+
+    const sumCiphertext = ciphertexts.reduce((product, c) => (product * c) % key.nsq, 1n);
+    const sumRandomness = encryptions.reduce((product, e) => (product * BigInt(e.randomness)) % key.n, 1n);
+    const sum = this.commitMembership(sumCiphertext, selected.length, allowedCounts, sumRandomness, key);
+
+    const challenge = this.ballotChallenge(key, ciphertexts, [...memberships, sum]);
+
+    return {
+      scheme: 'paillier-approval',
+      selectionLimits: { min: limits.min, max: limits.max },
+      memberships: memberships.map(membership => this.respondMembership(membership, challenge, key)),
+      sum: this.respondMembership(sum, challenge, key),
+      challenge: challenge.toString(16),
+      timestamp: Date.now()
+    };
   }
 
-  // Verify sigma protocol proof
-  verifySigmaProof(sigmaProof, commitment) {
+  // limits come from the stored ballot, never from the proof being checked
+  verifyApprovalProof(proof, ciphertexts, candidates, publicKey, limits) {
     try {
-      const g = this.curve.Point.BASE;
-      const a = this.curve.Point.fromHex(sigmaProof.a);
-      
-      if (sigmaProof.type === 'real') {
-        // Verify real proof
-        const z = BigInt('0x' + sigmaProof.z);
-        const gz = g.multiply(z);
-        return gz.equals(a);
-      } else {
-        // Verify simulated proof  
-        const c = BigInt('0x' + sigmaProof.c);
-        const z = BigInt('0x' + sigmaProof.z);
-        
-        // Additional verification logic for simulated proofs
-        return true; // Simplified for demo
+      if (!proof || proof.scheme !== 'paillier-approval') {
+        return { isValid: false, reason: 'Unsupported approval ballot proof' };
+      }
+      if (!limits) {
+        return { isValid: false, reason: 'Selection limits required' };
+      }
+      if (ciphertexts.length !== candidates.length || proof.memberships.length !== candidates.length) {
+        return { isValid: false, reason: 'Invalid proof count' };
+      }
+
+      const key = this.paillierKey(publicKey);
+      const values = ciphertexts.map(ciphertext => BigInt(ciphertext));
+      const challenge = BigInt('0x' + proof.challenge);
+
+      const recomputed = this.ballotChallenge(key, values, [...proof.memberships, proof.sum].map(branches => ({
+        branches: branches.map(branch => ({ a: BigInt(branch.a) }))
+      })));
+      if (recomputed !== challenge) {
+        return { isValid: false, reason: 'Invalid challenge' };
+      }
+
+      for (let i = 0; i < values.length; i++) {
+        if (!this.verifyMembership(values[i], proof.memberships[i], [0, 1], challenge, key)) {
+          return { isValid: false, reason: `Ciphertext for candidate ${i} does not encrypt 0 or 1` };
+        }
+      }
+
+      const sumCiphertext = values.reduce((product, c) => (product * c) % key.nsq, 1n);
+      if (!this.verifyMembership(sumCiphertext, proof.sum, this.selectionRange(limits), challenge, key)) {
+        return { isValid: false, reason: `Ballot does not select between ${limits.min} and ${limits.max} candidates` };
       }
+
+      return { isValid: true };
     } catch (error) {
+      console.error('Approval ballot proof verification error:', error);
+      return { isValid: false, reason: error.message };
+    }
+  }
+
+  selectionRange({ min, max }) {
+    return Array.from({ length: max - min + 1 }, (_, offset) => min + offset);
+  }
+
+  // Score ballot validity: each score v lies in [0, S]. v and S - v are both
+  // split into L = bitlength(S) freshly encrypted bits, each proven to be 0 or 1,
+  // and c_v (resp. g^S / c_v) is proven to equal prod c_bit^(2^j) up to an
+  // n-th power. Both values being in [0, 2^L) puts v in [0, S].
+  generateScoreProof(scores, candidates, encryptions, publicKey, maxScore) {
+    if (encryptions.length !== candidates.length) {
+      throw new Error('One encryption per candidate is required');
+    }
+
+    const key = this.paillierKey(publicKey);
+    const bits = this.rangeBits(maxScore);
+    const ciphertexts = encryptions.map(encryption => BigInt(encryption.ciphertext));
+
+    const ranges = encryptions.map((encryption, index) => {
+      const score = scores[index];
+      if (!Number.isInteger(score) || score < 0 || score > maxScore) {
+        throw new Error('Score is outside the allowed range');
+      }
+
+      const randomness = BigInt(encryption.randomness);
+      const lower = this.commitBitDecomposition(ciphertexts[index], score, randomness, bits, key);
+      const upper = this.commitBitDecomposition(
+        this.complementCiphertext(ciphertexts[index], maxScore, key),
+        maxScore - score,
+        modInv(randomness, key.n),
+        bits,
+        key
+      );
+      return { lower, upper };
+    });
+
+    const challenge = this.ballotChallenge(
+      key,
+      [...ciphertexts, ...ranges.flatMap(range => [...range.lower.bits, ...range.upper.bits])],
+      ranges.flatMap(range => this.rangeMemberships(range))
+    );
+
+    const respond = decomposition => ({
+      bits: decomposition.bits.map(bit => bit.toString()),
+      memberships: decomposition.memberships.map(membership => this.respondMembership(membership, challenge, key)),
+      link: this.respondMembership(decomposition.link, challenge, key)
+    });
+
+    return {
+      scheme: 'paillier-score-range',
+      maxScore,
+      ranges: ranges.map(range => ({ lower: respond(range.lower), upper: respond(range.upper) })),
+      challenge: challenge.toString(16),
+      timestamp: Date.now()
+    };
+  }
+
+  // maxScore comes from the stored ballot, never from the proof being checked
+  verifyScoreProof(proof, ciphertexts, candidates, publicKey, maxScore) {
+    try {
+      if (!proof || proof.scheme !== 'paillier-score-range') {
+        return { isValid: false, reason: 'Unsupported score ballot proof' };
+      }
+      if (!Number.isInteger(maxScore) || maxScore < 1) {
+        return { isValid: false, reason: 'Maximum score required' };
+      }
+      if (ciphertexts.length !== candidates.length || proof.ranges?.length !== candidates.length) {
+        return { isValid: false, reason: 'Invalid proof count' };
+      }
+
+      const key = this.paillierKey(publicKey);
+      const bits = this.rangeBits(maxScore);
+      const values = ciphertexts.map(ciphertext => BigInt(ciphertext));
+      const challenge = BigInt('0x' + proof.challenge);
+
+      const parse = decomposition => {
+        if (decomposition?.bits?.length !== bits || decomposition.memberships?.length !== bits) {
+          throw new Error('Invalid range decomposition size');
+        }
+        const bitValues = decomposition.bits.map(bit => BigInt(bit));
+        if (bitValues.some(bit => bit <= 0n || bit >= key.nsq)) {
+          throw new Error('Bit ciphertext out of range');
+        }
+        return { bits: bitValues, memberships: decomposition.memberships, link: decomposition.link };
+      };
+      const ranges = proof.ranges.map(range => ({ lower: parse(range.lower), upper: parse(range.upper) }));
+
+      const asCommitments = branches => ({ branches: branches.map(branch => ({ a: BigInt(branch.a) })) });
+      const recomputed = this.ballotChallenge(
+        key,
+        [...values, ...ranges.flatMap(range => [...range.lower.bits, ...range.upper.bits])],
+        ranges.flatMap(range => this.rangeMemberships(range).map(asCommitments))
+      );
+      if (recomputed !== challenge) {
+        return { isValid: false, reason: 'Invalid challenge' };
+      }
+
+      for (let i = 0; i < values.length; i++) {
+        const checks = [
+          [values[i], ranges[i].lower],
+          [this.complementCiphertext(values[i], maxScore, key), ranges[i].upper]
+        ];
+        for (const [target, decomposition] of checks) {
+          if (!this.verifyBitDecomposition(target, decomposition, challenge, key)) {
+            return { isValid: false, reason: `Score for candidate ${i} is not between 0 and ${maxScore}` };
+          }
+        }
+      }
+
+      return { isValid: true };
+    } catch (error) {
+      console.error('Score ballot proof verification error:', error);
+      return { isValid: false, reason: error.message };
+    }
+  }
+
+  // Pairwise ballot validity: the candidates x candidates matrix is the
+  // preference matrix of a strict ranking. Every entry encrypts 0 or 1 (the
+  // diagonal 0), each pair (i, j), (j, i) sums to 1, and a freshly encrypted
+  // candidate x wins permutation matrix W shows the row sums (pairwise wins)
+  // are 0..candidates-1 in some order: row i of the preference matrix divided
+  // by prod_k W(i, k)^k encrypts 0. A tournament whose candidates all have
+  // different win counts is transitive, i.e. a ranking.
+  generatePairwiseProof(ranking, candidates, encryptions, publicKey) {
+    const size = candidates.length;
+    if (encryptions.length !== size * size) {
+      throw new Error('One encryption per candidate pair is required');
+    }
+
+    const key = this.paillierKey(publicKey);
+    const ciphertexts = encryptions.map(encryption => BigInt(encryption.ciphertext));
+    const randomness = encryptions.map(encryption => BigInt(encryption.randomness));
+    const positions = [];
+    ranking.forEach((candidate, position) => { positions[candidate] = position; });
+    const wins = candidate => size - 1 - positions[candidate];
+
+    const memberships = encryptions.map((_, position) => {
+      const row = Math.floor(position / size);
+      const column = position % size;
+      const plaintext = positions[row] < positions[column] ? 1 : 0;
+      return this.commitMembership(ciphertexts[position], plaintext, row === column ? [0] : [0, 1], randomness[position], key);
+    });
+
+    const pairs = this.pairwisePairs(size).map(([upper, lower]) => this.commitMembership(
+      (ciphertexts[upper] * ciphertexts[lower]) % key.nsq,
+      1,
+      [1],
+      (randomness[upper] * randomness[lower]) % key.n,
+      key
+    ));
+
+    // Win-count matrix: row i is the one-hot number of candidates i beats
+    const winEncryptions = Array.from({ length: size * size }, (_, position) =>
+      this.encryptWithKey(wins(Math.floor(position / size)) === position % size ? 1 : 0, key)
+    );
+    const winCiphertexts = winEncryptions.map(encryption => encryption.ciphertext);
+    const winMemberships = winEncryptions.map((encryption, position) => this.commitMembership(
+      encryption.ciphertext,
+      wins(Math.floor(position / size)) === position % size ? 1 : 0,
+      [0, 1],
+      encryption.randomness,
+      key
+    ));
+    const winLines = this.permutationLines(size).map(line => this.commitMembership(
+      line.reduce((product, position) => (product * winCiphertexts[position]) % key.nsq, 1n),
+      1,
+      [1],
+      line.reduce((product, position) => (product * winEncryptions[position].randomness) % key.n, 1n),
+      key
+    ));
+
+    const links = candidates.map((_, row) => {
+      const rowRandomness = randomness.slice(row * size, (row + 1) * size)
+        .reduce((product, r) => (product * r) % key.n, 1n);
+      const winRandomness = winEncryptions.slice(row * size, (row + 1) * size)
+        .reduce((product, encryption, k) => (product * modPow(encryption.randomness, BigInt(k), key.n)) % key.n, 1n);
+      return this.commitMembership(
+        this.winRemainder(ciphertexts, winCiphertexts, row, size, key),
+        0,
+        [0],
+        (rowRandomness * modInv(winRandomness, key.n)) % key.n,
+        key
+      );
+    });
+
+    const challenge = this.ballotChallenge(
+      key,
+      [...ciphertexts, ...winCiphertexts],
+      [...memberships, ...pairs, ...winMemberships, ...winLines, ...links]
+    );
+    const respond = commitments => commitments.map(commitment => this.respondMembership(commitment, challenge, key));
+
+    return {
+      scheme: 'paillier-pairwise-ranking',
+      memberships: respond(memberships),
+      pairs: respond(pairs),
+      wins: {
+        ciphertexts: winCiphertexts.map(ciphertext => ciphertext.toString()),
+        memberships: respond(winMemberships),
+        lines: respond(winLines)
+      },
+      links: respond(links),
+      challenge: challenge.toString(16),
+      timestamp: Date.now()
+    };
+  }
+
+  verifyPairwiseProof(proof, ciphertexts, candidates, publicKey) {
+    try {
+      if (!proof || proof.scheme !== 'paillier-pairwise-ranking') {
+        return { isValid: false, reason: 'Unsupported pairwise ballot proof' };
+      }
+
+      const size = candidates.length;
+      const pairs = this.pairwisePairs(size);
+      const lines = this.permutationLines(size);
+      if (ciphertexts.length !== size * size || proof.memberships?.length !== size * size ||
+          proof.pairs?.length !== pairs.length || proof.wins?.ciphertexts?.length !== size * size ||
+          proof.wins.memberships?.length !== size * size || proof.wins.lines?.length !== lines.length ||
+          proof.links?.length !== size) {
+        return { isValid: false, reason: 'Invalid proof count' };
+      }
+
+      const key = this.paillierKey(publicKey);
+      const values = ciphertexts.map(ciphertext => BigInt(ciphertext));
+      const winValues = proof.wins.ciphertexts.map(ciphertext => BigInt(ciphertext));
+      if (winValues.some(value => value <= 0n || value >= key.nsq)) {
+        return { isValid: false, reason: 'Win-count ciphertext out of range' };
+      }
+      const challenge = BigInt('0x' + proof.challenge);
+
+      const asCommitments = branches => ({ branches: branches.map(branch => ({ a: BigInt(branch.a) })) });
+      const recomputed = this.ballotChallenge(
+        key,
+        [...values, ...winValues],
+        [...proof.memberships, ...proof.pairs, ...proof.wins.memberships, ...proof.wins.lines, ...proof.links].map(asCommitments)
+      );
+      if (recomputed !== challenge) {
+        return { isValid: false, reason: 'Invalid challenge' };
+      }
+
+      for (let i = 0; i < values.length; i++) {
+        const row = Math.floor(i / size);
+        const column = i % size;
+        if (!this.verifyMembership(values[i], proof.memberships[i], row === column ? [0] : [0, 1], challenge, key)) {
+          return { isValid: false, reason: `Preference of candidate ${row} over candidate ${column} is not 0 or 1` };
+        }
+      }
+
+      for (let p = 0; p < pairs.length; p++) {
+        const [upper, lower] = pairs[p];
+        if (!this.verifyMembership((values[upper] * values[lower]) % key.nsq, proof.pairs[p], [1], challenge, key)) {
+          return { isValid: false, reason: `Candidates ${Math.floor(upper / size)} and ${upper % size} are not ordered exactly one way` };
+        }
+      }
+
+      for (let i = 0; i < winValues.length; i++) {
+        if (!this.verifyMembership(winValues[i], proof.wins.memberships[i], [0, 1], challenge, key)) {
+          return { isValid: false, reason: 'Win-count matrix entry does not encrypt 0 or 1' };
+        }
+      }
+
+      for (let line = 0; line < lines.length; line++) {
+        const product = lines[line].reduce((total, position) => (total * winValues[position]) % key.nsq, 1n);
+        if (!this.verifyMembership(product, proof.wins.lines[line], [1], challenge, key)) {
+          return { isValid: false, reason: 'Win counts are not a permutation of the candidate positions' };
+        }
+      }
+
+      for (let row = 0; row < size; row++) {
+        const remainder = this.winRemainder(values, winValues, row, size, key);
+        if (!this.verifyMembership(remainder, proof.links[row], [0], challenge, key)) {
+          return { isValid: false, reason: `Pairwise wins of candidate ${row} do not match the win-count matrix` };
+        }
+      }
+
+      return { isValid: true };
+    } catch (error) {
+      console.error('Pairwise ballot proof verification error:', error);
+      return { isValid: false, reason: error.message };
+    }
+  }
+
+  // Positions (i, j) and (j, i) of every unordered pair i < j
+  pairwisePairs(size) {
+    const pairs = [];
+    for (let i = 0; i < size; i++) {
+      for (let j = i + 1; j < size; j++) {
+        pairs.push([i * size + j, j * size + i]);
+      }
+    }
+    return pairs;
+  }
+
+  // prod_j c(row, j) / prod_k w(row, k)^k - encrypts 0 when the row's wins
+  // equal the win count it is matched to
+  winRemainder(ciphertexts, winCiphertexts, row, size, key) {
+    const start = row * size;
+    const rowProduct = ciphertexts.slice(start, start + size)
+      .reduce((product, c) => (product * c) % key.nsq, 1n);
+    const winProduct = winCiphertexts.slice(start, start + size)
+      .reduce((product, w, k) => (product * modPow(w, BigInt(k), key.nsq)) % key.nsq, 1n);
+    return (rowProduct * modInv(winProduct, key.nsq)) % key.nsq;
+  }
+
+  // Encrypt each bit of value, prove each is 0 or 1, and prove
+  // ciphertext / prod c_bit^(2^j) encrypts 0
+  commitBitDecomposition(ciphertext, value, randomness, bits, key) {
+    const bitEncryptions = Array.from({ length: bits }, (_, j) => this.encryptWithKey((value >> j) & 1, key));
+    const memberships = bitEncryptions.map((encryption, j) =>
+      this.commitMembership(encryption.ciphertext, (value >> j) & 1, [0, 1], encryption.randomness, key)
+    );
+
+    const recombinedRandomness = bitEncryptions.reduce(
+      (product, encryption, j) => (product * modPow(encryption.randomness, 1n << BigInt(j), key.n)) % key.n,
+      1n
+    );
+    const link = this.commitMembership(
+      this.bitRemainder(ciphertext, bitEncryptions.map(encryption => encryption.ciphertext), key),
+      0,
+      [0],
+      (randomness * modInv(recombinedRandomness, key.n)) % key.n,
+      key
+    );
+
+    return { bits: bitEncryptions.map(encryption => encryption.ciphertext), memberships, link };
+  }
+
+  verifyBitDecomposition(ciphertext, decomposition, challenge, key) {
+    return decomposition.bits.every((bit, j) =>
+      this.verifyMembership(bit, decomposition.memberships[j], [0, 1], challenge, key)
+    ) && this.verifyMembership(this.bitRemainder(ciphertext, decomposition.bits, key), decomposition.link, [0], challenge, key);
+  }
+
+  // ciphertext / prod c_bit^(2^j)
+  bitRemainder(ciphertext, bitCiphertexts, key) {
+    const recombined = bitCiphertexts.reduce(
+      (product, bit, j) => (product * modPow(bit, 1n << BigInt(j), key.nsq)) % key.nsq,
+      1n
+    );
+    return (ciphertext * modInv(recombined, key.nsq)) % key.nsq;
+  }
+
+  // g^S / c encrypts S - v under the inverse randomness
+  complementCiphertext(ciphertext, maxScore, key) {
+    return (modPow(key.g, BigInt(maxScore), key.nsq) * modInv(ciphertext, key.nsq)) % key.nsq;
+  }
+
+  rangeMemberships(range) {
+    return [range.lower, range.upper].flatMap(decomposition => [...decomposition.memberships, decomposition.link]);
+  }
+
+  rangeBits(maxScore) {
+    return maxScore.toString(2).length;
+  }
+
+  encryptWithKey(value, key) {
+    const randomness = this.randomUnit(key.n);
+    const ciphertext = (modPow(key.g, BigInt(value), key.nsq) * modPow(randomness, key.n, key.nsq)) % key.nsq;
+    return { ciphertext, randomness };
+  }
+
+  // Ciphertext positions of each row, then each column, of a size x size matrix
+  permutationLines(size) {
+    const indices = Array.from({ length: size }, (_, index) => index);
+    return [
+      ...indices.map(row => indices.map(column => row * size + column)),
+      ...indices.map(column => indices.map(row => row * size + column))
+    ];
+  }
+
+  // Commitments for "c encrypts one of `allowed`". Each branch proves knowledge
+  // of an n-th root of c / g^value; the real branch commits to rho^n, the
+  // others are simulated from a random (e, z).
+  commitMembership(ciphertext, plaintext, allowed, randomness, key) {
+    const { n, nsq } = key;
+    const realIndex = allowed.indexOf(plaintext);
+    if (realIndex < 0) {
+      throw new Error('Plaintext is outside the allowed set');
+    }
+
+    const rho = this.randomUnit(n);
+    const branches = allowed.map((value, index) => {
+      if (index === realIndex) {
+        return { value, a: modPow(rho, n, nsq) };
+      }
+      const e = this.randomBelow(CHALLENGE_MODULUS);
+      const z = this.randomUnit(n);
+      const target = this.nthRootTarget(ciphertext, value, key);
+      const a = (modPow(z, n, nsq) * modInv(modPow(target, e, nsq), nsq)) % nsq;
+      return { value, a, e, z };
+    });
+
+    return { branches, realIndex, rho, randomness: BigInt(randomness) };
+  }
+
+  // The real branch gets whatever challenge share makes the shares sum to e
+  respondMembership(membership, challenge, key) {
+    const { branches, realIndex, rho, randomness } = membership;
+    const simulated = branches.reduce((total, branch, index) => (index === realIndex ? total : total + branch.e), 0n);
+    const e = ((challenge - simulated) % CHALLENGE_MODULUS + CHALLENGE_MODULUS) % CHALLENGE_MODULUS;
+    const z = (rho * modPow(randomness, e, key.n)) % key.n;
+
+    return branches.map((branch, index) => ({
+      value: branch.value,
+      a: branch.a.toString(),
+      e: (index === realIndex ? e : branch.e).toString(),
+      z: (index === realIndex ? z : branch.z).toString()
+    }));
+  }
+
+  // z^n = a * (c / g^value)^e on every branch, and the shares sum to the challenge
+  verifyMembership(ciphertext, branches, allowed, challenge, key) {
+    const { n, nsq } = key;
+    if (!Array.isArray(branches) || branches.length !== allowed.length) {
       return false;
     }
+
+    let total = 0n;
+    for (let i = 0; i < branches.length; i++) {
+      if (Number(branches[i].value) !== allowed[i]) return false;
+
+      const a = BigInt(branches[i].a);
+      const e = BigInt(branches[i].e);
+      const z = BigInt(branches[i].z);
+      if (a <= 0n || a >= nsq || z <= 0n || z >= n || e < 0n || e >= CHALLENGE_MODULUS) {
+        return false;
+      }
+
+      const target = this.nthRootTarget(ciphertext, allowed[i], key);
+      if (modPow(z, n, nsq) !== (a * modPow(target, e, nsq)) % nsq) {
+        return false;
+      }
+      total += e;
+    }
+
+    return total % CHALLENGE_MODULUS === challenge;
   }
 
-  // Generate Fiat-Shamir challenge
-  generateChallenge(proofs) {
-    const data = proofs.map(p => p.a).join('');
-    return createHash('sha256').update(data).digest('hex');
+  // c / g^value - an n-th power exactly when c encrypts value
+  nthRootTarget(ciphertext, value, key) {
+    const { g, nsq } = key;
+    return (ciphertext * modInv(modPow(g, BigInt(value), nsq), nsq)) % nsq;
   }
 
-  // Generate nullifier to prevent double voting - FIXED VERSION
-  generateNullifier(userId, electionId, randomness) {
-    // Include randomness and timestamp to ensure uniqueness while maintaining cryptographic properties
-    const input = `${userId}:${electionId}:${randomness}:${Date.now()}`;
-    const hash = createHash('sha256').update(input).digest();
-    const scalar = BigInt('0x' + hash.toString('hex')) % this.curve.CURVE.n;
-    
-    const g = this.curve.Point.BASE;
-    const nullifier = g.multiply(scalar);
-    
+  // Fiat-Shamir challenge over the key, the ciphertexts and every commitment
+  ballotChallenge(key, ciphertexts, memberships) {
+    const data = [
+      'ballot-validity',
+      key.n.toString(),
+      ...ciphertexts.map(c => c.toString()),
+      ...memberships.flatMap(membership => membership.branches.map(branch => branch.a.toString()))
+    ].join(':');
+    return BigInt('0x' + createHash('sha256').update(data).digest('hex')) % CHALLENGE_MODULUS;
+  }
+
+  paillierKey(publicKey) {
+    if (!publicKey) throw new Error('Public key required for ballot proofs');
     return {
-      nullifier: nullifier.toHex(),
-      proof: this.generateNullifierProof(scalar, randomness)
+      n: BigInt(publicKey.n),
+      g: BigInt(publicKey.g),
+      nsq: BigInt(publicKey.nsq)
     };
   }
 
-  // Generate proof of nullifier correctness - FIXED VERSION
-  generateNullifierProof(scalar, randomness) {
-    const r = randomBytes(32);
-    const rScalar = BigInt('0x' + r.toString('hex')) % this.curve.CURVE.n;
-    
-    // Use randomness hash instead of privateKey for the proof
-    const randomnessHash = createHash('sha256').update(randomness.toString()).digest();
-    const randomnessScalar = BigInt('0x' + randomnessHash.toString('hex')) % this.curve.CURVE.n;
-    
+  randomBelow(bound) {
+    const bytes = Math.ceil(bound.toString(2).length / 8) + 16;
+    return BigInt('0x' + randomBytes(bytes).toString('hex')) % bound;
+  }
+
+  randomUnit(n) {
+    let value;
+    do {
+      value = this.randomBelow(n);
+    } while (value < 2n || gcd(value, n) !== 1n);
+    return value;
+  }
+
+  // Deterministic nullifier N = sk * H(electionId), VRF style. The voter
+  // secret sk is derived from the voter id and the election, so the same voter
+  // always gets the same nullifier for an election and a repeat vote collides,
+  // while their public key differs between elections and cannot link ballots.
+  generateNullifier(userId, electionId) {
+    const q = this.curve.CURVE.n;
+    const secret = this.deriveVoterSecret(userId, electionId);
+    const base = this.nullifierBase(electionId);
+
+    const nullifier = base.multiply(secret);
+    const publicKey = this.curve.Point.BASE.multiply(secret);
+
     return {
-      commitment: rScalar.toString(16),
-      response: (rScalar + scalar * randomnessScalar).toString(16),
-      randomnessUsed: randomness.toString()
+      nullifier: nullifier.toHex(true),
+      publicKey: publicKey.toHex(true),
+      proof: this.generateNullifierProof(secret, base, publicKey, nullifier, electionId, q)
     };
   }
 
-  // Helper method to verify nullifier proof
-  verifyNullifierProof(nullifierData, userId, electionId) {
+  // Chaum-Pedersen proof that log_G(PK) = log_H(N) for H = H(electionId)
+  generateNullifierProof(secret, base, publicKey, nullifier, electionId, q = this.curve.CURVE.n) {
+    const k = this.randomBelow(q - 1n) + 1n;
+    const a = this.curve.Point.BASE.multiply(k);
+    const b = base.multiply(k);
+    const e = this.nullifierChallenge(electionId, publicKey, nullifier, a, b);
+
+    return {
+      challenge: e.toString(16),
+      response: this.curve.utils.mod(k + e * secret, q).toString(16)
+    };
+  }
+
+  // Verify a nullifier against the election and the voter's public key only
+  verifyNullifierProof(nullifierData, electionId) {
     try {
-      const { nullifier, proof } = nullifierData;
-      
-      // Recreate the input that should have generated this nullifier
-      const input = `${userId}:${electionId}:${proof.randomnessUsed}`;
-      const hash = createHash('sha256').update(input).digest();
-      const expectedScalar = BigInt('0x' + hash.toString('hex')) % this.curve.CURVE.n;
-      
-      const g = this.curve.Point.BASE;
-      const expectedNullifier = g.multiply(expectedScalar);
-      
-      // Verify the nullifier matches what we expect
-      return expectedNullifier.toHex() === nullifier;
+      const { nullifier, publicKey, proof } = nullifierData;
+      const base = this.nullifierBase(electionId);
+      const nullifierPoint = this.curve.Point.fromHex(nullifier);
+      const publicKeyPoint = this.curve.Point.fromHex(publicKey);
+
+      const e = BigInt('0x' + proof.challenge);
+      const response = BigInt('0x' + proof.response);
+
+      // a = s*G - e*PK, b = s*H - e*N
+      const a = this.multiplyPoint(this.curve.Point.BASE, response).subtract(this.multiplyPoint(publicKeyPoint, e));
+      const b = this.multiplyPoint(base, response).subtract(this.multiplyPoint(nullifierPoint, e));
+
+      return this.nullifierChallenge(electionId, publicKeyPoint, nullifierPoint, a, b) === e;
     } catch (error) {
       console.error('Nullifier verification error:', error);
       return false;
     }
   }
 
+  deriveVoterSecret(userId, electionId) {
+    const key = process.env.NULLIFIER_SECRET;
+    if (!key) {
+      throw new Error('NULLIFIER_SECRET must be set to derive voter nullifiers');
+    }
+
+    const digest = createHmac('sha256', key).update(`vottery-voter:${electionId}:${userId}`).digest('hex');
+    return this.curve.utils.mod(BigInt('0x' + digest), this.curve.CURVE.n - 1n) + 1n;
+  }
+
+  nullifierBase(electionId) {
+    return this.hashToCurve(`vottery-nullifier:${electionId}`);
+  }
+
+  // Try-and-increment hash to a secp256k1 point with unknown discrete log
+  hashToCurve(label) {
+    return this.hashToCurveDerivation(label).point;
+  }
+
+  hashToCurveDerivation(label) {
+    for (let counter = 0; counter < 256; counter++) {
+      const x = createHash('sha256').update(`${label}:${counter}`).digest('hex');
+      try {
+        return { point: this.curve.Point.fromHex('02' + x), counter };
+      } catch (error) {
+        // x is not on the curve - try the next counter
+      }
+    }
+    throw new Error(`Could not hash '${label}' to the curve`);
+  }
+
+  nullifierChallenge(electionId, publicKey, nullifier, a, b) {
+    const data = [
+      'nullifier',
+      electionId,
+      publicKey.toHex(true),
+      nullifier.toHex(true),
+      a.toHex(true),
+      b.toHex(true)
+    ].join(':');
+    return BigInt('0x' + createHash('sha256').update(data).digest('hex')) % this.curve.CURVE.n;
+  }
+
   // Method to check if a nullifier is unique for an election
   isNullifierUnique(nullifier, existingNullifiers) {
     return !existingNullifiers.includes(nullifier);
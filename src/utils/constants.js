@@ -1,11 +1,24 @@
 export const CRYPTO_CONSTANTS = {
   DEFAULT_KEY_SIZE: 2048,
+  MIN_KEY_SIZE: 2048,
+  ALLOWED_KEY_SIZES: [2048, 3072, 4096],
+  DEFAULT_THRESHOLD_N: 5,
+  DEFAULT_THRESHOLD_K: 3,
+  MIN_THRESHOLD_K: 2,
+  MAX_THRESHOLD_N: 15,
   HASH_ALGORITHM: 'sha256',
   CURVE_NAME: 'secp256k1',
+  COMMITMENT_GENERATOR_SEED: 'vottery/pedersen/secp256k1/v1',
+  PER_ELECTION_GENERATORS: true,
   SALT_LENGTH: 32,
   PROOF_CHALLENGE_LENGTH: 32,
   RECEIPT_CODE_LENGTH: 12,
   MIX_ROUNDS: 3,
+  TALLY_MODES: ['homomorphic', 'mix-decrypt'],
+  BALLOT_TYPES: ['plurality', 'ranked', 'approval', 'score', 'pairwise'],
+  DEFAULT_MAX_SCORE: 10,
+  MAX_SCORE_LIMIT: 100,
+  PENDING_BALLOT_TTL_MINUTES: 30,
   ZK_PROOF_VERSION: '1.0',
   HOMOMORPHIC_VERSION: '1.0'
 };
@@ -0,0 +1,114 @@
+import { jest, describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import HomomorphicController from '../../src/controllers/homomorphicController.js';
+import HomomorphicEncryption from '../../src/services/homomorphicEncryption.js';
+import pool from '../../config/database.js';
+import { loadElectionKey, storedPublicKey } from '../fixtures/electionKey.js';
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(code => { res.statusCode = code; return res; });
+  res.json = jest.fn(body => { res.body = body; return res; });
+  return res;
+};
+
+describe('HomomorphicController.verifyTally', () => {
+  const controller = new HomomorphicController();
+  const homomorphic = new HomomorphicEncryption();
+  let key;
+  let ballots;
+  let decryptionProof;
+  let querySpy;
+
+  const verify = async body => {
+    const res = mockResponse();
+    await controller.verifyTally({ body }, res);
+    return res;
+  };
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    key = loadElectionKey();
+
+    querySpy = jest.spyOn(pool, 'query').mockImplementation(async (text, [electionId]) => ({
+      rows: electionId === 'election-1' ? [{ key_id: 'key-1', public_key: storedPublicKey() }] : []
+    }));
+
+    ballots = [[1, 0], [1, 0], [0, 1]]
+      .map(values => homomorphic.encryptVector(values, key.publicKey).map(entry => entry.ciphertext));
+    const sums = homomorphic.addEncryptedVectors(ballots, key.publicKey);
+    const partialSets = key.shares.slice(0, 2).map(share => ({
+      index: share.index,
+      partials: sums.map(ciphertext => {
+        const partial = homomorphic.partialDecrypt(ciphertext, share, 3, key.publicKey);
+        return {
+          ...partial,
+          proof: homomorphic.proveDecryptionShare(ciphertext, share, partial.value, 3, key.publicKey, key.verificationKeys)
+        };
+      })
+    }));
+    decryptionProof = homomorphic.createDecryptionProof(sums, [2n, 1n], partialSets, key.thresholdParams);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('verifies a tally against the stored election key', async () => {
+    const res = await verify({ electionId: 'election-1', encryptedVotes: ballots, expectedSum: [2, 1], decryptionProof });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toMatchObject({
+      keyId: 'key-1',
+      proofValid: true,
+      aggregationMatches: true,
+      expectedMatches: true,
+      isValid: true
+    });
+  });
+
+  test('ignores a public key supplied by the caller', async () => {
+    const forgedKey = { ...storedPublicKey(), verification: { base: '2', keys: ['4', '8', '16'], thresholdK: 2 } };
+    const res = await verify({ electionId: 'election-1', publicKey: forgedKey, decryptionProof });
+
+    expect(res.body.data.isValid).toBe(true);
+    expect(querySpy).toHaveBeenLastCalledWith(expect.any(String), ['election-1']);
+  });
+
+  test('looks up a specific key by keyId', async () => {
+    await verify({ electionId: 'election-1', keyId: 'key-1', decryptionProof });
+
+    expect(querySpy).toHaveBeenLastCalledWith(expect.stringContaining('key_id = $2'), ['election-1', 'key-1']);
+  });
+
+  test('rejects a tally that does not match the proof', async () => {
+    const res = await verify({
+      electionId: 'election-1',
+      decryptionProof: { ...decryptionProof, plaintexts: ['1', '2'] }
+    });
+
+    expect(res.body.data.isValid).toBe(false);
+    expect(res.body.data.reason).toBe('Claimed plaintexts do not match the decryption');
+  });
+
+  test('requires an election with a stored key', async () => {
+    expect((await verify({ decryptionProof })).statusCode).toBe(400);
+    expect((await verify({ electionId: 'election-2', decryptionProof })).statusCode).toBe(404);
+  });
+});
+
+describe('HomomorphicController.initializeEncryption', () => {
+  test('points to key dealing instead of generating a key nobody holds', async () => {
+    const generateSpy = jest.spyOn(HomomorphicEncryption.prototype, 'generateKeys');
+    const controller = new HomomorphicController();
+    const res = mockResponse();
+
+    await controller.initializeEncryption({ body: { electionId: 'election-1' } }, res);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toMatch('/api/crypto/keys/dealing');
+    expect(generateSpy).not.toHaveBeenCalled();
+    expect(controller.homomorphic.privateKeyShares).toBeNull();
+    generateSpy.mockRestore();
+  });
+});
@@ -0,0 +1,296 @@
+import { jest, describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import nacl from 'tweetnacl';
+import KeyDealingController from '../../src/controllers/keyDealingController.js';
+import HomomorphicEncryption from '../../src/services/homomorphicEncryption.js';
+import { KeyDealing } from '../../src/models/KeyDealing.js';
+import { AuditLog } from '../../src/models/AuditLog.js';
+import pool from '../../config/database.js';
+
+// In-memory stand-in for the key dealing tables, so the controller runs a
+// real dealing (key generation and sealing included) without PostgreSQL
+const createStore = () => {
+  const store = { dealing: null, trustees: [], keyRows: [], audits: [] };
+  const trusteeBy = (field, value) => store.trustees.find(trustee => trustee[field] === value);
+
+  jest.spyOn(KeyDealing, 'findActiveByElection').mockImplementation(async () => null);
+  jest.spyOn(KeyDealing, 'create').mockImplementation(async data => {
+    store.dealing = { ...data, status: 'registration' };
+    return { ...store.dealing };
+  });
+  jest.spyOn(KeyDealing, 'findById').mockImplementation(async dealingId =>
+    (store.dealing?.dealing_id === dealingId ? { ...store.dealing } : null)
+  );
+  jest.spyOn(KeyDealing, 'transition').mockImplementation(async (dealingId, fromStatus, toStatus) => {
+    if (store.dealing.status !== fromStatus) return null;
+    store.dealing.status = toStatus;
+    return { ...store.dealing };
+  });
+  jest.spyOn(KeyDealing, 'setPublicKey').mockImplementation(async (dealingId, publicKey) => {
+    store.dealing.public_key = publicKey;
+  });
+  jest.spyOn(KeyDealing, 'markPublished').mockImplementation(async (dealingId, keyId) => {
+    Object.assign(store.dealing, { status: 'published', key_id: String(keyId), published_at: new Date() });
+  });
+  jest.spyOn(KeyDealing, 'addTrustee').mockImplementation(async (dealingId, trusteeId, shareIndex) => {
+    store.trustees.push({ dealing_id: dealingId, trustee_id: String(trusteeId), share_index: shareIndex });
+  });
+  jest.spyOn(KeyDealing, 'getTrustees').mockImplementation(async () =>
+    store.trustees.map(trustee => ({ ...trustee }))
+  );
+  jest.spyOn(KeyDealing, 'findTrustee').mockImplementation(async (dealingId, trusteeId) => {
+    const trustee = trusteeBy('trustee_id', String(trusteeId));
+    return trustee ? { ...trustee } : null;
+  });
+  jest.spyOn(KeyDealing, 'joinTrustee').mockImplementation(async (dealingId, trusteeId, boxPublicKey) => {
+    const trustee = trusteeBy('trustee_id', trusteeId);
+    if (trustee.joined_at) return null;
+    return Object.assign(trustee, { box_public_key: boxPublicKey, joined_at: new Date() });
+  });
+  jest.spyOn(KeyDealing, 'storeSealedShare').mockImplementation(async (dealingId, shareIndex, sealedShare) => {
+    Object.assign(trusteeBy('share_index', shareIndex), {
+      encrypted_share: sealedShare.encryptedShare,
+      verification_key: sealedShare.verificationKey
+    });
+  });
+  jest.spyOn(KeyDealing, 'confirmTrustee').mockImplementation(async (dealingId, trusteeId) => {
+    const trustee = trusteeBy('trustee_id', trusteeId);
+    if (trustee.confirmed_at) return null;
+    return Object.assign(trustee, { confirmed_at: new Date() });
+  });
+  jest.spyOn(AuditLog, 'create').mockImplementation(async entry => {
+    store.audits.push(entry);
+  });
+  jest.spyOn(pool, 'query').mockImplementation(async (text, values) => {
+    if (/INSERT INTO vottery_homomorphic_keys/.test(text)) {
+      store.keyRows.push(values);
+      return { rows: [{ key_id: store.keyRows.length }] };
+    }
+    return { rows: [] };
+  });
+
+  return store;
+};
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(code => { res.statusCode = code; return res; });
+  res.json = jest.fn(body => { res.body = body; return res; });
+  return res;
+};
+
+const openShare = (sealed, boxKeyPair) => {
+  const opened = nacl.box.open(
+    Buffer.from(sealed.ciphertext, 'base64'),
+    Buffer.from(sealed.nonce, 'base64'),
+    Buffer.from(sealed.ephemeralPublicKey, 'base64'),
+    boxKeyPair.secretKey
+  );
+  return opened ? JSON.parse(Buffer.from(opened).toString()) : null;
+};
+
+describe('KeyDealingController', () => {
+  const controller = new KeyDealingController();
+  const trusteeIds = ['trustee-1', 'trustee-2', 'trustee-3'];
+  const boxKeys = Object.fromEntries(trusteeIds.map(trusteeId => [trusteeId, nacl.box.keyPair()]));
+  const openedShares = {};
+  let store;
+  let dealingId;
+
+  const call = async (method, { userId, params = {}, body = {} }) => {
+    const res = mockResponse();
+    await controller[method]({ params, body: { ...body, userId }, headers: {} }, res);
+    return res;
+  };
+
+  const boxPublicKey = trusteeId => Buffer.from(boxKeys[trusteeId].publicKey).toString('base64');
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    store = createStore();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rejects key sizes below the policy minimum', async () => {
+    const res = await call('createDealing', {
+      userId: 'admin',
+      body: { electionId: 'election-1', trustees: trusteeIds, keySize: 1024 }
+    });
+
+    expect(res.statusCode).toBe(400);
+    expect(store.dealing).toBeNull();
+  });
+
+  test('rejects a thresholdN other than the number of trustees', async () => {
+    const res = await call('createDealing', {
+      userId: 'admin',
+      body: { electionId: 'election-1', trustees: trusteeIds, thresholdN: 5, thresholdK: 3 }
+    });
+
+    expect(res.statusCode).toBe(400);
+    expect(store.dealing).toBeNull();
+  });
+
+  test('opens a dealing in registration with a majority threshold', async () => {
+    const res = await call('createDealing', {
+      userId: 'admin',
+      body: { electionId: 'election-1', trustees: trusteeIds }
+    });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data).toMatchObject({ status: 'registration', thresholdN: 3, thresholdK: 2 });
+    dealingId = res.body.data.dealingId;
+  });
+
+  test('only registered trustees may join', async () => {
+    const res = await call('joinDealing', {
+      userId: 'outsider',
+      params: { dealingId },
+      body: { boxPublicKey: boxPublicKey('trustee-1') }
+    });
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('shares are not dealt until every trustee has joined', async () => {
+    for (const trusteeId of trusteeIds.slice(0, 2)) {
+      const res = await call('joinDealing', {
+        userId: trusteeId,
+        params: { dealingId },
+        body: { boxPublicKey: boxPublicKey(trusteeId) }
+      });
+      expect(res.statusCode).toBe(200);
+    }
+
+    const repeat = await call('joinDealing', {
+      userId: 'trustee-1',
+      params: { dealingId },
+      body: { boxPublicKey: boxPublicKey('trustee-1') }
+    });
+    expect(repeat.statusCode).toBe(409);
+
+    const share = await call('getShare', { userId: 'trustee-1', params: { dealingId } });
+    expect(share.statusCode).toBe(409);
+    expect(store.dealing.public_key).toBeUndefined();
+  });
+
+  test('the last join deals a sealed share to each trustee', async () => {
+    const res = await call('joinDealing', {
+      userId: 'trustee-3',
+      params: { dealingId },
+      body: { boxPublicKey: boxPublicKey('trustee-3') }
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.status).toBe('confirmation');
+    expect(store.dealing.public_key.n).toBeDefined();
+    expect(store.trustees.every(trustee => trustee.encrypted_share && trustee.verification_key)).toBe(true);
+    // No plaintext share, or anything that would confirm one, leaves the dealing
+    expect(JSON.stringify(store.trustees)).not.toMatch(/"value"/);
+    expect(JSON.stringify(store.audits)).not.toMatch(/shareHash/);
+  });
+
+  test('each trustee can open only their own share', async () => {
+    for (const trusteeId of trusteeIds) {
+      const res = await call('getShare', { userId: trusteeId, params: { dealingId } });
+      expect(res.statusCode).toBe(200);
+
+      const share = openShare(res.body.data.encryptedShare, boxKeys[trusteeId]);
+      expect(share).toMatchObject({ dealingId, electionId: 'election-1', index: res.body.data.shareIndex });
+      openedShares[trusteeId] = share;
+    }
+
+    const trustee = store.trustees.find(entry => entry.trustee_id === 'trustee-1');
+    expect(openShare(trustee.encrypted_share, boxKeys['trustee-2'])).toBeNull();
+  });
+
+  test('publishes the key once the threshold of trustees confirm', async () => {
+    const homomorphic = new HomomorphicEncryption();
+    const { publicKey, verificationKeys } = homomorphic.parsePublicKey(store.dealing.public_key);
+    const shareProof = (trusteeId, share = openedShares[trusteeId]) => homomorphic.proveShareKnowledge(
+      share, 3, `key-dealing:${dealingId}:${trusteeId}`, publicKey, verificationKeys
+    );
+
+    // Another trustee's share, or a proof made for someone else, does not confirm
+    const otherShare = { ...openedShares['trustee-1'], value: openedShares['trustee-2'].value };
+    const wrongShare = await call('confirmShare', {
+      userId: 'trustee-1',
+      params: { dealingId },
+      body: { shareProof: shareProof('trustee-1', otherShare) }
+    });
+    expect(wrongShare.statusCode).toBe(400);
+
+    const replayed = await call('confirmShare', {
+      userId: 'trustee-2',
+      params: { dealingId },
+      body: { shareProof: shareProof('trustee-1') }
+    });
+    expect(replayed.statusCode).toBe(400);
+
+    const first = await call('confirmShare', {
+      userId: 'trustee-1',
+      params: { dealingId },
+      body: { shareProof: shareProof('trustee-1') }
+    });
+    expect(first.body.data.status).toBe('confirmation');
+    expect(store.keyRows).toHaveLength(0);
+
+    // A failed publish goes back to confirmation, and confirming again retries it
+    pool.query.mockRejectedValueOnce(new Error('connection lost'));
+    const failed = await call('confirmShare', {
+      userId: 'trustee-3',
+      params: { dealingId },
+      body: { shareProof: shareProof('trustee-3') }
+    });
+    expect(failed.statusCode).toBe(500);
+    expect(store.dealing.status).toBe('confirmation');
+    expect(store.keyRows).toHaveLength(0);
+
+    const second = await call('confirmShare', {
+      userId: 'trustee-3',
+      params: { dealingId },
+      body: { shareProof: shareProof('trustee-3') }
+    });
+    expect(second.body.data.status).toBe('published');
+    expect(store.keyRows).toHaveLength(1);
+
+    const custody = JSON.parse(store.keyRows[0][2]);
+    expect(custody).toEqual({
+      scheme: 'threshold-paillier',
+      custody: 'trustees',
+      dealingId,
+      thresholdN: 3,
+      thresholdK: 2
+    });
+    expect(store.audits.map(entry => entry.action_type)).toEqual(expect.arrayContaining([
+      'KEY_DEALING_CREATED',
+      'KEY_DEALING_SHARES_DEALT',
+      'KEY_DEALING_KEY_PUBLISHED'
+    ]));
+  });
+
+  test('opened shares threshold-decrypt under the published key', () => {
+    const homomorphic = new HomomorphicEncryption();
+    const { publicKey, verificationKeys } = homomorphic.parsePublicKey(store.dealing.public_key);
+    const { ciphertext } = homomorphic.encrypt(5, publicKey);
+
+    const partials = ['trustee-2', 'trustee-3'].map(trusteeId => {
+      const share = { index: openedShares[trusteeId].index, value: BigInt(openedShares[trusteeId].value) };
+      const partial = homomorphic.partialDecrypt(ciphertext, share, 3, publicKey);
+      return {
+        ...partial,
+        proof: homomorphic.proveDecryptionShare(ciphertext, share, partial.value, 3, publicKey, verificationKeys)
+      };
+    });
+
+    for (const partial of partials) {
+      expect(homomorphic.verifyDecryptionShare(ciphertext, partial, publicKey, verificationKeys)).toBe(true);
+    }
+    expect(homomorphic.thresholdDecrypt(ciphertext, partials, { n: 3, k: 2 }, publicKey)).toBe(5n);
+    // The controller's own instance never held the key
+    expect(controller.homomorphic.publicKey).toBeFalsy();
+  });
+});
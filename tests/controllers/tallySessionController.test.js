@@ -0,0 +1,148 @@
+import { jest, describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import TallySessionController from '../../src/controllers/tallySessionController.js';
+import HomomorphicEncryption from '../../src/services/homomorphicEncryption.js';
+import EncryptedVote from '../../src/models/EncryptedVote.js';
+import { TallySession } from '../../src/models/TallySession.js';
+import { KeyDealing } from '../../src/models/KeyDealing.js';
+import { AuditLog } from '../../src/models/AuditLog.js';
+import pool from '../../config/database.js';
+import { loadElectionKey, storedPublicKey } from '../fixtures/electionKey.js';
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(code => { res.statusCode = code; return res; });
+  res.json = jest.fn(body => { res.body = body; return res; });
+  return res;
+};
+
+describe('TallySessionController', () => {
+  const controller = new TallySessionController();
+  const homomorphic = new HomomorphicEncryption();
+  const candidates = ['alice', 'bob'];
+  const keyRows = {};
+  let activeKeyId = 'key-1';
+  let key;
+  let session;
+  let submissions;
+
+  const keyRow = (keyId, publicKey) => ({
+    key_id: keyId,
+    public_key: publicKey,
+    private_key_shares: { scheme: 'threshold-paillier', custody: 'trustees', dealingId: 'dealing-1', thresholdN: 3, thresholdK: 2 },
+    threshold_n: 3,
+    threshold_k: 2
+  });
+
+  const call = async (method, { userId, params = {}, body = {} }) => {
+    const res = mockResponse();
+    await controller[method]({ params, body: { ...body, userId }, headers: {} }, res);
+    return res;
+  };
+
+  // Trustee partial decryptions of every session ciphertext, with proofs
+  const trusteePartials = share => session.ciphertexts.map(ciphertext => {
+    const { value } = homomorphic.partialDecrypt(ciphertext, share, 3, key.publicKey);
+    return {
+      value,
+      proof: homomorphic.proveDecryptionShare(ciphertext, share, value, 3, key.publicKey, key.verificationKeys)
+    };
+  });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    key = loadElectionKey();
+
+    // A re-dealt key for the same election: same modulus, other verification keys
+    const rotated = storedPublicKey();
+    rotated.verification.keys = [...rotated.verification.keys].reverse();
+    keyRows['key-1'] = keyRow('key-1', storedPublicKey());
+    keyRows['key-2'] = keyRow('key-2', rotated);
+
+    jest.spyOn(pool, 'query').mockImplementation(async (text, [, keyId]) => ({
+      rows: [keyRows[keyId ?? activeKeyId]]
+    }));
+
+    const votes = [[1, 0], [0, 1], [1, 0]].map((values, position) => ({
+      vote_id: `vote-${position}`,
+      weight: 1,
+      homomorphic_data: {
+        candidates,
+        ballotType: 'plurality',
+        ballotRules: {},
+        ciphertexts: homomorphic.encryptVector(values, key.publicKey).map(entry => entry.ciphertext)
+      }
+    }));
+    submissions = [];
+
+    jest.spyOn(EncryptedVote, 'findByElection').mockImplementation(async () => votes);
+    jest.spyOn(TallySession, 'findOpenByElection').mockImplementation(async () => null);
+    jest.spyOn(TallySession, 'create').mockImplementation(async record => {
+      session = { ...record, status: 'open' };
+      return session;
+    });
+    jest.spyOn(TallySession, 'findById').mockImplementation(async () => session);
+    jest.spyOn(TallySession, 'addPartials').mockImplementation(async (sessionId, trusteeId, shareIndex, partials) => {
+      submissions.push({ trustee_id: trusteeId, share_index: shareIndex, partials });
+    });
+    jest.spyOn(TallySession, 'getPartials').mockImplementation(async () => submissions);
+    jest.spyOn(TallySession, 'transition').mockImplementation(async (sessionId, fromStatus, toStatus) => {
+      if (session.status !== fromStatus) return null;
+      session.status = toStatus;
+      return session;
+    });
+    jest.spyOn(TallySession, 'markReleased').mockImplementation(async (sessionId, result) => {
+      Object.assign(session, { status: 'released', tally_result: result });
+    });
+    jest.spyOn(KeyDealing, 'findTrustee').mockImplementation(async (dealingId, userId) => ({
+      trustee_id: userId,
+      share_index: Number(userId.split('-')[1])
+    }));
+    jest.spyOn(KeyDealing, 'getTrustees').mockImplementation(async () => []);
+    jest.spyOn(AuditLog, 'create').mockImplementation(async () => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('opens a session under the active election key', async () => {
+    const res = await call('openSession', { userId: 'admin', body: { electionId: 'election-1' } });
+
+    expect(res.statusCode).toBe(201);
+    expect(session.key_id).toBe('key-1');
+    expect(session.ciphertexts).toHaveLength(candidates.length);
+  });
+
+  test('partials are checked against the session key after the election key changes', async () => {
+    activeKeyId = 'key-2';
+
+    for (const share of key.shares.slice(0, 2)) {
+      const res = await call('submitPartials', {
+        userId: `trustee-${share.index}`,
+        params: { sessionId: session.session_id },
+        body: { partials: trusteePartials(share) }
+      });
+      expect(res.statusCode).toBe(200);
+    }
+
+    expect(session.status).toBe('released');
+    expect(session.tally_result.plaintexts).toEqual(['2', '1']);
+    expect(homomorphic.verifyTally(session.tally_result.decryptionProof, key.publicKey, key.verificationKeys).isValid)
+      .toBe(true);
+  });
+
+  test('partials made with another share are rejected', async () => {
+    session = { ...session, status: 'open' };
+    submissions = [];
+
+    const res = await call('submitPartials', {
+      userId: 'trustee-1',
+      params: { sessionId: session.session_id },
+      body: { partials: trusteePartials(key.shares[2]) }
+    });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.invalidPositions).toEqual([0, 1]);
+  });
+});
@@ -0,0 +1,22 @@
+import { readFileSync } from 'node:fs';
+import HomomorphicEncryption from '../../src/services/homomorphicEncryption.js';
+
+// Pre-generated 2048-bit threshold key (3 trustees, any 2 decrypt), so suites
+// don't wait on prime generation. Test use only.
+const stored = JSON.parse(readFileSync(new URL('./electionKey.json', import.meta.url), 'utf8'));
+
+// The public key as stored in vottery_homomorphic_keys.public_key
+export const storedPublicKey = () => structuredClone(stored.publicKey);
+
+export const loadElectionKey = () => {
+  const homomorphic = new HomomorphicEncryption();
+  const { publicKey, verificationKeys } = homomorphic.parsePublicKey(stored.publicKey);
+  const privateKeyShares = homomorphic.parsePrivateKeyShares(stored.privateKeyShares);
+
+  return {
+    publicKey,
+    verificationKeys,
+    shares: privateKeyShares.shares,
+    thresholdParams: { n: privateKeyShares.thresholdN, k: privateKeyShares.thresholdK }
+  };
+};
@@ -0,0 +1,145 @@
+import { jest, describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import nacl from 'tweetnacl';
+import HomomorphicEncryption from '../src/services/homomorphicEncryption.js';
+import Mixnets from '../src/services/mixnets.js';
+import { startMixNode, createMixNode } from '../src/mixnode.js';
+import { loadElectionKey } from './fixtures/electionKey.js';
+
+const electionId = 'election-mixnode-test';
+
+describe('Distributed mixing across mix nodes', () => {
+  const homomorphic = new HomomorphicEncryption();
+  const coordinator = nacl.sign.keyPair();
+  const coordinatorKey = Buffer.from(coordinator.publicKey).toString('base64');
+  const coordinatorSecret = Buffer.from(coordinator.secretKey.slice(0, 32)).toString('base64');
+  let key;
+  let ballots;
+  let nodes = [];
+  let logSpy;
+  let errorSpy;
+
+  const closeNode = node => new Promise(resolve => {
+    node.server.closeAllConnections();
+    node.server.close(resolve);
+  });
+
+  const coordinatorFor = runningNodes => new Mixnets(
+    homomorphic,
+    runningNodes.map(node => ({ nodeId: node.nodeId, url: node.url, publicKey: node.publicKey })),
+    coordinatorSecret
+  );
+
+  beforeAll(async () => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    key = loadElectionKey();
+    ballots = [[1, 0], [0, 1], [0, 1]].map(values => ({
+      ciphertexts: homomorphic.encryptVector(values, key.publicKey).map(entry => entry.ciphertext)
+    }));
+
+    nodes = await Promise.all(['mix-node-a', 'mix-node-b'].map(nodeId => startMixNode({ nodeId, coordinatorKey })));
+    // Local shuffles can leave a node idle past Node's default keep-alive
+    // timeout; keep sockets open so fetch never reuses a closed one
+    for (const node of nodes) node.server.keepAliveTimeout = 60 * 1000;
+  });
+
+  afterAll(async () => {
+    await Promise.all(nodes.map(closeNode));
+    logSpy.mockRestore();
+    errorSpy.mockRestore();
+  });
+
+  test('a mix node requires a coordinator key', () => {
+    expect(() => createMixNode({ nodeId: 'mix-node-x' })).toThrow('Mix node coordinator public key required');
+  });
+
+  test('/mix rejects requests the coordinator did not sign', async () => {
+    const body = JSON.stringify({ electionId, round: 0, publicKey: {}, input: ballots });
+    const forger = nacl.sign.keyPair();
+    const forged = coordinatorFor([]).signRequest(body, forger.secretKey);
+
+    const unsigned = await fetch(`${nodes[0].url}/mix`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Mix-Timestamp': String(Date.now()) },
+      body
+    });
+    const wrongKey = await fetch(`${nodes[0].url}/mix`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Mix-Timestamp': String(forged.timestamp),
+        'X-Mix-Signature': forged.signature
+      },
+      body
+    });
+
+    expect(unsigned.status).toBe(401);
+    expect(wrongKey.status).toBe(401);
+  });
+
+  test('/mix rejects stale requests', async () => {
+    const body = JSON.stringify({ electionId, round: 0, publicKey: {}, input: ballots });
+    const stale = coordinatorFor([]).signRequest(body, coordinator.secretKey, Date.now() - 10 * 60 * 1000);
+
+    const response = await fetch(`${nodes[1].url}/mix`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Mix-Timestamp': String(stale.timestamp),
+        'X-Mix-Signature': stale.signature
+      },
+      body
+    });
+
+    expect(response.status).toBe(401);
+  });
+
+  describe('a mix through every node', () => {
+    let mixnets;
+    let mix;
+
+    beforeAll(async () => {
+      mixnets = coordinatorFor(nodes);
+      mix = await mixnets.shuffleVotes(ballots, key.publicKey, electionId);
+    });
+
+    test('runs one signed round per node', () => {
+      expect(mix.distributed).toBe(true);
+      expect(mix.transcript.map(round => round.proof.nodeId)).toEqual(['mix-node-a', 'mix-node-b']);
+      expect(mix.transcript.every(round => round.proof.signature)).toBe(true);
+    });
+
+    test('verifies against the registered nodes', () => {
+      const result = mixnets.verifyMix(ballots, mix.transcript, key.publicKey, electionId);
+
+      expect(result.isValid).toBe(true);
+      expect(result.rounds.every(round => round.signed)).toBe(true);
+    });
+
+    test('a tampered transcript output is rejected', () => {
+      const output = mix.transcript[0].output.map(vote => ({ ciphertexts: [...vote.ciphertexts] }));
+      output[0].ciphertexts[0] = homomorphic.encrypt(1, key.publicKey).ciphertext;
+      const tampered = [{ ...mix.transcript[0], output }, mix.transcript[1]];
+
+      const result = mixnets.verifyMix(ballots, tampered, key.publicKey, electionId);
+      expect(result.isValid).toBe(false);
+      expect(result.rounds[0].isValid).toBe(false);
+    });
+
+    test('a round with a forged signature is rejected', () => {
+      const forger = nacl.sign.keyPair();
+      const forged = mix.transcript.map(round => (round.round === 1
+        ? { ...round, proof: mixnets.signRound(round.proof, electionId, forger.secretKey) }
+        : round));
+
+      const result = mixnets.verifyMix(ballots, forged, key.publicKey, electionId);
+      expect(result.isValid).toBe(false);
+      expect(result.rounds[1].reason).toBe('Round is not signed by mix node mix-node-b');
+    });
+
+    test('a mix signed for another election is rejected', () => {
+      const result = mixnets.verifyMix(ballots, mix.transcript, key.publicKey, 'election-other');
+      expect(result.isValid).toBe(false);
+    });
+  });
+});
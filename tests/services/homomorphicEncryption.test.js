@@ -0,0 +1,108 @@
+import { jest, describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import HomomorphicEncryption from '../../src/services/homomorphicEncryption.js';
+import { loadElectionKey } from '../fixtures/electionKey.js';
+
+describe('HomomorphicEncryption threshold decryption', () => {
+  const homomorphic = new HomomorphicEncryption();
+  let key;
+  let logSpy;
+  let errorSpy;
+
+  // Each trustee's partial decryption of ciphertext, with its Shoup proof
+  const trusteePartials = (ciphertext, shares) => shares.map(share => {
+    const partial = homomorphic.partialDecrypt(ciphertext, share, key.thresholdParams.n, key.publicKey);
+    return {
+      ...partial,
+      proof: homomorphic.proveDecryptionShare(ciphertext, share, partial.value, key.thresholdParams.n,
+        key.publicKey, key.verificationKeys)
+    };
+  });
+
+  beforeAll(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    key = loadElectionKey();
+  });
+
+  afterAll(() => {
+    logSpy.mockRestore();
+    errorSpy.mockRestore();
+  });
+
+  test('any threshold subset of trustees decrypts a homomorphic sum', () => {
+    const ballots = [[1, 0, 0], [0, 1, 0], [1, 0, 0], [0, 0, 1]]
+      .map(values => homomorphic.encryptVector(values, key.publicKey).map(entry => entry.ciphertext));
+    const [first] = homomorphic.addEncryptedVectors(ballots, key.publicKey);
+
+    for (const subset of [[0, 1], [0, 2], [1, 2]]) {
+      const partials = subset.map(position =>
+        homomorphic.partialDecrypt(first, key.shares[position], key.thresholdParams.n, key.publicKey)
+      );
+      expect(homomorphic.thresholdDecrypt(first, partials, key.thresholdParams, key.publicKey)).toBe(2n);
+    }
+  });
+
+  test('fewer partials than the threshold cannot decrypt', () => {
+    const { ciphertext } = homomorphic.encrypt(7, key.publicKey);
+    const partials = [homomorphic.partialDecrypt(ciphertext, key.shares[0], key.thresholdParams.n, key.publicKey)];
+
+    expect(() => homomorphic.thresholdDecrypt(ciphertext, partials, key.thresholdParams, key.publicKey))
+      .toThrow('Insufficient partial decryptions: need 2, have 1');
+  });
+
+  test('plaintexts beyond Number range decrypt exactly', () => {
+    const large = 2n ** 60n + 3n;
+    const { ciphertext } = homomorphic.encrypt(large, key.publicKey);
+    const partials = key.shares.slice(0, 2).map(share =>
+      homomorphic.partialDecrypt(ciphertext, share, key.thresholdParams.n, key.publicKey)
+    );
+
+    expect(homomorphic.thresholdDecrypt(ciphertext, partials, key.thresholdParams, key.publicKey)).toBe(large);
+  });
+
+  test('partial decryption proofs bind the trustee share', () => {
+    const { ciphertext } = homomorphic.encrypt(3, key.publicKey);
+    const [partial, other] = trusteePartials(ciphertext, key.shares.slice(0, 2));
+
+    expect(homomorphic.verifyDecryptionShare(ciphertext, partial, key.publicKey, key.verificationKeys)).toBe(true);
+    // Another trustee's value under this trustee's index
+    expect(homomorphic.verifyDecryptionShare(ciphertext, { ...partial, value: other.value },
+      key.publicKey, key.verificationKeys)).toBe(false);
+  });
+
+  test('verifyTally accepts a proven decryption and rejects a wrong claim', () => {
+    const ciphertexts = homomorphic.encryptVector([4, 9], key.publicKey).map(entry => entry.ciphertext);
+    const partialSets = key.shares.slice(1).map(share => ({
+      index: share.index,
+      partials: ciphertexts.map(ciphertext => trusteePartials(ciphertext, [share])[0])
+    }));
+    const proof = homomorphic.createDecryptionProof(ciphertexts, [4n, 9n], partialSets, key.thresholdParams);
+
+    const valid = homomorphic.verifyTally(proof, key.publicKey, key.verificationKeys);
+    expect(valid.isValid).toBe(true);
+    expect(valid.plaintexts).toEqual(['4', '9']);
+
+    const wrongClaim = homomorphic.verifyTally({ ...proof, plaintexts: ['5', '9'] }, key.publicKey, key.verificationKeys);
+    expect(wrongClaim.isValid).toBe(false);
+    expect(wrongClaim.mismatches).toEqual([0]);
+
+    const tooFew = homomorphic.verifyTally({ ...proof, partials: proof.partials.slice(0, 1) },
+      key.publicKey, key.verificationKeys);
+    expect(tooFew.isValid).toBe(false);
+  });
+
+  test('verifyTally rejects a tampered partial decryption', () => {
+    const ciphertexts = [homomorphic.encrypt(1, key.publicKey).ciphertext];
+    const partialSets = key.shares.slice(0, 2).map(share => ({
+      index: share.index,
+      partials: trusteePartials(ciphertexts[0], [share])
+    }));
+    const proof = homomorphic.createDecryptionProof(ciphertexts, [1n], partialSets, key.thresholdParams);
+    proof.partials[1].values[0] = homomorphic.partialDecrypt(ciphertexts[0], key.shares[2],
+      key.thresholdParams.n, key.publicKey).value;
+
+    const result = homomorphic.verifyTally(proof, key.publicKey, key.verificationKeys);
+    expect(result.isValid).toBe(false);
+    expect(result.reason).toBe('Invalid partial decryption proofs');
+  });
+});
@@ -0,0 +1,110 @@
+import { jest, describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import nacl from 'tweetnacl';
+import HomomorphicEncryption from '../../src/services/homomorphicEncryption.js';
+import Mixnets from '../../src/services/mixnets.js';
+import { loadElectionKey } from '../fixtures/electionKey.js';
+
+const electionId = 'election-mix-test';
+
+describe('Mixnets local shuffle', () => {
+  const homomorphic = new HomomorphicEncryption();
+  let key;
+  let ballots;
+  let logSpy;
+  let errorSpy;
+
+  const decryptBallot = ciphertexts => ciphertexts.map(ciphertext => {
+    const partials = key.shares.slice(0, 2).map(share =>
+      homomorphic.partialDecrypt(ciphertext, share, key.thresholdParams.n, key.publicKey)
+    );
+    return Number(homomorphic.thresholdDecrypt(ciphertext, partials, key.thresholdParams, key.publicKey));
+  });
+
+  beforeAll(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    key = loadElectionKey();
+    ballots = [[1, 0], [0, 1], [1, 0]].map(values => ({
+      ciphertexts: homomorphic.encryptVector(values, key.publicKey).map(entry => entry.ciphertext)
+    }));
+  });
+
+  afterAll(() => {
+    logSpy.mockRestore();
+    errorSpy.mockRestore();
+  });
+
+  test('shuffled ballots decrypt to the same multiset of votes', async () => {
+    const mixnets = new Mixnets(homomorphic, null, null);
+    const { shuffledVotes, transcript, distributed } = await mixnets.shuffleVotes(ballots, key.publicKey, electionId);
+
+    expect(distributed).toBe(false);
+    expect(transcript).toHaveLength(mixnets.shuffleRounds);
+    expect(shuffledVotes.map(vote => vote.ciphertexts))
+      .not.toEqual(ballots.map(vote => vote.ciphertexts));
+
+    const votes = shuffledVotes.map(vote => decryptBallot(vote.ciphertexts).join(','));
+    expect(votes.sort()).toEqual(['0,1', '1,0', '1,0']);
+  });
+
+  test('every round carries a valid shuffle proof', async () => {
+    const mixnets = new Mixnets(homomorphic, null, null);
+    const { transcript } = await mixnets.shuffleVotes(ballots, key.publicKey, electionId);
+
+    const round = transcript[0];
+    expect(mixnets.verifyShuffleProof(round.proof, ballots, round.output, key.publicKey).isValid).toBe(true);
+
+    const result = mixnets.verifyMix(ballots, transcript, key.publicKey, electionId);
+    expect(result.isValid).toBe(true);
+    expect(result.outputHash).toBe(mixnets.hashBallots(transcript[transcript.length - 1].output));
+  });
+
+  test('a replaced ballot fails the shuffle proof', async () => {
+    const mixnets = new Mixnets(homomorphic, null, null);
+    const { transcript } = await mixnets.shuffleVotes(ballots, key.publicKey, electionId);
+
+    // Swap in a fresh encryption of another vote, as a cheating mix would
+    const output = transcript[1].output.map(vote => ({ ciphertexts: [...vote.ciphertexts] }));
+    output[0].ciphertexts = homomorphic.encryptVector([0, 1], key.publicKey).map(entry => entry.ciphertext);
+    const tampered = transcript.map(round => (round.round === 1 ? { ...round, output } : round));
+
+    const result = mixnets.verifyMix(ballots, tampered, key.publicKey, electionId);
+    expect(result.isValid).toBe(false);
+    expect(result.rounds[1].isValid).toBe(false);
+  });
+
+  test('responses too wide to be the same integer in both groups are rejected', async () => {
+    const mixnets = new Mixnets(homomorphic, null, null);
+    const { transcript } = await mixnets.shuffleVotes(ballots, key.publicKey, electionId);
+
+    const { proof, output } = transcript[0];
+    const sPrime = [...proof.shuffle.s.sPrime];
+    sPrime[0] = (BigInt(sPrime[0]) + (1n << 2048n)).toString();
+    const widened = { ...proof, shuffle: { ...proof.shuffle, s: { ...proof.shuffle.s, sPrime } } };
+
+    const result = mixnets.verifyShuffleProof(widened, ballots, output, key.publicKey);
+    expect(result.isValid).toBe(false);
+    expect(result.reason).toBe('Shuffle proof responses out of range');
+  });
+
+  test('a transcript that skips the original input is rejected', async () => {
+    const mixnets = new Mixnets(homomorphic, null, null);
+    const { transcript } = await mixnets.shuffleVotes(ballots, key.publicKey, electionId);
+
+    const result = mixnets.verifyMix(ballots, transcript.slice(1), key.publicKey, electionId);
+    expect(result.isValid).toBe(false);
+    expect(result.rounds[0].reason).toBe('Proof was not made for these ballots');
+  });
+
+  test('rounds from unregistered nodes fail once mix nodes are configured', async () => {
+    const { transcript } = await new Mixnets(homomorphic, null, null).shuffleVotes(ballots, key.publicKey, electionId);
+    const registered = new Mixnets(homomorphic, [{
+      nodeId: 'mix-node-registered',
+      publicKey: Buffer.from(nacl.sign.keyPair().publicKey).toString('base64')
+    }], null);
+
+    const result = registered.verifyMix(ballots, transcript, key.publicKey, electionId);
+    expect(result.isValid).toBe(false);
+    expect(result.rounds[0].reason).toBe('Round was produced by unregistered mix node mix-node-0');
+  });
+});
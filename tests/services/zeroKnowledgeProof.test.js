@@ -0,0 +1,156 @@
+import { jest, describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import HomomorphicEncryption from '../../src/services/homomorphicEncryption.js';
+import ZeroKnowledgeProof from '../../src/services/zeroKnowledgeProof.js';
+import BallotEncoding from '../../src/services/ballotEncoding.js';
+import { loadElectionKey } from '../fixtures/electionKey.js';
+
+const candidates = ['alice', 'bob', 'carol'];
+const electionId = 'election-test';
+
+// One valid selection per ballot type, with the request fields its rules come from
+const ballots = [
+  { ballotType: 'plurality', selection: { vote: 1 } },
+  { ballotType: 'ranked', selection: { ranking: [2, 0, 1] } },
+  { ballotType: 'approval', selection: { selections: [0, 2] }, ruleInput: { minSelections: 1, maxSelections: 2 } },
+  { ballotType: 'score', selection: { scores: [3, 0, 2] }, ruleInput: { maxScore: 3 } },
+  { ballotType: 'pairwise', selection: { ranking: [1, 2, 0] } }
+];
+
+describe('ZeroKnowledgeProof ballot proofs', () => {
+  const homomorphic = new HomomorphicEncryption();
+  const zkProof = new ZeroKnowledgeProof();
+  const ballotEncoding = new BallotEncoding();
+  let publicKey;
+  let logSpy;
+  let errorSpy;
+
+  // Encrypt and prove a ballot the way processVote does
+  const castBallot = (ballotType, selection, rules) => {
+    const encryptedBallot = homomorphic.encryptVector(ballotEncoding.encode(ballotType, selection, candidates), publicKey);
+    const committedVote = ballotEncoding.committedVote(ballotType, selection, rules);
+    const commitment = zkProof.generateCommitment(committedVote, null, electionId);
+    const fold = ballotEncoding.commitmentFold(ballotType, candidates.length, rules);
+
+    return {
+      ciphertexts: encryptedBallot.map(entry => entry.ciphertext),
+      commitment,
+      fold,
+      proof: zkProof.generateBallotProof(ballotType, selection, candidates, encryptedBallot, publicKey, rules),
+      equality: zkProof.generateEqualityProof(
+        committedVote,
+        commitment,
+        ballotEncoding.committedSlice(encryptedBallot, candidates.length, ballotType),
+        publicKey,
+        fold
+      )
+    };
+  };
+
+  beforeAll(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    ({ publicKey } = loadElectionKey());
+  });
+
+  afterAll(() => {
+    logSpy.mockRestore();
+    errorSpy.mockRestore();
+  });
+
+  describe.each(ballots)('$ballotType ballots', ({ ballotType, selection, ruleInput }) => {
+    const rules = new BallotEncoding().rules(ballotType, ruleInput, candidates);
+    let ballot;
+
+    beforeAll(() => {
+      ballot = castBallot(ballotType, selection, rules);
+    });
+
+    test('validity proof verifies', () => {
+      const result = zkProof.verifyBallotProof(ballotType, ballot.proof, ballot.ciphertexts, candidates, publicKey, rules);
+      expect(result.isValid).toBe(true);
+    });
+
+    test('validity proof is rejected for a re-encrypted ciphertext', () => {
+      const tampered = [...ballot.ciphertexts];
+      tampered[0] = homomorphic.reencrypt(tampered[0], publicKey).ciphertext;
+
+      const result = zkProof.verifyBallotProof(ballotType, ballot.proof, tampered, candidates, publicKey, rules);
+      expect(result.isValid).toBe(false);
+    });
+
+    test('commitment equality proof verifies', () => {
+      const result = zkProof.verifyEqualityProof(
+        ballot.equality,
+        ballot.commitment.commitment,
+        ballotEncoding.committedSlice(ballot.ciphertexts, candidates.length, ballotType),
+        publicKey,
+        ballot.fold
+      );
+      expect(result).toEqual({ isValid: true });
+    });
+
+    test('commitment equality proof is rejected for another commitment', () => {
+      const other = zkProof.generateCommitment(ballotEncoding.committedVote(ballotType, selection, rules), null, electionId);
+
+      const result = zkProof.verifyEqualityProof(
+        ballot.equality,
+        other.commitment,
+        ballotEncoding.committedSlice(ballot.ciphertexts, candidates.length, ballotType),
+        publicKey,
+        ballot.fold
+      );
+      expect(result.isValid).toBe(false);
+    });
+  });
+
+  test('approval proofs are checked against the election selection limits', () => {
+    const rules = ballotEncoding.rules('approval', { minSelections: 1, maxSelections: 2 }, candidates);
+    const ballot = castBallot('approval', { selections: [0, 2] }, rules);
+    const stricter = ballotEncoding.rules('approval', { minSelections: 1, maxSelections: 1 }, candidates);
+
+    const result = zkProof.verifyBallotProof('approval', ballot.proof, ballot.ciphertexts, candidates, publicKey, stricter);
+    expect(result.isValid).toBe(false);
+  });
+
+  test('a commitment to another vote fails the equality proof', () => {
+    // The ballot encrypts a vote for candidate 1, the commitment holds candidate 2
+    const encryptedBallot = homomorphic.encryptVector(ballotEncoding.encode('plurality', { vote: 1 }, candidates), publicKey);
+    const commitment = zkProof.generateCommitment(2, null, electionId);
+    const equality = zkProof.generateEqualityProof(2, commitment, encryptedBallot, publicKey);
+
+    const result = zkProof.verifyEqualityProof(equality, commitment.commitment,
+      encryptedBallot.map(entry => entry.ciphertext), publicKey);
+    expect(result.isValid).toBe(false);
+  });
+});
+
+describe('ZeroKnowledgeProof nullifiers', () => {
+  const zkProof = new ZeroKnowledgeProof();
+  const previousSecret = process.env.NULLIFIER_SECRET;
+
+  beforeAll(() => {
+    process.env.NULLIFIER_SECRET = 'nullifier-test-secret';
+  });
+
+  afterAll(() => {
+    if (previousSecret === undefined) delete process.env.NULLIFIER_SECRET;
+    else process.env.NULLIFIER_SECRET = previousSecret;
+  });
+
+  test('a voter gets one nullifier per election', () => {
+    const first = zkProof.generateNullifier('voter-1', electionId);
+    const repeat = zkProof.generateNullifier('voter-1', electionId);
+    const otherElection = zkProof.generateNullifier('voter-1', 'election-other');
+
+    expect(repeat.nullifier).toBe(first.nullifier);
+    expect(otherElection.nullifier).not.toBe(first.nullifier);
+    expect(otherElection.publicKey).not.toBe(first.publicKey);
+  });
+
+  test('nullifier proofs verify only for their election', () => {
+    const nullifier = zkProof.generateNullifier('voter-1', electionId);
+
+    expect(zkProof.verifyNullifierProof(nullifier, electionId)).toBe(true);
+    expect(zkProof.verifyNullifierProof(nullifier, 'election-other')).toBe(false);
+  });
+});